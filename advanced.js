@@ -0,0 +1,1514 @@
+document.addEventListener('DOMContentLoaded', async () => {
+    let settings = {};
+    let history = [];
+    let snippets = [];
+    const selectedIds = new Set();
+
+    const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+    const MATHML_ELEMENTS = new Set([
+        'math', 'semantics', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msup', 'msub',
+        'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable', 'mtr',
+        'mtd', 'mlabeledtr', 'mstyle', 'mpadded', 'mphantom', 'menclose', 'mmultiscripts',
+        'mprescripts', 'none', 'merror', 'mfenced'
+    ]);
+
+    const MATHML_ATTRIBUTES = new Set([
+        'display', 'displaystyle', 'scriptlevel', 'mathvariant', 'mathsize', 'fence', 'separator',
+        'stretchy', 'symmetric', 'largeop', 'movablelimits', 'accent', 'accentunder', 'form',
+        'lspace', 'rspace', 'minsize', 'maxsize', 'linethickness', 'width', 'height', 'depth',
+        'columnalign', 'rowalign', 'columnspacing', 'rowspacing', 'columnlines', 'rowlines',
+        'frame', 'notation', 'open', 'close', 'separators'
+    ]);
+
+    const FORMAT_LABELS = {
+        mathml: 'MathML',
+        latex: 'LaTeX',
+        unicode: 'Unicode',
+        asciimath: 'AsciiMath',
+        omml: 'OMML',
+        typst: 'Typst',
+        'content-mathml': 'Content MathML',
+        sympy: 'SymPy',
+        all: 'All formats'
+    };
+
+    const elements = {
+        totalCopies: document.getElementById('total-copies'),
+        topFormat: document.getElementById('top-format'),
+        lastUsed: document.getElementById('last-used'),
+        formatUsage: document.getElementById('format-usage'),
+        resetStatsBtn: document.getElementById('reset-stats'),
+        historyList: document.getElementById('history-list'),
+        historyCount: document.getElementById('history-count'),
+        clearHistoryBtn: document.getElementById('clear-history'),
+        historySearch: document.getElementById('history-search'),
+        filterFormat: document.getElementById('filter-format'),
+        filterSource: document.getElementById('filter-source'),
+        filterSite: document.getElementById('filter-site'),
+        filterFrom: document.getElementById('filter-from'),
+        filterTo: document.getElementById('filter-to'),
+        selectAllHistory: document.getElementById('select-all-history'),
+        selectedCount: document.getElementById('selected-count'),
+        copySelectedBtn: document.getElementById('copy-selected-history'),
+        deleteSelectedBtn: document.getElementById('delete-selected-history'),
+        snippetList: document.getElementById('snippet-list'),
+        snippetCount: document.getElementById('snippet-count'),
+        snippetSearch: document.getElementById('snippet-search'),
+        snippetFolder: document.getElementById('snippet-folder'),
+        snippetFolders: document.getElementById('snippet-folders'),
+        joinMode: document.getElementById('join-mode'),
+        joinTemplate: document.getElementById('join-template'),
+        joinTemplateRow: document.getElementById('join-template-row'),
+        validation: document.getElementById('validation'),
+        autoRepair: document.getElementById('auto-repair'),
+        blockSiteForm: document.getElementById('block-site-form'),
+        blockSiteInput: document.getElementById('block-site-input'),
+        blockSiteSubmit: document.getElementById('block-site-submit'),
+        siteListMode: document.getElementById('site-list-mode'),
+        allowedSitesGroup: document.getElementById('allowed-sites-group'),
+        allowedSites: document.getElementById('allowed-sites'),
+        blockedSites: document.getElementById('blocked-sites'),
+        blockedPages: document.getElementById('blocked-pages'),
+        siteProfiles: document.getElementById('site-profiles'),
+        exportButtons: document.querySelectorAll('[data-export]'),
+        importBtn: document.getElementById('import-data'),
+        importFile: document.getElementById('import-file'),
+        statusBar: document.getElementById('status-bar'),
+        statusText: document.getElementById('status-text')
+    };
+
+    async function loadSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'getSettings' });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+            settings = response || {};
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            settings = {};
+        }
+        document.body.setAttribute('data-theme', settings.darkMode ? 'dark' : 'light');
+        renderSettings();
+    }
+
+    function renderSettings() {
+        if (elements.joinMode) elements.joinMode.value = settings.joinMode || 'auto';
+        if (elements.joinTemplate) elements.joinTemplate.value = settings.joinTemplate || '{index}. {content}';
+        if (elements.joinTemplateRow) elements.joinTemplateRow.hidden = settings.joinMode !== 'template';
+        if (elements.validation) elements.validation.checked = settings.validation !== false;
+        if (elements.autoRepair) {
+            elements.autoRepair.checked = Boolean(settings.autoRepair);
+            elements.autoRepair.disabled = settings.validation === false;
+        }
+    }
+
+    async function saveSettings(update) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'saveSettings', settings: { ...settings, ...update } });
+            if (!response || response.success === false) {
+                throw new Error(response && response.error);
+            }
+            await loadSettings();
+
+            // Open pages pick the change up without a reload
+            const tabs = await chrome.tabs.query({});
+            tabs.forEach(tab => {
+                chrome.tabs.sendMessage(tab.id, { type: 'settingsUpdated', settings }).catch(() => {});
+            });
+            showStatus('Settings saved', 'success');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            showStatus('Failed to save settings', 'error');
+        }
+    }
+
+    async function loadStats() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'getStats' });
+            renderStats(response || {});
+        } catch (error) {
+            console.error('Failed to load stats:', error);
+            renderStats({});
+        }
+    }
+
+    async function loadHistory() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'getHistory' });
+            history = Array.isArray(response) ? response : [];
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            history = [];
+        }
+        populateFilterOptions();
+        renderHistory();
+    }
+
+    async function loadBlockedLists() {
+        try {
+            const [sites, pages, allowed, listMode] = await Promise.all([
+                chrome.runtime.sendMessage({ type: 'getBlockedSites' }),
+                chrome.runtime.sendMessage({ type: 'getBlockedPages' }),
+                chrome.runtime.sendMessage({ type: 'getAllowedSites' }),
+                chrome.runtime.sendMessage({ type: 'getSiteListMode' })
+            ]);
+            renderBlockedList(elements.blockedSites, Array.isArray(sites) ? sites : [], 'enableOnSite', 'No disabled sites');
+            renderBlockedList(elements.blockedPages, Array.isArray(pages) ? pages : [], 'enableOnPage', 'No disabled pages');
+            renderBlockedList(elements.allowedSites, Array.isArray(allowed) ? allowed : [], 'removeAllowedSite', 'No allowed sites; Math Copy is off everywhere', {
+                button: 'Remove',
+                done: 'Removed from allowed sites'
+            });
+            renderSiteListMode(listMode && listMode.mode === 'allow' ? 'allow' : 'block');
+        } catch (error) {
+            console.error('Failed to load blocked lists:', error);
+            showStatus('Error loading disabled sites', 'error');
+        }
+    }
+
+    async function loadSiteProfiles() {
+        try {
+            const profiles = await chrome.runtime.sendMessage({ type: 'getSiteProfiles' });
+            renderSiteProfiles(Array.isArray(profiles) ? profiles : []);
+        } catch (error) {
+            console.error('Failed to load site profiles:', error);
+            showStatus('Error loading site profiles', 'error');
+        }
+    }
+
+    function renderStats(stats) {
+        const usage = stats.formatUsage && typeof stats.formatUsage === 'object' ? stats.formatUsage : {};
+        const total = Number(stats.totalCopies) || 0;
+
+        if (elements.totalCopies) {
+            elements.totalCopies.textContent = total.toLocaleString();
+        }
+
+        const ranked = Object.entries(usage)
+            .filter(([, count]) => Number(count) > 0)
+            .sort((a, b) => b[1] - a[1]);
+
+        if (elements.topFormat) {
+            elements.topFormat.textContent = ranked.length ? formatLabel(ranked[0][0]) : '–';
+        }
+        if (elements.lastUsed) {
+            elements.lastUsed.textContent = stats.lastUsed ? formatDate(stats.lastUsed) : 'Never';
+        }
+
+        if (!elements.formatUsage) return;
+        elements.formatUsage.innerHTML = '';
+
+        // Every known format gets a row so unused ones are visible too
+        const formats = Object.keys(FORMAT_LABELS).concat(Object.keys(usage).filter(format => !FORMAT_LABELS[format]));
+        formats.forEach(format => {
+            const count = Number(usage[format]) || 0;
+            const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+
+            const row = document.createElement('div');
+            row.className = 'usage-row';
+
+            const label = document.createElement('span');
+            label.className = 'usage-label';
+            label.textContent = formatLabel(format);
+
+            const bar = document.createElement('div');
+            bar.className = 'usage-bar';
+            bar.setAttribute('role', 'img');
+            bar.setAttribute('aria-label', `${formatLabel(format)}: ${count} copies`);
+            const fill = document.createElement('div');
+            fill.className = 'usage-fill';
+            fill.style.width = `${percent}%`;
+            bar.appendChild(fill);
+
+            const value = document.createElement('span');
+            value.className = 'usage-value';
+            value.textContent = `${count} (${percent}%)`;
+
+            row.appendChild(label);
+            row.appendChild(bar);
+            row.appendChild(value);
+            elements.formatUsage.appendChild(row);
+        });
+    }
+
+    function getFilteredHistory() {
+        const query = (elements.historySearch?.value || '').trim().toLowerCase();
+        const format = elements.filterFormat?.value || '';
+        const source = elements.filterSource?.value || '';
+        const site = elements.filterSite?.value || '';
+        // Date inputs are local calendar days; "to" includes the whole day
+        const from = elements.filterFrom?.value ? new Date(`${elements.filterFrom.value}T00:00:00`) : null;
+        const to = elements.filterTo?.value ? new Date(`${elements.filterTo.value}T23:59:59.999`) : null;
+
+        return history.filter(item => {
+            if (query && ![item.formula, item.title, item.heading, item.label]
+                .some(text => typeof text === 'string' && text.toLowerCase().includes(query))) return false;
+            if (format && item.format !== format) return false;
+            if (source && (item.source || 'Unknown') !== source) return false;
+            if (site && (item.site || '') !== site) return false;
+            if (from || to) {
+                const date = new Date(item.timestamp);
+                if (isNaN(date.getTime())) return false;
+                if (from && date < from) return false;
+                if (to && date > to) return false;
+            }
+            return true;
+        });
+    }
+
+    function populateFilterOptions() {
+        const fill = (select, values, label) => {
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = '';
+            const any = document.createElement('option');
+            any.value = '';
+            any.textContent = label;
+            select.appendChild(any);
+            values.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = values.some(([value]) => value === current) ? current : '';
+        };
+
+        const distinct = (key, fallback) => [...new Set(history.map(item => item[key] || fallback))].filter(Boolean).sort();
+
+        fill(elements.filterFormat, distinct('format', 'unknown').map(format => [format, formatLabel(format)]), 'All formats');
+        fill(elements.filterSource, distinct('source', 'Unknown').map(source => [source, source]), 'All sources');
+        fill(elements.filterSite, distinct('site', '').map(site => [site, site]), 'All sites');
+    }
+
+    function renderHistory() {
+        if (!elements.historyList) return;
+        elements.historyList.innerHTML = '';
+
+        // Drop selections that no longer exist after a delete or reload
+        const ids = new Set(history.map(item => String(item.id)));
+        selectedIds.forEach(id => {
+            if (!ids.has(id)) selectedIds.delete(id);
+        });
+
+        const filtered = getFilteredHistory();
+
+        if (elements.historyCount) {
+            elements.historyCount.textContent = history.length
+                ? (filtered.length === history.length ? `(${history.length})` : `(${filtered.length} of ${history.length})`)
+                : '';
+        }
+        updateSelectionToolbar(filtered);
+
+        if (filtered.length === 0) {
+            const emptyState = document.createElement('div');
+            emptyState.className = 'empty-state';
+            const text = document.createElement('p');
+            text.textContent = history.length === 0 ? 'No equations copied yet' : 'No equations match the filters';
+            emptyState.appendChild(text);
+            elements.historyList.appendChild(emptyState);
+            return;
+        }
+
+        // Create elements programmatically to prevent XSS
+        filtered.forEach(item => {
+            try {
+                const id = String(item.id);
+                const historyItem = document.createElement('div');
+                historyItem.className = 'history-item';
+                historyItem.classList.toggle('selected', selectedIds.has(id));
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'history-check';
+                checkbox.checked = selectedIds.has(id);
+                checkbox.setAttribute('aria-label', 'Select equation');
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) {
+                        selectedIds.add(id);
+                    } else {
+                        selectedIds.delete(id);
+                    }
+                    historyItem.classList.toggle('selected', checkbox.checked);
+                    updateSelectionToolbar(getFilteredHistory());
+                });
+
+                const body = document.createElement('div');
+                body.className = 'history-body';
+
+                const meta = document.createElement('div');
+                meta.className = 'history-meta';
+
+                const format = document.createElement('span');
+                format.className = 'history-format';
+                format.textContent = formatLabel(item.format);
+                meta.appendChild(format);
+
+                [item.source || 'Unknown', item.site, item.timestamp ? formatDate(item.timestamp) : '']
+                    .filter(Boolean)
+                    .forEach(text => {
+                        const span = document.createElement('span');
+                        span.className = 'history-source';
+                        span.textContent = text;
+                        meta.appendChild(span);
+                    });
+
+                body.appendChild(meta);
+
+                const origin = renderOrigin(item);
+                if (origin) {
+                    body.appendChild(origin);
+                }
+
+                const rendered = renderPreview(item);
+                if (rendered) {
+                    const preview = document.createElement('div');
+                    preview.className = 'history-preview';
+                    preview.appendChild(rendered);
+                    body.appendChild(preview);
+                }
+
+                const formula = document.createElement('pre');
+                formula.className = 'history-formula';
+                formula.textContent = truncate(item.formula, 600);
+                formula.title = 'Click to expand';
+                formula.addEventListener('click', () => {
+                    const expanded = formula.classList.toggle('expanded');
+                    formula.textContent = expanded ? item.formula : truncate(item.formula, 600);
+                });
+                body.appendChild(formula);
+
+                const alternates = renderAlternates(item);
+                if (alternates) {
+                    body.appendChild(alternates);
+                }
+
+                const actions = document.createElement('div');
+                actions.className = 'history-actions';
+
+                const copyBtn = document.createElement('button');
+                copyBtn.className = 'btn btn-outline btn-small';
+                copyBtn.textContent = 'Copy';
+                copyBtn.addEventListener('click', () => copyText(item.formula));
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'btn btn-outline btn-small btn-danger';
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.setAttribute('aria-label', 'Delete from history');
+                deleteBtn.addEventListener('click', () => deleteHistoryItems([id]));
+
+                actions.appendChild(copyBtn);
+                const pinned = snippets.some(snippet => snippet.historyId === id);
+                const pinBtn = document.createElement('button');
+                pinBtn.className = 'btn btn-outline btn-small';
+                pinBtn.textContent = pinned ? '★ Pinned' : '☆ Pin';
+                pinBtn.setAttribute('aria-pressed', String(pinned));
+                pinBtn.setAttribute('aria-label', pinned ? 'Remove from snippet library' : 'Pin to snippet library');
+                pinBtn.addEventListener('click', () => togglePin(item));
+                actions.appendChild(pinBtn);
+                if (item.url) {
+                    const jumpBtn = document.createElement('button');
+                    jumpBtn.className = 'btn btn-outline btn-small';
+                    jumpBtn.textContent = 'Go to source';
+                    jumpBtn.setAttribute('aria-label', 'Open the page this equation was copied from');
+                    jumpBtn.addEventListener('click', () => jumpToSource(id));
+                    actions.appendChild(jumpBtn);
+                }
+                actions.appendChild(deleteBtn);
+
+                historyItem.appendChild(checkbox);
+                historyItem.appendChild(body);
+                historyItem.appendChild(actions);
+                elements.historyList.appendChild(historyItem);
+            } catch (itemError) {
+                console.error('Error rendering history item:', itemError);
+            }
+        });
+    }
+
+    // Page title, section heading and equation number, e.g. "Maxwell's equations › Derivation › (3.2)"
+    function renderOrigin(item) {
+        const parts = [item.title || item.url, item.heading, item.label].filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const origin = document.createElement('div');
+        origin.className = 'history-origin';
+        origin.textContent = parts.join(' › ');
+        if (item.url) origin.title = item.url;
+        return origin;
+    }
+
+    async function jumpToSource(id) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'jumpToSource', id });
+            if (response && response.success === false) {
+                throw new Error(response.error);
+            }
+            if (response && response.found === false) {
+                showStatus('Page opened, but the equation was not found', 'info');
+            }
+        } catch (error) {
+            console.error('Error jumping to source:', error);
+            showStatus(error.message || 'Failed to open source page', 'error');
+        }
+    }
+
+    function updateSelectionToolbar(filtered) {
+        const count = selectedIds.size;
+        if (elements.selectedCount) {
+            elements.selectedCount.textContent = count ? `${count} selected` : '';
+        }
+        if (elements.copySelectedBtn) elements.copySelectedBtn.disabled = count === 0;
+        if (elements.deleteSelectedBtn) elements.deleteSelectedBtn.disabled = count === 0;
+        if (elements.selectAllHistory) {
+            const shown = filtered.filter(item => selectedIds.has(String(item.id))).length;
+            elements.selectAllHistory.checked = filtered.length > 0 && shown === filtered.length;
+            elements.selectAllHistory.indeterminate = shown > 0 && shown < filtered.length;
+        }
+    }
+
+    async function deleteHistoryItems(ids) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'deleteHistoryItems', ids });
+            if (response && response.success === false) {
+                throw new Error(response.error);
+            }
+            ids.forEach(id => selectedIds.delete(id));
+            await loadHistory();
+            showStatus(ids.length === 1 ? 'Deleted from history' : `Deleted ${ids.length} equations`, 'success');
+        } catch (error) {
+            console.error('Error deleting history items:', error);
+            showStatus('Failed to delete', 'error');
+        }
+    }
+
+    function renderPreview(item) {
+        const markup = item.preview
+            || (item.representations && item.representations.mathml)
+            || (item.formula.trim().startsWith('<math') ? item.formula.trim() : null);
+        return markup ? sanitizeMathML(markup) : null;
+    }
+
+    // Buttons re-copying the other representations captured with the entry
+    function renderAlternates(item) {
+        const copied = item.format === 'all' ? 'mathml' : item.format;
+        const available = Object.entries(item.representations || {})
+            .filter(([format, value]) => format !== copied && FORMAT_LABELS[format] && typeof value === 'string' && value);
+        if (available.length === 0) return null;
+
+        const alternates = document.createElement('div');
+        alternates.className = 'history-alternates';
+        const label = document.createElement('span');
+        label.className = 'history-source';
+        label.textContent = 'Copy as';
+        alternates.appendChild(label);
+
+        available.forEach(([format, value]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-outline btn-small';
+            button.textContent = FORMAT_LABELS[format];
+            button.title = truncate(value, 200);
+            button.setAttribute('aria-label', `Copy as ${FORMAT_LABELS[format]}`);
+            button.addEventListener('click', () => copyText(value, `Copied as ${FORMAT_LABELS[format]}`));
+            alternates.appendChild(button);
+        });
+        return alternates;
+    }
+
+    // Rebuilds the markup from an allowlist so stored history can't inject script or styles
+    function sanitizeMathML(markup) {
+        try {
+            const doc = new DOMParser().parseFromString(markup, 'application/xml');
+            if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'math') {
+                return null;
+            }
+
+            const clean = (node) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    return document.createTextNode(node.nodeValue);
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE || !MATHML_ELEMENTS.has(node.localName)) {
+                    return null;
+                }
+                // Keep only the presentation child; annotations may hold arbitrary markup
+                if (node.localName === 'semantics') {
+                    return node.firstElementChild ? clean(node.firstElementChild) : null;
+                }
+
+                const element = document.createElementNS(MATHML_NAMESPACE, node.localName);
+                Array.from(node.attributes).forEach(attr => {
+                    if (MATHML_ATTRIBUTES.has(attr.localName)) {
+                        element.setAttribute(attr.localName, attr.value);
+                    }
+                });
+                node.childNodes.forEach(child => {
+                    const cleaned = clean(child);
+                    if (cleaned) element.appendChild(cleaned);
+                });
+                return element;
+            };
+
+            const math = clean(doc.documentElement);
+            if (math) math.setAttribute('display', 'block');
+            return math;
+        } catch (error) {
+            console.debug('Could not render preview:', error);
+            return null;
+        }
+    }
+
+    async function loadSnippets() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'listSnippets' });
+            snippets = Array.isArray(response) ? response : [];
+        } catch (error) {
+            console.error('Failed to load snippets:', error);
+            snippets = [];
+        }
+        populateFolderOptions();
+        renderSnippets();
+        // Pin buttons in the history reflect the library
+        renderHistory();
+    }
+
+    function populateFolderOptions() {
+        const folders = [...new Set(snippets.map(snippet => snippet.folder).filter(Boolean))].sort();
+
+        if (elements.snippetFolder) {
+            const current = elements.snippetFolder.value;
+            elements.snippetFolder.innerHTML = '';
+            [['', 'All folders'], ...folders.map(folder => [folder, folder])].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                elements.snippetFolder.appendChild(option);
+            });
+            elements.snippetFolder.value = folders.includes(current) ? current : '';
+        }
+
+        if (elements.snippetFolders) {
+            elements.snippetFolders.innerHTML = '';
+            folders.forEach(folder => {
+                const option = document.createElement('option');
+                option.value = folder;
+                elements.snippetFolders.appendChild(option);
+            });
+        }
+    }
+
+    function getFilteredSnippets() {
+        const query = (elements.snippetSearch?.value || '').trim().toLowerCase();
+        const folder = elements.snippetFolder?.value || '';
+
+        return snippets.filter(snippet => {
+            if (folder && snippet.folder !== folder) return false;
+            if (!query) return true;
+            return [snippet.name, snippet.formula, snippet.folder, ...(snippet.tags || [])]
+                .some(text => typeof text === 'string' && text.toLowerCase().includes(query));
+        });
+    }
+
+    function renderSnippets() {
+        if (!elements.snippetList) return;
+        elements.snippetList.innerHTML = '';
+
+        const filtered = getFilteredSnippets();
+        if (elements.snippetCount) {
+            elements.snippetCount.textContent = snippets.length ? `(${snippets.length})` : '';
+        }
+
+        if (filtered.length === 0) {
+            const emptyState = document.createElement('div');
+            emptyState.className = 'empty-state';
+            const text = document.createElement('p');
+            text.textContent = snippets.length === 0
+                ? 'Pin equations from the history to keep them here'
+                : 'No snippets match the filters';
+            emptyState.appendChild(text);
+            elements.snippetList.appendChild(emptyState);
+            return;
+        }
+
+        filtered.forEach((snippet, position) => {
+            try {
+                const item = document.createElement('div');
+                item.className = 'history-item snippet-item';
+                item.draggable = true;
+                item.dataset.id = snippet.id;
+
+                const handle = document.createElement('span');
+                handle.className = 'drag-handle';
+                handle.textContent = '⋮⋮';
+                handle.title = 'Drag to reorder';
+                handle.setAttribute('aria-hidden', 'true');
+
+                const body = document.createElement('div');
+                body.className = 'history-body';
+
+                const fields = document.createElement('div');
+                fields.className = 'snippet-fields';
+                fields.appendChild(snippetField(snippet, 'name', 'Name', snippet.name));
+                fields.appendChild(snippetField(snippet, 'folder', 'Folder', snippet.folder, 'snippet-folders'));
+                fields.appendChild(snippetField(snippet, 'tags', 'Tags, comma separated', (snippet.tags || []).join(', ')));
+                body.appendChild(fields);
+
+                const rendered = renderPreview(snippet);
+                if (rendered) {
+                    const preview = document.createElement('div');
+                    preview.className = 'history-preview';
+                    preview.appendChild(rendered);
+                    body.appendChild(preview);
+                }
+
+                const formula = document.createElement('pre');
+                formula.className = 'history-formula';
+                formula.textContent = truncate(snippet.formula, 600);
+                body.appendChild(formula);
+
+                const alternates = renderAlternates(snippet);
+                if (alternates) {
+                    body.appendChild(alternates);
+                }
+
+                const actions = document.createElement('div');
+                actions.className = 'history-actions';
+                actions.appendChild(actionButton('Copy', `Copy ${snippet.name}`, () => copyText(snippet.formula, 'Snippet copied')));
+                const up = actionButton('↑', 'Move up', () => moveSnippet(snippet.id, filtered[position - 1]?.id));
+                up.disabled = position === 0;
+                const down = actionButton('↓', 'Move down', () => moveSnippet(snippet.id, filtered[position + 1]?.id));
+                down.disabled = position === filtered.length - 1;
+                const order = document.createElement('div');
+                order.className = 'snippet-order';
+                order.appendChild(up);
+                order.appendChild(down);
+                actions.appendChild(order);
+                const deleteBtn = actionButton('Delete', `Delete ${snippet.name}`, () => deleteSnippet(snippet.id));
+                deleteBtn.classList.add('btn-danger');
+                actions.appendChild(deleteBtn);
+
+                item.addEventListener('dragstart', (e) => {
+                    e.dataTransfer.setData('text/x-snippet-id', snippet.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                    item.classList.add('dragging');
+                });
+                item.addEventListener('dragend', () => item.classList.remove('dragging'));
+                item.addEventListener('dragover', (e) => {
+                    if (e.dataTransfer.types.includes('text/x-snippet-id')) {
+                        e.preventDefault();
+                        item.classList.add('drop-target');
+                    }
+                });
+                item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+                item.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    item.classList.remove('drop-target');
+                    const draggedId = e.dataTransfer.getData('text/x-snippet-id');
+                    if (draggedId && draggedId !== snippet.id) {
+                        moveSnippet(draggedId, snippet.id);
+                    }
+                });
+
+                item.appendChild(handle);
+                item.appendChild(body);
+                item.appendChild(actions);
+                elements.snippetList.appendChild(item);
+            } catch (itemError) {
+                console.error('Error rendering snippet:', itemError);
+            }
+        });
+    }
+
+    function snippetField(snippet, key, label, value, list) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = `text-input snippet-${key}`;
+        input.value = value || '';
+        input.placeholder = label;
+        input.setAttribute('aria-label', label);
+        if (list) input.setAttribute('list', list);
+        input.addEventListener('change', () => {
+            const update = key === 'tags'
+                ? { tags: input.value.split(',').map(tag => tag.trim()).filter(Boolean) }
+                : { [key]: input.value };
+            saveSnippet({ ...snippet, ...update });
+        });
+        return input;
+    }
+
+    function actionButton(text, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline btn-small';
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async function saveSnippet(snippet, message) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'saveSnippet', snippet });
+            if (!response || response.success === false) {
+                throw new Error(response && response.error);
+            }
+            await loadSnippets();
+            if (message) showStatus(message, 'success');
+        } catch (error) {
+            console.error('Error saving snippet:', error);
+            showStatus(error.message || 'Failed to save snippet', 'error');
+        }
+    }
+
+    async function deleteSnippet(id, message = 'Snippet deleted') {
+        try {
+            await chrome.runtime.sendMessage({ type: 'deleteSnippet', id });
+            await loadSnippets();
+            showStatus(message, 'success');
+        } catch (error) {
+            console.error('Error deleting snippet:', error);
+            showStatus('Failed to delete snippet', 'error');
+        }
+    }
+
+    // Moves a snippet to the position of another in the full library order
+    async function moveSnippet(id, targetId) {
+        if (!targetId) return;
+        const ids = snippets.map(snippet => snippet.id);
+        const from = ids.indexOf(id);
+        const to = ids.indexOf(targetId);
+        if (from < 0 || to < 0) return;
+        ids.splice(to, 0, ids.splice(from, 1)[0]);
+
+        try {
+            await chrome.runtime.sendMessage({ type: 'reorderSnippets', ids });
+            await loadSnippets();
+        } catch (error) {
+            console.error('Error reordering snippets:', error);
+            showStatus('Failed to reorder snippets', 'error');
+        }
+    }
+
+    function togglePin(item) {
+        const pinned = snippets.find(snippet => snippet.historyId === String(item.id));
+        if (pinned) {
+            deleteSnippet(pinned.id, 'Unpinned');
+            return;
+        }
+        saveSnippet({
+            name: item.label ? [item.heading, item.label].filter(Boolean).join(' ') : truncate(item.formula, 40),
+            formula: item.formula,
+            format: item.format,
+            preview: item.preview,
+            representations: item.representations,
+            historyId: String(item.id),
+            url: item.url,
+            title: item.title,
+            tags: [],
+            folder: ''
+        }, 'Pinned to snippet library');
+    }
+
+    function renderSiteListMode(mode) {
+        if (elements.siteListMode) elements.siteListMode.value = mode;
+        if (elements.allowedSitesGroup) elements.allowedSitesGroup.hidden = mode !== 'allow';
+        if (elements.blockSiteSubmit) elements.blockSiteSubmit.textContent = mode === 'allow' ? 'Allow site' : 'Disable site';
+    }
+
+    function renderBlockedList(list, urls, enableMessage, emptyText, { button = 'Enable', done = 'Enabled again' } = {}) {
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (urls.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'blocked-empty';
+            empty.textContent = emptyText;
+            list.appendChild(empty);
+            return;
+        }
+
+        urls.forEach(url => {
+            const item = document.createElement('li');
+            item.className = 'blocked-item';
+
+            const text = document.createElement('span');
+            text.className = 'blocked-url';
+            text.textContent = url;
+            text.title = url;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-outline btn-small';
+            removeBtn.textContent = button;
+            removeBtn.setAttribute('aria-label', `${button} ${url}`);
+            removeBtn.addEventListener('click', async () => {
+                try {
+                    const response = await chrome.runtime.sendMessage({ type: enableMessage, url });
+                    if (response && response.success === false) {
+                        throw new Error(response.error);
+                    }
+                    showStatus(done, 'success');
+                    loadBlockedLists();
+                } catch (error) {
+                    console.error('Error removing blocked entry:', error);
+                    showStatus('Failed to update list', 'error');
+                }
+            });
+
+            item.appendChild(text);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    function describeProfile(settings) {
+        return Object.entries(settings)
+            .filter(([key]) => key !== 'joinMode')
+            .map(([key, value]) => {
+                if (key === 'format') return formatLabel(value);
+                if (key === 'joinTemplate') return `join as ${truncate(value, 24)}`;
+                const name = key.replace(/[A-Z]/g, ch => ` ${ch.toLowerCase()}`);
+                return typeof value === 'boolean' ? `${name} ${value ? 'on' : 'off'}` : `${name}: ${value}`;
+            })
+            .join(', ');
+    }
+
+    function renderSiteProfiles(profiles) {
+        const list = elements.siteProfiles;
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (profiles.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'blocked-empty';
+            empty.textContent = 'No site profiles';
+            list.appendChild(empty);
+            return;
+        }
+
+        profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.className = 'blocked-item';
+
+            const text = document.createElement('span');
+            text.className = 'blocked-url';
+            text.textContent = profile.pattern;
+            text.title = profile.pattern;
+
+            const summary = document.createElement('span');
+            summary.className = 'profile-summary';
+            summary.textContent = describeProfile(profile.settings || {});
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-outline btn-small';
+            removeBtn.textContent = 'Remove';
+            removeBtn.setAttribute('aria-label', `Remove the profile for ${profile.pattern}`);
+            removeBtn.addEventListener('click', async () => {
+                try {
+                    const response = await chrome.runtime.sendMessage({ type: 'deleteSiteProfile', pattern: profile.pattern });
+                    if (response && response.success === false) {
+                        throw new Error(response.error);
+                    }
+                    showStatus('Profile removed', 'success');
+                    loadSiteProfiles();
+                } catch (error) {
+                    console.error('Error removing site profile:', error);
+                    showStatus('Failed to remove profile', 'error');
+                }
+            });
+
+            item.appendChild(text);
+            item.appendChild(summary);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    function setupEventListeners() {
+        if (elements.joinMode) {
+            elements.joinMode.addEventListener('change', () => {
+                if (elements.joinTemplateRow) elements.joinTemplateRow.hidden = elements.joinMode.value !== 'template';
+                saveSettings({ joinMode: elements.joinMode.value });
+            });
+        }
+
+        if (elements.joinTemplate) {
+            elements.joinTemplate.addEventListener('change', () => {
+                if (!elements.joinTemplate.value.includes('{content}')) {
+                    showStatus('The template needs a {content} placeholder', 'error');
+                    return;
+                }
+                saveSettings({ joinTemplate: elements.joinTemplate.value });
+            });
+        }
+
+        if (elements.validation) {
+            elements.validation.addEventListener('change', () => {
+                saveSettings({ validation: elements.validation.checked });
+            });
+        }
+
+        if (elements.autoRepair) {
+            elements.autoRepair.addEventListener('change', () => {
+                saveSettings({ autoRepair: elements.autoRepair.checked });
+            });
+        }
+
+        if (elements.resetStatsBtn) {
+            elements.resetStatsBtn.addEventListener('click', async () => {
+                if (!confirm('Reset all usage statistics?')) return;
+                try {
+                    await chrome.runtime.sendMessage({ type: 'updateStats', stats: { action: 'reset' } });
+                    await loadStats();
+                    showStatus('Statistics reset', 'success');
+                } catch (error) {
+                    console.error('Error resetting stats:', error);
+                    showStatus('Failed to reset statistics', 'error');
+                }
+            });
+        }
+
+        if (elements.clearHistoryBtn) {
+            elements.clearHistoryBtn.addEventListener('click', async () => {
+                if (!confirm('Delete the whole clipboard history?')) return;
+                try {
+                    await chrome.runtime.sendMessage({ type: 'clearHistory' });
+                    history = [];
+                    selectedIds.clear();
+                    populateFilterOptions();
+                    renderHistory();
+                    showStatus('History cleared', 'success');
+                } catch (error) {
+                    console.error('Error clearing history:', error);
+                    showStatus('Failed to clear history', 'error');
+                }
+            });
+        }
+
+        [elements.historySearch, elements.filterFormat, elements.filterSource, elements.filterSite, elements.filterFrom, elements.filterTo]
+            .filter(Boolean)
+            .forEach(control => control.addEventListener('input', renderHistory));
+
+        [elements.snippetSearch, elements.snippetFolder]
+            .filter(Boolean)
+            .forEach(control => control.addEventListener('input', renderSnippets));
+
+        if (elements.selectAllHistory) {
+            elements.selectAllHistory.addEventListener('change', () => {
+                getFilteredHistory().forEach(item => {
+                    if (elements.selectAllHistory.checked) {
+                        selectedIds.add(String(item.id));
+                    } else {
+                        selectedIds.delete(String(item.id));
+                    }
+                });
+                renderHistory();
+            });
+        }
+
+        if (elements.copySelectedBtn) {
+            elements.copySelectedBtn.addEventListener('click', async () => {
+                // Keep history order (newest first) rather than click order
+                const formulas = history
+                    .filter(item => selectedIds.has(String(item.id)))
+                    .map(item => item.formula);
+                if (formulas.length === 0) return;
+                await copyText(formulas.join('\n\n'), `Copied ${formulas.length} equations`);
+            });
+        }
+
+        if (elements.deleteSelectedBtn) {
+            elements.deleteSelectedBtn.addEventListener('click', async () => {
+                const ids = Array.from(selectedIds);
+                if (ids.length === 0 || !confirm(`Delete ${ids.length} equations from history?`)) return;
+                await deleteHistoryItems(ids);
+            });
+        }
+
+        if (elements.blockSiteForm) {
+            elements.blockSiteForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const rule = elements.blockSiteInput.value.trim();
+                if (!rule) {
+                    showStatus('Enter a site or pattern', 'error');
+                    return;
+                }
+                // The background checks the pattern and reports one it can't use
+                const allow = elements.siteListMode && elements.siteListMode.value === 'allow';
+                try {
+                    const response = await chrome.runtime.sendMessage({ type: allow ? 'allowOnSite' : 'disableOnSite', url: rule });
+                    if (response && response.success === false) {
+                        throw new Error(response.error);
+                    }
+                    elements.blockSiteInput.value = '';
+                    showStatus(allow ? `Allowed on ${rule}` : `Disabled on ${rule}`, 'success');
+                    loadBlockedLists();
+                } catch (error) {
+                    console.error('Error updating site list:', error);
+                    showStatus(error.message ? `Invalid pattern: ${error.message}` : 'Failed to update site list', 'error');
+                }
+            });
+        }
+
+        if (elements.siteListMode) {
+            elements.siteListMode.addEventListener('change', async () => {
+                const mode = elements.siteListMode.value;
+                try {
+                    await chrome.runtime.sendMessage({ type: 'setSiteListMode', mode });
+                    renderSiteListMode(mode);
+                    showStatus(mode === 'allow' ? 'Math Copy now runs only on allowed sites' : 'Math Copy now runs on every site except the disabled ones', 'success');
+                } catch (error) {
+                    console.error('Error changing site list mode:', error);
+                    showStatus('Failed to change mode', 'error');
+                }
+            });
+        }
+
+        elements.exportButtons.forEach(button => {
+            button.addEventListener('click', () => exportData(button.dataset.export));
+        });
+
+        if (elements.importBtn && elements.importFile) {
+            elements.importBtn.addEventListener('click', () => elements.importFile.click());
+            elements.importFile.addEventListener('change', async () => {
+                const [file] = elements.importFile.files;
+                if (file) await importFile(file);
+                // Let the same file be picked again
+                elements.importFile.value = '';
+            });
+        }
+    }
+
+    async function collectExportData() {
+        const [stats, currentHistory, currentSnippets, disabledSites, disabledPages] = await Promise.all([
+            chrome.runtime.sendMessage({ type: 'getStats' }),
+            chrome.runtime.sendMessage({ type: 'getHistory' }),
+            chrome.runtime.sendMessage({ type: 'listSnippets' }),
+            chrome.runtime.sendMessage({ type: 'getBlockedSites' }),
+            chrome.runtime.sendMessage({ type: 'getBlockedPages' })
+        ]);
+
+        return {
+            exportedAt: new Date().toISOString(),
+            version: chrome.runtime.getManifest().version,
+            settings,
+            stats: stats || {},
+            history: Array.isArray(currentHistory) ? currentHistory : [],
+            snippets: Array.isArray(currentSnippets) ? currentSnippets : [],
+            disabledSites: Array.isArray(disabledSites) ? disabledSites : [],
+            disabledPages: Array.isArray(disabledPages) ? disabledPages : []
+        };
+    }
+
+    async function exportData(format) {
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) return;
+
+        try {
+            const data = await collectExportData();
+            const { content, skipped } = exporter.build(data);
+            downloadFile(content, `math-copy-export-${data.exportedAt.slice(0, 10)}.${exporter.extension}`, exporter.type);
+            showStatus(skipped ? `Export downloaded (${skipped} without a TeX form left out)` : 'Export downloaded', 'success');
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            showStatus('Export failed', 'error');
+        }
+    }
+
+    async function importFile(file) {
+        try {
+            if (file.size > 10 * 1024 * 1024) {
+                throw new Error('File too large (max 10 MB)');
+            }
+            const text = await file.text();
+            const extension = (file.name.split('.').pop() || '').toLowerCase();
+            const data = parseImport(text, extension);
+            if (data.history.length === 0 && data.snippets.length === 0) {
+                throw new Error('No equations found in the file');
+            }
+
+            // The background validates every entry with the same checks as a new copy
+            const response = await chrome.runtime.sendMessage({ type: 'importData', data });
+            if (!response || response.success === false) {
+                throw new Error(response && response.error);
+            }
+
+            await Promise.all([loadHistory(), loadSnippets()]);
+            const skipped = response.skipped ? `, skipped ${response.skipped} invalid` : '';
+            const dropped = response.dropped ? `, ${response.dropped} older history items left out over the history limit` : '';
+            const historyOff = response.historyOff ? ' (clipboard history is off, so history entries were left out)' : '';
+            showStatus(`Imported ${response.history} history items and ${response.snippets} snippets${skipped}${dropped}${historyOff}`, 'success');
+        } catch (error) {
+            console.error('Error importing data:', error);
+            showStatus(error.message || 'Import failed', 'error');
+        }
+    }
+
+    function parseImport(text, extension) {
+        if (extension === 'json') {
+            const parsed = JSON.parse(text);
+            // A bare array is treated as a history list
+            return Array.isArray(parsed)
+                ? { history: parsed, snippets: [] }
+                : {
+                    history: Array.isArray(parsed.history) ? parsed.history : [],
+                    snippets: Array.isArray(parsed.snippets) ? parsed.snippets : []
+                };
+        }
+        if (extension === 'csv') {
+            return splitByKind(parseCsvEntries(text));
+        }
+        if (extension === 'tex') {
+            return splitByKind(parseBlocks(text, TEX_BLOCKS));
+        }
+        if (extension === 'md' || extension === 'markdown') {
+            return splitByKind(parseBlocks(text, MARKDOWN_BLOCKS));
+        }
+        throw new Error('Unsupported file type');
+    }
+
+    function splitByKind(entries) {
+        return {
+            history: entries.filter(entry => entry.kind !== 'snippet'),
+            snippets: entries.filter(entry => entry.kind === 'snippet')
+        };
+    }
+
+    // --- Export builders ---
+
+    const CSV_COLUMNS = ['kind', 'name', 'format', 'formula', 'source', 'site', 'url', 'title', 'heading', 'label', 'tags', 'folder', 'timestamp'];
+
+    // Everything but the formula, written beside each equation so .tex and .md files import back losslessly
+    const BLOCK_METADATA = ['kind', 'name', 'format', 'source', 'site', 'url', 'title', 'heading', 'label', 'tags', 'folder', 'timestamp'];
+
+    const EXPORT_FORMATS = {
+        json: {
+            extension: 'json',
+            type: 'application/json',
+            build: data => ({ content: JSON.stringify(data, null, 2) })
+        },
+        csv: {
+            extension: 'csv',
+            type: 'text/csv',
+            build: data => {
+                const rows = exportEntries(data).map(entry => CSV_COLUMNS.map(column =>
+                    column === 'tags' ? (entry.tags || []).join('; ') : entry[column]));
+                return { content: [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n' };
+            }
+        },
+        tex: {
+            extension: 'tex',
+            type: 'application/x-tex',
+            build: buildTexDocument
+        },
+        md: {
+            extension: 'md',
+            type: 'text/markdown',
+            build: buildMarkdownDocument
+        }
+    };
+
+    function exportSections(data) {
+        return [
+            ['Snippets', data.snippets.map(snippet => ({ ...snippet, kind: 'snippet', timestamp: snippet.createdAt }))],
+            ['History', data.history.map(item => ({ ...item, kind: 'history' }))]
+        ];
+    }
+
+    function exportEntries(data) {
+        return exportSections(data).flatMap(([, entries]) => entries);
+    }
+
+    function blockMetadata(entry) {
+        const meta = {};
+        BLOCK_METADATA.forEach(key => {
+            const value = entry[key];
+            if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+                meta[key] = value;
+            }
+        });
+        return JSON.stringify(meta);
+    }
+
+    // TeX for the .tex and Markdown exports, from the formula or the captured representations
+    function texOf(entry) {
+        if (entry.format === 'latex') return entry.formula;
+        return entry.representations && typeof entry.representations.latex === 'string'
+            ? entry.representations.latex
+            : null;
+    }
+
+    function buildTexDocument(data) {
+        const lines = [
+            `% Exported from Math Copy on ${data.exportedAt}`,
+            '\\documentclass{article}',
+            '\\usepackage{amsmath,amssymb}',
+            '\\begin{document}',
+            ''
+        ];
+        let skipped = 0;
+
+        exportSections(data).forEach(([title, entries]) => {
+            const equations = entries.filter(entry => texOf(entry));
+            skipped += entries.length - equations.length;
+            if (equations.length === 0) return;
+
+            lines.push(`\\section*{${title}}`, '');
+            equations.forEach(entry => {
+                if (entry.name) {
+                    lines.push(`\\paragraph{${escapeTex(entry.name)}}`);
+                }
+                // The equation written is TeX, so it imports back as TeX
+                lines.push(`% mathcopy: ${blockMetadata({ ...entry, format: 'latex' })}`);
+                lines.push('\\begin{equation}', texOf(entry).trim(), '\\end{equation}', '');
+            });
+        });
+
+        lines.push('\\end{document}', '');
+        return { content: lines.join('\n'), skipped };
+    }
+
+    function buildMarkdownDocument(data) {
+        const lines = ['# Math Copy export', '', `_Exported ${data.exportedAt}_`, ''];
+
+        exportSections(data).forEach(([title, entries]) => {
+            if (entries.length === 0) return;
+            lines.push(`## ${title}`, '');
+            entries.forEach(entry => {
+                if (entry.name) {
+                    lines.push(`### ${entry.name.replace(/\s+/g, ' ')}`, '');
+                }
+                const tex = texOf(entry);
+                const meta = blockMetadata(tex ? { ...entry, format: 'latex' } : entry);
+                lines.push(`<!-- mathcopy: ${meta.replace(/--/g, '\\u002d\\u002d')} -->`);
+                if (tex) {
+                    lines.push('$$', tex.trim(), '$$', '');
+                } else {
+                    // Non-TeX formats go in a code block long enough not to be closed by the formula
+                    const longest = Math.max(2, ...(entry.formula.match(/`+/g) || []).map(run => run.length));
+                    const fence = '`'.repeat(longest + 1);
+                    lines.push(`${fence}${entry.format || ''}`, entry.formula, fence, '');
+                }
+            });
+        });
+
+        return { content: lines.join('\n'), skipped: 0 };
+    }
+
+    function csvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        // Keep spreadsheets from evaluating formulas such as "-x+1"; the import strips the guard
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function escapeTex(text) {
+        return String(text).replace(/[\\{}$&#^_%~]/g, ch => ({
+            '\\': '\\textbackslash{}',
+            '~': '\\textasciitilde{}',
+            '^': '\\textasciicircum{}'
+        })[ch] || `\\${ch}`);
+    }
+
+    // --- Import parsers ---
+
+    function parseCsvEntries(text) {
+        const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+        if (rows.length < 2) return [];
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        return rows.slice(1)
+            .filter(row => row.some(cell => cell !== ''))
+            .map(row => {
+                const entry = {};
+                header.forEach((column, i) => {
+                    const value = (row[i] || '').replace(/^'(?=[=+\-@])/, '');
+                    if (value !== '') entry[column] = value;
+                });
+                if (entry.tags) {
+                    entry.tags = entry.tags.split(';').map(tag => tag.trim()).filter(Boolean);
+                }
+                return entry;
+            });
+    }
+
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    const TEX_BLOCKS = {
+        meta: /^%\s*mathcopy:\s*(\{.*\})\s*$/,
+        open: line => /^\\begin\{(equation\*?|displaymath)\}\s*$/.exec(line),
+        close: (line, open) => line === `\\end{${open[1]}}`,
+        format: () => 'latex'
+    };
+
+    const MARKDOWN_BLOCKS = {
+        meta: /^<!--\s*mathcopy:\s*(\{.*\})\s*-->$/,
+        open: line => (line === '$$' ? [line] : /^(`{3,}|~{3,})\s*([\w-]*)\s*$/.exec(line)),
+        close: (line, open) => line === open[1] || (open[0] === '$$' && line === '$$'),
+        format: open => (open[0] === '$$' ? 'latex' : open[2] || 'mathml')
+    };
+
+    // Equation blocks, each with the metadata comment written just before it if there is one
+    function parseBlocks(text, syntax) {
+        const entries = [];
+        let meta = null;
+        let open = null;
+        let body = [];
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (open) {
+                if (syntax.close(line, open)) {
+                    const formula = body.join('\n').trim();
+                    if (formula) {
+                        entries.push({
+                            source: 'Imported',
+                            format: syntax.format(open),
+                            ...(meta || {}),
+                            formula
+                        });
+                    }
+                    open = null;
+                    meta = null;
+                    body = [];
+                } else {
+                    body.push(rawLine);
+                }
+                return;
+            }
+
+            const metaMatch = syntax.meta.exec(line);
+            if (metaMatch) {
+                try {
+                    meta = JSON.parse(metaMatch[1]);
+                } catch (error) {
+                    meta = null;
+                }
+                return;
+            }
+            open = syntax.open(line);
+        });
+
+        return entries;
+    }
+
+    function downloadFile(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function copyText(text, message = 'Copied from history!') {
+        try {
+            await navigator.clipboard.writeText(text);
+            showStatus(message, 'success');
+        } catch (error) {
+            console.error('Failed to copy from history:', error);
+            showStatus('Failed to copy. Please try again.', 'error');
+        }
+    }
+
+    let statusTimeout;
+    function showStatus(message, type = 'info') {
+        clearTimeout(statusTimeout);
+        if (elements.statusText) {
+            elements.statusText.textContent = message;
+        }
+        if (elements.statusBar) {
+            elements.statusBar.className = `status-bar ${type}`;
+            elements.statusBar.classList.remove('hidden');
+        }
+        statusTimeout = setTimeout(() => {
+            if (elements.statusBar) {
+                elements.statusBar.classList.add('hidden');
+            }
+        }, 3000);
+    }
+
+    function formatLabel(format) {
+        return FORMAT_LABELS[format] || String(format || 'unknown').toUpperCase().slice(0, 20);
+    }
+
+    function truncate(text, length = 40) {
+        return text.length > length ? text.substring(0, length) + '...' : text;
+    }
+
+    function formatDate(timestamp) {
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? '' : date.toLocaleString();
+    }
+
+    chrome.runtime.onMessage.addListener((message) => {
+        switch (message.type) {
+            case 'statsUpdated':
+                if (message.stats) {
+                    renderStats(message.stats);
+                }
+                break;
+
+            case 'historyUpdated':
+                loadHistory();
+                loadStats();
+                break;
+
+            case 'snippetsUpdated':
+                loadSnippets();
+                break;
+
+            case 'siteProfilesUpdated':
+                loadSiteProfiles();
+                break;
+        }
+    });
+
+    try {
+        await loadSettings();
+        await Promise.all([loadStats(), loadHistory(), loadSnippets(), loadBlockedLists(), loadSiteProfiles()]);
+        setupEventListeners();
+    } catch (error) {
+        console.error('Error initializing advanced settings:', error);
+        showStatus('Error initializing page', 'error');
+    }
+});
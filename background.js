@@ -1,7 +1,24 @@
 const CONSTANTS = {
     MAX_HISTORY_ITEMS: 50,
+    MAX_SNIPPETS: 500,
     MAX_NOTIFICATION_DURATION: 5000,
-    VALID_FORMATS: ['mathml', 'latex', 'unicode', 'asciimath']
+    // The content script of a freshly opened tab needs a moment before it answers
+    JUMP_RETRY_ATTEMPTS: 10,
+    JUMP_RETRY_DELAY: 500,
+    VALID_FORMATS: ['mathml', 'latex', 'unicode', 'asciimath', 'omml', 'typst', 'content-mathml', 'sympy', 'all'],
+    // How a multi-selection is combined; 'auto' picks align* for LaTeX and one <mtable> for MathML
+    JOIN_MODES: ['auto', 'separate', 'align', 'gather', 'list', 'mtable', 'template'],
+    MAX_JOIN_TEMPLATE_LENGTH: 500,
+    // Document formats for "Collect all equations"
+    HARVEST_FORMATS: ['latex', 'markdown', 'html', 'json'],
+    // Formats captured with every copy so history can be re-copied in any of them
+    REPRESENTATION_FORMATS: ['mathml', 'latex', 'unicode', 'asciimath'],
+    // Context menu ids that don't lowercase to their format name
+    MENU_FORMATS: { copyContentMathML: 'content-mathml', copyAllFormats: 'all' },
+    MAX_SITE_PROFILES: 200,
+    MAX_SITE_PATTERN_LENGTH: 500,
+    // 'block' runs everywhere except the disabled sites; 'allow' runs only on the allowed ones
+    SITE_LIST_MODES: ['block', 'allow']
 };
 
 const defaultSettings = {
@@ -9,11 +26,19 @@ const defaultSettings = {
     autoCopy: true,
     previewMode: false,
     validation: true,
+    // Rewrite common MathML problems found by validation instead of only reporting them
+    autoRepair: false,
     darkMode: false,
     multiSelection: true,
     clipboardHistory: true,
     showTooltips: true,
-    keyboardShortcuts: true
+    keyboardShortcuts: true,
+    // Plain-text flavor written alongside HTML and image in the 'all' format
+    plainTextFormat: 'latex',
+    harvestFormat: 'latex',
+    joinMode: 'auto',
+    // Repeated for each selected equation; {index}, {content} and {source} are filled in
+    joinTemplate: '{index}. {content}'
 };
 
 let historyIdCounter = 0;
@@ -97,6 +122,36 @@ function setupContextMenu() {
             title: 'Copy as AsciiMath',
             contexts: ['page', 'selection']
         });
+        chrome.contextMenus.create({
+            id: 'copyOMML',
+            title: 'Copy as OMML (native Word equation)',
+            contexts: ['page', 'selection']
+        });
+        chrome.contextMenus.create({
+            id: 'copyTypst',
+            title: 'Copy as Typst',
+            contexts: ['page', 'selection']
+        });
+        chrome.contextMenus.create({
+            id: 'copyContentMathML',
+            title: 'Copy as Content MathML',
+            contexts: ['page', 'selection']
+        });
+        chrome.contextMenus.create({
+            id: 'copySymPy',
+            title: 'Copy as SymPy (Python)',
+            contexts: ['page', 'selection']
+        });
+        chrome.contextMenus.create({
+            id: 'copyAllFormats',
+            title: 'Copy all formats (Word, TeX and image)',
+            contexts: ['page', 'selection']
+        });
+        chrome.contextMenus.create({
+            id: 'selectInSelection',
+            title: 'Select equations in highlighted text',
+            contexts: ['selection']
+        });
         chrome.contextMenus.create({
             id: 'separator1',
             type: 'separator',
@@ -124,8 +179,14 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
         }
         return;
     }
+
+    if (info.menuItemId === 'selectInSelection') {
+        chrome.tabs.sendMessage(tab.id, { type: 'selectInTextSelection' }, { frameId: info.frameId || 0 })
+            .catch(err => console.error('Failed to select equations in text selection:', err));
+        return;
+    }
     
-    const format = info.menuItemId.replace('copy', '').toLowerCase();
+    const format = CONSTANTS.MENU_FORMATS[info.menuItemId] || info.menuItemId.replace('copy', '').toLowerCase();
     if (!CONSTANTS.VALID_FORMATS.includes(format)) {
         console.error('Invalid format in context menu:', format);
         return;
@@ -211,12 +272,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 }
                 return saveSettings(msg.settings);
             },
-            equationCopied: (msg) => {
+            equationCopied: (msg, sender) => {
                 const data = msg.data || {
                     formula: msg.formula,
                     format: msg.format,
                     source: msg.source,
-                    count: msg.count
+                    count: msg.count,
+                    preview: msg.preview,
+                    representations: msg.representations,
+                    location: msg.location
                 };
                 
                 if (!data || typeof data !== 'object') {
@@ -228,18 +292,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     throw new Error('Invalid equation data: missing formula or content');
                 }
                 
-                return addToHistory(data);
+                return addToHistory({
+                    ...data,
+                    site: getSenderSite(sender),
+                    pageUrl: sender && sender.tab ? sender.tab.url : undefined
+                });
             },
             getHistory: async () => {
                 const history = await getHistory();
                 return history; // Return array directly
             },
             clearHistory: () => clearHistory(),
-            validateMathML: (msg) => {
-                if (!msg.mathml || typeof msg.mathml !== 'string') {
-                    return { valid: false, error: 'Invalid MathML string' };
+            listSnippets: () => getSnippets(),
+            importData: (msg) => {
+                if (!msg.data || typeof msg.data !== 'object') {
+                    throw new Error('Invalid import data');
+                }
+                return importData(msg.data);
+            },
+            saveSnippet: (msg) => {
+                if (!msg.snippet || typeof msg.snippet !== 'object') {
+                    throw new Error('Invalid snippet');
+                }
+                return saveSnippet(msg.snippet);
+            },
+            deleteSnippet: (msg) => {
+                if (!msg.id) {
+                    throw new Error('Invalid snippet id');
+                }
+                return deleteSnippet(msg.id);
+            },
+            reorderSnippets: (msg) => {
+                if (!Array.isArray(msg.ids)) {
+                    throw new Error('Invalid snippet order');
+                }
+                return reorderSnippets(msg.ids);
+            },
+            jumpToSource: (msg) => {
+                if (!msg.id) {
+                    throw new Error('Invalid history item id');
                 }
-                return { valid: validateMathML(msg.mathml) };
+                return jumpToSource(msg.id);
+            },
+            deleteHistoryItems: (msg) => {
+                if (!Array.isArray(msg.ids) || msg.ids.length === 0) {
+                    throw new Error('Invalid history item ids');
+                }
+                return deleteHistoryItems(msg.ids);
             },
             getStats: async () => {
                 const stats = await getStats();
@@ -288,12 +387,61 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             getBlockedPages: async () => {
                 const result = await chrome.storage.local.get('disabledPages');
                 return result.disabledPages || [];
+            },
+            getAllowedSites: async () => {
+                const result = await chrome.storage.local.get('allowedSites');
+                return result.allowedSites || [];
+            },
+            allowOnSite: (msg) => {
+                if (!msg.url || typeof msg.url !== 'string') {
+                    throw new Error('Invalid URL');
+                }
+                return allowOnSite(msg.url);
+            },
+            removeAllowedSite: (msg) => {
+                if (!msg.url || typeof msg.url !== 'string') {
+                    throw new Error('Invalid URL');
+                }
+                return removeAllowedSite(msg.url);
+            },
+            getSiteListMode: async () => {
+                const result = await chrome.storage.local.get('siteListMode');
+                return { mode: result.siteListMode === 'allow' ? 'allow' : 'block' };
+            },
+            setSiteListMode: async (msg) => {
+                if (!CONSTANTS.SITE_LIST_MODES.includes(msg.mode)) {
+                    throw new Error('Invalid site list mode');
+                }
+                await chrome.storage.local.set({ siteListMode: msg.mode });
+                return { success: true };
+            },
+            getSiteProfiles: () => getSiteProfiles(),
+            getSiteProfile: (msg) => {
+                if (!msg.url || typeof msg.url !== 'string') {
+                    throw new Error('Invalid URL');
+                }
+                return getSiteProfile(msg.url);
+            },
+            saveSiteProfile: (msg) => {
+                if (!msg.pattern || typeof msg.pattern !== 'string') {
+                    throw new Error('Invalid site pattern');
+                }
+                if (!msg.settings || typeof msg.settings !== 'object') {
+                    throw new Error('Invalid site settings');
+                }
+                return saveSiteProfile(msg.pattern, msg.settings, msg.previousPattern);
+            },
+            deleteSiteProfile: (msg) => {
+                if (!msg.pattern || typeof msg.pattern !== 'string') {
+                    throw new Error('Invalid site pattern');
+                }
+                return deleteSiteProfile(msg.pattern);
             }
         };
 
         const handler = messageHandlers[message.type];
         if (handler) {
-            Promise.resolve(handler(message))
+            Promise.resolve(handler(message, sender))
                 .then(result => {
                     if (message.type === 'getHistory' || message.type === 'getStats') {
                         sendResponse(result);
@@ -343,31 +491,106 @@ async function getSettings() {
     return { ...defaultSettings, ...result.mathCopySettings };
 }
 
+// The settings in effect on a page: the global ones with its site profile applied
+async function getSettingsForUrl(url) {
+    const settings = await getSettings();
+    if (!url) return settings;
+    return { ...settings, ...(await getSiteProfile(url)).settings };
+}
+
+/**
+ * Site profiles override any of the default settings on matching pages. A profile is
+ * keyed by an origin (https://arxiv.org) or a URL pattern in which * matches anything
+ * (https://*.stackexchange.com); a pattern without a path covers the whole site.
+ */
+async function getSiteProfiles() {
+    const result = await chrome.storage.local.get('siteProfiles');
+    return Array.isArray(result.siteProfiles) ? result.siteProfiles : [];
+}
+
+// The overrides for a URL, merged from the least to the most specific matching profile
+async function getSiteProfile(url) {
+    const profiles = (await getSiteProfiles())
+        .filter(profile => urlRuleMatches(profile.pattern, url))
+        .sort((a, b) => a.pattern.length - b.pattern.length);
+
+    return {
+        profiles,
+        settings: Object.assign({}, ...profiles.map(profile => profile.settings))
+    };
+}
+
+async function saveSiteProfile(pattern, overrides, previousPattern) {
+    const key = normalizeSitePattern(pattern);
+    const settings = normalizeProfileSettings(overrides);
+    if (Object.keys(settings).length === 0) {
+        return deleteSiteProfile(previousPattern || key);
+    }
+
+    const previous = previousPattern ? normalizeSitePattern(previousPattern) : key;
+    const profiles = (await getSiteProfiles()).filter(profile => profile.pattern !== previous && profile.pattern !== key);
+    if (profiles.length >= CONSTANTS.MAX_SITE_PROFILES) {
+        throw new Error('Too many site profiles');
+    }
+
+    const profile = { pattern: key, settings, updatedAt: new Date().toISOString() };
+    profiles.push(profile);
+    await chrome.storage.local.set({ siteProfiles: profiles });
+    broadcastSiteProfilesUpdated();
+    return { success: true, profile };
+}
+
+async function deleteSiteProfile(pattern) {
+    const key = normalizeSitePattern(pattern);
+    const profiles = await getSiteProfiles();
+    await chrome.storage.local.set({ siteProfiles: profiles.filter(profile => profile.pattern !== key) });
+    broadcastSiteProfilesUpdated();
+    return { success: true };
+}
+
+// Only keys of defaultSettings can be overridden, with the same checks as saveSettings
+function normalizeProfileSettings(overrides) {
+    const normalized = normalizeSettings({ ...defaultSettings, ...overrides });
+    const settings = {};
+    Object.keys(overrides).forEach(key => {
+        if (key in defaultSettings && overrides[key] !== undefined && overrides[key] !== null) {
+            settings[key] = normalized[key];
+        }
+    });
+    return settings;
+}
+
+// Origins are stored without a trailing slash so the same site always gets one key
+function normalizeSitePattern(pattern) {
+    const trimmed = normalizeUrlRule(pattern);
+    if (parseUrlRule(trimmed).regex) {
+        return trimmed;
+    }
+    const withScheme = trimmed.includes('://') ? trimmed : `https://${trimmed}`;
+    return /^[^:]+:\/\/[^/]+\/$/.test(withScheme) ? withScheme.slice(0, -1) : withScheme;
+}
+
+// Open pages resolve their profile again; the popup and settings page reload their lists
+function broadcastSiteProfilesUpdated() {
+    try {
+        chrome.runtime.sendMessage({ type: 'siteProfilesUpdated' }).catch(() => {});
+    } catch (e) {
+        // ignore
+    }
+    chrome.tabs.query({}).then(tabs => {
+        tabs.forEach(tab => {
+            chrome.tabs.sendMessage(tab.id, { type: 'siteProfilesUpdated' }).catch(() => {});
+        });
+    }).catch(() => {});
+}
+
 async function saveSettings(settings) {
     try {
         if (!settings || typeof settings !== 'object') {
             throw new Error('Invalid settings object');
         }
         
-        if (!settings.format || !CONSTANTS.VALID_FORMATS.includes(settings.format)) {
-            settings.format = 'mathml';
-        }
-        
-        const validatedSettings = {
-            ...defaultSettings,
-            ...settings,
-            format: settings.format,
-            autoCopy: Boolean(settings.autoCopy),
-            previewMode: Boolean(settings.previewMode),
-            validation: Boolean(settings.validation),
-            darkMode: Boolean(settings.darkMode),
-            multiSelection: Boolean(settings.multiSelection),
-            clipboardHistory: Boolean(settings.clipboardHistory),
-            showTooltips: Boolean(settings.showTooltips),
-            keyboardShortcuts: Boolean(settings.keyboardShortcuts)
-        };
-        
-        await chrome.storage.sync.set({ mathCopySettings: validatedSettings });
+        await chrome.storage.sync.set({ mathCopySettings: normalizeSettings(settings) });
         return { success: true };
     } catch (error) {
         console.error('Error saving settings:', error);
@@ -378,42 +601,49 @@ async function saveSettings(settings) {
     }
 }
 
+// Every setting coerced to its type and allowed values; unknown keys are kept as they are
+function normalizeSettings(settings) {
+    if (!settings.format || !CONSTANTS.VALID_FORMATS.includes(settings.format)) {
+        settings.format = 'mathml';
+    }
+    
+    return {
+        ...defaultSettings,
+        ...settings,
+        format: settings.format,
+        autoCopy: Boolean(settings.autoCopy),
+        previewMode: Boolean(settings.previewMode),
+        validation: Boolean(settings.validation),
+        autoRepair: Boolean(settings.autoRepair),
+        darkMode: Boolean(settings.darkMode),
+        multiSelection: Boolean(settings.multiSelection),
+        clipboardHistory: Boolean(settings.clipboardHistory),
+        showTooltips: Boolean(settings.showTooltips),
+        keyboardShortcuts: Boolean(settings.keyboardShortcuts),
+        plainTextFormat: settings.plainTextFormat === 'unicode' ? 'unicode' : 'latex',
+        harvestFormat: CONSTANTS.HARVEST_FORMATS.includes(settings.harvestFormat) ? settings.harvestFormat : 'latex',
+        joinMode: CONSTANTS.JOIN_MODES.includes(settings.joinMode) ? settings.joinMode : 'auto',
+        joinTemplate: typeof settings.joinTemplate === 'string' && settings.joinTemplate.includes('{content}')
+            ? settings.joinTemplate.slice(0, CONSTANTS.MAX_JOIN_TEMPLATE_LENGTH)
+            : defaultSettings.joinTemplate
+    };
+}
+
 async function addToHistory(data) {
     try {
-        
-        if (!data || typeof data !== 'object') {
-            console.error('Invalid history data: data is not an object', data);
-            throw new Error('Invalid history data');
-        }
-        
-        const formula = data.formula || data.content;
-        if (!formula || typeof formula !== 'string') {
-            console.error('Invalid formula content: must be a string', { formula, type: typeof formula });
-            throw new Error('Invalid formula content: must be a string');
-        }
-        
-        const trimmedFormula = formula.trim();
-        if (trimmedFormula.length === 0) {
-            console.error('Invalid formula content: cannot be empty');
-            throw new Error('Invalid formula content: cannot be empty');
-        }
-        
-        if (trimmedFormula.length > 1000000) {
-            console.error('Formula too large:', trimmedFormula.length);
-            throw new Error('Formula too large (max 1MB)');
-        }
-        
-        let format = data.format;
-        if (!format || !CONSTANTS.VALID_FORMATS.includes(format)) {
-            console.warn('Invalid or missing format, using default (mathml):', format);
-            format = 'mathml';
-        }
-        
-        let source = data.source || 'Unknown';
-        if (typeof source !== 'string') {
-            source = String(source);
+        const entry = validateHistoryEntry(data);
+        const format = entry.format;
+
+        // Privacy mode: the copy still counts in the statistics, but its content is never stored
+        const settings = await getSettingsForUrl(data.pageUrl);
+        if (!settings.clipboardHistory) {
+            try {
+                await updateStats({ format: format, action: 'copy' });
+            } catch (statsError) {
+                console.error('Failed to update stats:', statsError);
+            }
+            return { success: true, stored: false };
         }
-        source = source.slice(0, 100);
         
         console.log('Loading existing history from storage...');
         const result = await chrome.storage.local.get('mathCopyHistory');
@@ -425,9 +655,7 @@ async function addToHistory(data) {
         
         const historyItem = {
             id: uniqueId,
-            formula: trimmedFormula,
-            format: format,
-            source: source,
+            ...entry,
             timestamp: new Date().toISOString()
         };
         
@@ -464,6 +692,164 @@ async function addToHistory(data) {
     }
 }
 
+/**
+ * Checks shared by new copies and imported entries. Throws on unusable formulas;
+ * everything else is normalized to safe defaults.
+ */
+function validateHistoryEntry(data) {
+    if (!data || typeof data !== 'object') {
+        console.error('Invalid history data: data is not an object', data);
+        throw new Error('Invalid history data');
+    }
+    
+    const formula = data.formula || data.content;
+    if (!formula || typeof formula !== 'string') {
+        console.error('Invalid formula content: must be a string', { formula, type: typeof formula });
+        throw new Error('Invalid formula content: must be a string');
+    }
+    
+    const trimmedFormula = formula.trim();
+    if (trimmedFormula.length === 0) {
+        console.error('Invalid formula content: cannot be empty');
+        throw new Error('Invalid formula content: cannot be empty');
+    }
+    
+    if (trimmedFormula.length > 1000000) {
+        console.error('Formula too large:', trimmedFormula.length);
+        throw new Error('Formula too large (max 1MB)');
+    }
+    
+    let format = data.format;
+    if (!format || !CONSTANTS.VALID_FORMATS.includes(format)) {
+        console.warn('Invalid or missing format, using default (mathml):', format);
+        format = 'mathml';
+    }
+    
+    let source = data.source || 'Unknown';
+    if (typeof source !== 'string') {
+        source = String(source);
+    }
+    source = source.slice(0, 100);
+
+    const site = typeof data.site === 'string' ? data.site.slice(0, 255) : '';
+    // Fresh copies report a location object; stored and imported entries carry the fields flat
+    const location = sanitizeLocation(data.location || {
+        ...(data.locator && typeof data.locator === 'object' ? data.locator : {}),
+        url: data.url,
+        title: data.title,
+        heading: data.heading,
+        label: data.label
+    }, data.pageUrl);
+
+    // Rendered in the history browser; only MathML markup is kept
+    const preview = typeof data.preview === 'string' && data.preview.trim().startsWith('<math') && data.preview.length < 100000
+        ? data.preview.trim()
+        : null;
+
+    return {
+        formula: trimmedFormula,
+        format,
+        source,
+        site,
+        preview,
+        representations: sanitizeRepresentations(data.representations),
+        ...location
+    };
+}
+
+// Keeps the known formats whose value is a usable string; null when none are left
+function sanitizeRepresentations(representations) {
+    if (!representations || typeof representations !== 'object') {
+        return null;
+    }
+
+    const clean = {};
+    CONSTANTS.REPRESENTATION_FORMATS.forEach(format => {
+        const value = representations[format];
+        if (typeof value !== 'string' || value.trim().length === 0 || value.length > 100000) return;
+        if (format === 'mathml' && !value.trim().startsWith('<math')) return;
+        clean[format] = value.trim();
+    });
+    return Object.keys(clean).length > 0 ? clean : null;
+}
+
+/**
+ * Merges exported history and snippets back in. Entries go through the same
+ * validation as new copies; invalid ones are counted and skipped.
+ */
+async function importData(data) {
+    const result = { success: true, history: 0, snippets: 0, skipped: 0, dropped: 0 };
+    const settings = await getSettings();
+
+    if (Array.isArray(data.history) && data.history.length > 0 && !settings.clipboardHistory) {
+        // History is off, so imported entries are not stored either
+        result.historyOff = true;
+    } else if (Array.isArray(data.history) && data.history.length > 0) {
+        const stored = await chrome.storage.local.get('mathCopyHistory');
+        const history = Array.isArray(stored.mathCopyHistory) ? stored.mathCopyHistory : [];
+        const seen = new Set(history.map(item => `${item.format}\u0000${item.formula}\u0000${item.timestamp}`));
+        const imported = new Set();
+
+        data.history.forEach(raw => {
+            try {
+                const entry = validateHistoryEntry(raw);
+                const time = new Date(raw.timestamp);
+                const timestamp = isNaN(time.getTime()) ? new Date().toISOString() : time.toISOString();
+                const key = `${entry.format}\u0000${entry.formula}\u0000${timestamp}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                const id = `${Date.now()}-${++historyIdCounter}`;
+                history.push({ id, ...entry, timestamp });
+                imported.add(id);
+            } catch (error) {
+                result.skipped++;
+            }
+        });
+
+        // Newest first, then the usual rolling limit; only the imported entries that survive it count
+        history.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+        const kept = history.slice(0, CONSTANTS.MAX_HISTORY_ITEMS);
+        result.history = kept.filter(item => imported.has(item.id)).length;
+        result.dropped = imported.size - result.history;
+        await chrome.storage.local.set({ mathCopyHistory: kept });
+        try {
+            chrome.runtime.sendMessage({ type: 'historyUpdated' }).catch(() => {});
+        } catch (e) {
+            // ignore
+        }
+    }
+
+    if (Array.isArray(data.snippets) && data.snippets.length > 0) {
+        const snippets = await getSnippets();
+        const seen = new Set(snippets.map(item => `${item.name}\u0000${item.formula}`));
+        const now = new Date().toISOString();
+
+        data.snippets.forEach(raw => {
+            try {
+                if (snippets.length >= CONSTANTS.MAX_SNIPPETS) throw new Error('Snippet library is full');
+                const snippet = normalizeSnippet(raw);
+                const key = `${snippet.name}\u0000${snippet.formula}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                snippets.push({
+                    ...snippet,
+                    id: `snippet-${Date.now()}-${++historyIdCounter}`,
+                    createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : now,
+                    updatedAt: now
+                });
+                result.snippets++;
+            } catch (error) {
+                result.skipped++;
+            }
+        });
+
+        await chrome.storage.local.set({ mathCopySnippets: snippets });
+        broadcastSnippetsUpdated();
+    }
+
+    return result;
+}
+
 async function getHistory() {
     try {
         const result = await chrome.storage.local.get('mathCopyHistory');
@@ -502,6 +888,185 @@ async function clearHistory() {
     return { success: true };
 }
 
+async function deleteHistoryItems(ids) {
+    const result = await chrome.storage.local.get('mathCopyHistory');
+    const history = Array.isArray(result.mathCopyHistory) ? result.mathCopyHistory : [];
+    const remove = new Set(ids.map(String));
+    const remaining = history.filter(item => !item || !remove.has(String(item.id)));
+    await chrome.storage.local.set({ mathCopyHistory: remaining });
+    try {
+        chrome.runtime.sendMessage({ type: 'historyUpdated' }).catch(() => {});
+    } catch (e) {
+        // ignore
+    }
+    return { success: true, deleted: history.length - remaining.length };
+}
+
+// --- Snippet library ---
+// Kept in mathCopySnippets, apart from the rolling history, so pinned equations are never trimmed
+async function getSnippets() {
+    try {
+        const result = await chrome.storage.local.get('mathCopySnippets');
+        return Array.isArray(result.mathCopySnippets)
+            ? result.mathCopySnippets.filter(item => item && typeof item.formula === 'string' && item.formula.length > 0)
+            : [];
+    } catch (error) {
+        console.error('Error getting snippets:', error);
+        return [];
+    }
+}
+
+function normalizeSnippet(snippet) {
+    const formula = typeof snippet.formula === 'string' ? snippet.formula.trim() : '';
+    if (!formula) {
+        throw new Error('Invalid snippet: missing formula');
+    }
+    if (formula.length > 1000000) {
+        throw new Error('Formula too large (max 1MB)');
+    }
+
+    const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+    const tags = (Array.isArray(snippet.tags) ? snippet.tags : [])
+        .map(tag => text(tag, 40))
+        .filter(Boolean);
+
+    return {
+        name: text(snippet.name, 120) || formula.slice(0, 40),
+        formula,
+        format: CONSTANTS.VALID_FORMATS.includes(snippet.format) ? snippet.format : 'mathml',
+        tags: [...new Set(tags)].slice(0, 20),
+        folder: text(snippet.folder, 100),
+        preview: typeof snippet.preview === 'string' && snippet.preview.trim().startsWith('<math') ? snippet.preview : null,
+        representations: sanitizeRepresentations(snippet.representations),
+        historyId: snippet.historyId ? String(snippet.historyId) : null,
+        url: text(snippet.url, 2048),
+        title: text(snippet.title, 200)
+    };
+}
+
+async function saveSnippet(snippet) {
+    const normalized = normalizeSnippet(snippet);
+    const snippets = await getSnippets();
+    const index = snippet.id ? snippets.findIndex(item => item.id === snippet.id) : -1;
+    const now = new Date().toISOString();
+
+    const saved = {
+        ...(index >= 0 ? snippets[index] : {}),
+        ...normalized,
+        updatedAt: now
+    };
+
+    if (index >= 0) {
+        snippets[index] = saved;
+    } else {
+        if (snippets.length >= CONSTANTS.MAX_SNIPPETS) {
+            throw new Error(`Snippet library is full (max ${CONSTANTS.MAX_SNIPPETS})`);
+        }
+        saved.id = `snippet-${Date.now()}-${++historyIdCounter}`;
+        saved.createdAt = now;
+        snippets.unshift(saved);
+    }
+
+    await chrome.storage.local.set({ mathCopySnippets: snippets });
+    broadcastSnippetsUpdated();
+    return { success: true, snippet: saved };
+}
+
+async function deleteSnippet(id) {
+    const snippets = await getSnippets();
+    const remaining = snippets.filter(item => item.id !== id);
+    await chrome.storage.local.set({ mathCopySnippets: remaining });
+    broadcastSnippetsUpdated();
+    return { success: true, deleted: snippets.length - remaining.length };
+}
+
+async function reorderSnippets(ids) {
+    const snippets = await getSnippets();
+    const byId = new Map(snippets.map(item => [item.id, item]));
+    const ordered = ids.map(id => byId.get(id)).filter(Boolean);
+    // Anything the caller didn't list (e.g. added in another tab) keeps its place at the end
+    const listed = new Set(ordered);
+    const reordered = ordered.concat(snippets.filter(item => !listed.has(item)));
+    await chrome.storage.local.set({ mathCopySnippets: reordered });
+    broadcastSnippetsUpdated();
+    return { success: true };
+}
+
+function broadcastSnippetsUpdated() {
+    try {
+        chrome.runtime.sendMessage({ type: 'snippetsUpdated' }).catch(() => {});
+    } catch (e) {
+        // ignore
+    }
+}
+
+// Page context recorded with each copy; the tab URL from the sender wins over the reported one
+function sanitizeLocation(location, pageUrl) {
+    const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+    const source = location && typeof location === 'object' ? location : {};
+    let url = text(pageUrl || source.url, 2048);
+    if (!/^(https?|file):/i.test(url)) {
+        url = '';
+    }
+
+    return {
+        url,
+        title: text(source.title, 200),
+        heading: text(source.heading, 200),
+        label: text(source.label, 40),
+        locator: {
+            index: Number.isInteger(source.index) ? source.index : -1,
+            fingerprint: text(source.fingerprint, 120)
+        }
+    };
+}
+
+async function jumpToSource(id) {
+    const history = await getHistory();
+    const item = history.find(entry => String(entry.id) === String(id));
+    if (!item || !item.url) {
+        throw new Error('No source page recorded for this equation');
+    }
+
+    let tab = null;
+    try {
+        const [existing] = await chrome.tabs.query({ url: item.url.split('#')[0] });
+        tab = existing || null;
+    } catch (error) {
+        // Some URLs aren't valid match patterns; just open a new tab
+        console.debug('Could not search tabs for source page:', error);
+    }
+
+    if (tab) {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } else {
+        tab = await chrome.tabs.create({ url: item.url });
+    }
+
+    const location = { ...(item.locator || {}), label: item.label };
+    for (let attempt = 0; attempt < CONSTANTS.JUMP_RETRY_ATTEMPTS; attempt++) {
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { type: 'highlightEquation', location });
+            if (response && response.success) {
+                return { success: true, found: Boolean(response.found) };
+            }
+        } catch (error) {
+            // Content script not injected yet
+        }
+        await new Promise(resolve => setTimeout(resolve, CONSTANTS.JUMP_RETRY_DELAY));
+    }
+    return { success: true, found: false };
+}
+
+function getSenderSite(sender) {
+    try {
+        return sender && sender.tab && sender.tab.url ? new URL(sender.tab.url).host : '';
+    } catch (error) {
+        return '';
+    }
+}
+
 async function getStats() {
     try {
         const result = await chrome.storage.local.get('mathCopyStats');
@@ -591,45 +1156,15 @@ async function updateStats(stats) {
     }
 }
 
-function validateMathML(mathml) {
-    try {
-        if (!mathml || typeof mathml !== 'string') {
-            return false;
-        }
-        
-        // Basic length check
-        if (mathml.length === 0 || mathml.length > 1000000) {
-            return false;
-        }
-        
-        // Check for math tag
-        if (!mathml.includes('<math')) {
-            return false;
-        }
-        
-        // Check for namespace (important for Word compatibility)
-        const hasNamespace = mathml.includes('xmlns="http://www.w3.org/1998/Math/MathML"') ||
-                            mathml.includes("xmlns='http://www.w3.org/1998/Math/MathML'");
-        
-        // Check for closing tag
-        const hasClosingTag = mathml.includes('</math>');
-        
-        // Basic structure validation
-        const openCount = (mathml.match(/<math/g) || []).length;
-        const closeCount = (mathml.match(/<\/math>/g) || []).length;
-        
-        return hasClosingTag && hasNamespace && openCount === closeCount;
-    } catch (error) {
-        console.error('Error validating MathML:', error);
-        return false;
-    }
-}
-
 // --- Keyboard Shortcuts ---
 chrome.commands.onCommand.addListener(async (command, tab) => {
+    if (!(await getSettingsForUrl(tab && tab.url)).keyboardShortcuts) {
+        return;
+    }
+
     if (command === 'toggle-format') {
         const settings = await getSettings();
-        const formats = ['mathml', 'latex', 'unicode', 'asciimath'];
+        const formats = ['mathml', 'latex', 'unicode', 'asciimath', 'omml', 'typst', 'content-mathml', 'sympy', 'all'];
         const currentIndex = formats.indexOf(settings.format);
         settings.format = formats[(currentIndex + 1) % formats.length];
         await saveSettings(settings);
@@ -681,6 +1216,27 @@ chrome.commands.onCommand.addListener(async (command, tab) => {
         } catch (err) {
             console.error('Failed to trigger clear-selection:', err);
         }
+    } else if (command === 'collect-equations') {
+        try {
+            const activeTabId = tab?.id || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+            if (activeTabId) {
+                const settings = await getSettings();
+                const response = await chrome.tabs.sendMessage(activeTabId, {
+                    type: 'collectEquations',
+                    format: settings.harvestFormat
+                });
+                chrome.notifications.create({
+                    type: 'basic',
+                    iconUrl: 'icons/icon-48.png',
+                    title: 'Math Copy',
+                    message: response && response.success
+                        ? `Copied ${response.count} equations as ${settings.harvestFormat.toUpperCase()}`
+                        : (response && response.error) || 'Could not collect equations'
+                });
+            }
+        } catch (err) {
+            console.error('Failed to trigger collect-equations:', err);
+        }
     }
 });
 
@@ -695,10 +1251,11 @@ chrome.runtime.onSuspend.addListener(() => {
 
 async function disableOnPage(url) {
     try {
+        const rule = normalizeUrlRule(url, { page: true });
         const result = await chrome.storage.local.get('disabledPages');
         const disabledPages = result.disabledPages || [];
-        if (!disabledPages.includes(url)) {
-            disabledPages.push(url);
+        if (!disabledPages.includes(rule)) {
+            disabledPages.push(rule);
             await chrome.storage.local.set({ disabledPages });
         }
         return { success: true };
@@ -710,10 +1267,11 @@ async function disableOnPage(url) {
 
 async function disableOnSite(siteUrl) {
     try {
+        const rule = normalizeUrlRule(siteUrl);
         const result = await chrome.storage.local.get('disabledSites');
         const disabledSites = result.disabledSites || [];
-        if (!disabledSites.includes(siteUrl)) {
-            disabledSites.push(siteUrl);
+        if (!disabledSites.includes(rule)) {
+            disabledSites.push(rule);
             await chrome.storage.local.set({ disabledSites });
         }
         return { success: true };
@@ -727,7 +1285,7 @@ async function enableOnPage(url) {
     try {
         const result = await chrome.storage.local.get('disabledPages');
         const disabledPages = result.disabledPages || [];
-        const filtered = disabledPages.filter(u => u !== url);
+        const filtered = withoutUrlRule(disabledPages, url, { page: true });
         await chrome.storage.local.set({ disabledPages: filtered });
         return { success: true };
     } catch (error) {
@@ -740,7 +1298,7 @@ async function enableOnSite(siteUrl) {
     try {
         const result = await chrome.storage.local.get('disabledSites');
         const disabledSites = result.disabledSites || [];
-        const filtered = disabledSites.filter(u => u !== siteUrl);
+        const filtered = withoutUrlRule(disabledSites, siteUrl);
         await chrome.storage.local.set({ disabledSites: filtered });
         return { success: true };
     } catch (error) {
@@ -749,22 +1307,145 @@ async function enableOnSite(siteUrl) {
     }
 }
 
+async function allowOnSite(siteUrl) {
+    try {
+        const rule = normalizeUrlRule(siteUrl);
+        const result = await chrome.storage.local.get('allowedSites');
+        const allowedSites = result.allowedSites || [];
+        if (!allowedSites.includes(rule)) {
+            allowedSites.push(rule);
+            await chrome.storage.local.set({ allowedSites });
+        }
+        return { success: true };
+    } catch (error) {
+        console.error('Error allowing site:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+async function removeAllowedSite(siteUrl) {
+    try {
+        const result = await chrome.storage.local.get('allowedSites');
+        const allowedSites = result.allowedSites || [];
+        await chrome.storage.local.set({ allowedSites: withoutUrlRule(allowedSites, siteUrl) });
+        return { success: true };
+    } catch (error) {
+        console.error('Error removing allowed site:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// The rules that match a URL, so callers can remove the one that disabled a page
 async function checkDisabled(url) {
     try {
-        const result = await chrome.storage.local.get(['disabledPages', 'disabledSites']);
-        const disabledPages = result.disabledPages || [];
-        const disabledSites = result.disabledSites || [];
-        
-        const pageDisabled = disabledPages.includes(url);
-        const urlObj = new URL(url);
-        const siteUrl = `${urlObj.protocol}//${urlObj.host}`;
-        const siteDisabled = disabledSites.includes(siteUrl);
-        
-        return { pageDisabled, siteDisabled };
+        const result = await chrome.storage.local.get(['disabledPages', 'disabledSites', 'allowedSites', 'siteListMode']);
+        const find = (rules, options) => (rules || []).find(rule => urlRuleMatches(rule, url, options)) || null;
+
+        const pageRule = find(result.disabledPages, { page: true });
+        const siteRule = find(result.disabledSites);
+        const allowMode = result.siteListMode === 'allow';
+        const allowRule = allowMode ? find(result.allowedSites) : null;
+        // Disabled sites still apply in allow mode, so part of an allowed domain can be left out
+        const siteDisabled = Boolean(siteRule) || (allowMode && !allowRule);
+
+        return {
+            pageDisabled: Boolean(pageRule),
+            siteDisabled,
+            disabled: Boolean(pageRule) || siteDisabled,
+            allowMode,
+            pageRule,
+            siteRule,
+            allowRule
+        };
     } catch (error) {
         console.error('Error checking disabled status:', error);
-        return { pageDisabled: false, siteDisabled: false };
+        return { pageDisabled: false, siteDisabled: false, disabled: false };
+    }
+}
+
+// --- URL Rules ---
+// Site lists, the page list and site profiles share one rule syntax:
+//   /regex/flags            tested against the full URL
+//   [scheme://]host[/path]  * matches any run of characters; no scheme means any scheme
+// A host also covers its subdomains (a leading *. or www. is dropped), and a rule
+// without a path covers the whole site. Page rules match their host and path exactly
+// and ignore the query string and hash.
+
+function parseUrlRule(rule) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(rule);
+    if (regex) {
+        return { regex: new RegExp(regex[1], regex[2].replace(/[gy]/g, '')) };
+    }
+    const match = /^(?:([a-z*][a-z0-9+.*-]*):\/\/)?([^/?#]+)([^#]*)/i.exec(rule);
+    if (!match) {
+        throw new Error('Invalid URL rule');
     }
+    return {
+        scheme: match[1] ? match[1].toLowerCase() : '*',
+        host: match[2].toLowerCase(),
+        path: match[3]
+    };
+}
+
+function globToRegExp(glob, star) {
+    return glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join(star);
+}
+
+function urlRuleMatches(rule, url, { page = false } = {}) {
+    try {
+        const parsed = parseUrlRule(rule);
+        if (parsed.regex) {
+            return parsed.regex.test(url);
+        }
+
+        const target = new URL(url);
+        if (parsed.scheme !== '*' && parsed.scheme !== target.protocol.slice(0, -1)) {
+            return false;
+        }
+
+        const host = parsed.host.replace(/^(\*\.|www\.)/, '');
+        const subdomains = page && !parsed.host.startsWith('*.') ? '(?:www\\.)?' : '(?:[^/]*\\.)?';
+        const targetHost = parsed.host.includes(':') ? target.host : target.hostname;
+        if (!new RegExp(`^${subdomains}${globToRegExp(host, '[^/]*')}$`).test(targetHost)) {
+            return false;
+        }
+
+        let path = page ? parsed.path.replace(/\?.*$/, '') : parsed.path;
+        if (!page && (path === '' || path === '/')) {
+            return true;
+        }
+        const targetPath = path.includes('?') ? target.pathname + target.search : target.pathname;
+        return new RegExp(`^${globToRegExp(path.replace(/\/$/, ''), '.*')}/?$`).test(targetPath);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Checked once when a rule is added so an unusable pattern is reported instead of stored
+function normalizeUrlRule(rule, { page = false } = {}) {
+    let trimmed = String(rule).trim();
+    if (!trimmed || trimmed.length > CONSTANTS.MAX_SITE_PATTERN_LENGTH) {
+        throw new Error('Invalid URL rule');
+    }
+    const parsed = parseUrlRule(trimmed);
+    if (parsed.regex) {
+        return trimmed;
+    }
+    // Scheme and host are case-insensitive, so one site always gets one spelling
+    trimmed = trimmed.replace(/^(?:[a-z*][a-z0-9+.*-]*:\/\/)?[^/?#]+/i, origin => origin.toLowerCase());
+    return page ? trimmed.replace(/[?#].*$/, '') : trimmed;
+}
+
+// A list without the given rule, however either one was spelled when it was added
+function withoutUrlRule(rules, rule, options) {
+    const key = normalizeUrlRule(rule, options);
+    return rules.filter(stored => {
+        try {
+            return normalizeUrlRule(stored, options) !== key;
+        } catch (error) {
+            return stored !== rule;
+        }
+    });
 }
 
 self.addEventListener('error', (event) => {
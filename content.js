@@ -7,10 +7,13 @@
         TOOLTIP_HIDE_DELAY: 200,
         SUCCESS_FEEDBACK_DURATION: 1500,
         ERROR_FEEDBACK_DURATION: 1500,
+        HIGHLIGHT_DURATION: 4000,
         BATCH_SIZE: 10,
         MAX_CLIPBOARD_HISTORY: 20,
         MAX_RETRY_ATTEMPTS: 3,
         RETRY_DELAY: 1000,
+        // Validation warnings stay in the tooltip long enough to read
+        VALIDATION_NOTICE_DURATION: 4000,
         selectorPatterns: {
             katex: ['.katex-html', '.katex-mathml', '.katex', '.katex-display', '.katex > *'],
             mathjax: ['.MathJax', '.mjx-chtml', '.mjx-math', '.MathJax_Display', '.mjx-container', '.MathJax > *'],
@@ -18,7 +21,16 @@
             generic: ['.math', '.equation', '[data-math]', '.formula', '[class*="math"]', '[class*="equation"]', '[class*="formula"]']
         },
         defaultFormat: 'mathml',
-        validFormats: ['mathml', 'latex', 'unicode', 'asciimath']
+        validFormats: ['mathml', 'latex', 'unicode', 'asciimath', 'omml', 'typst', 'content-mathml', 'sympy', 'all'],
+        // Context-menu only: images are rendered from the page and never enter the history
+        imageFormats: ['svg', 'png'],
+        // Stored with each history entry so it can be re-copied in another format
+        representationFormats: ['mathml', 'latex', 'unicode', 'asciimath'],
+        // Built only from the equation's structure; rendered text is never a valid copy
+        structuredFormats: ['asciimath', 'omml', 'typst', 'content-mathml', 'sympy'],
+        // How a multi-selection is combined into one clipboard entry; 'auto' picks per format
+        joinModes: ['auto', 'separate', 'align', 'gather', 'list', 'mtable', 'template'],
+        defaultJoinTemplate: '{index}. {content}'
     };
 
     const Logger = {
@@ -62,9 +74,15 @@
 
     let state = {
         selectedEquations: new Set(),
+        // Last equation clicked into the selection; Shift+click selects the range from it
+        selectionAnchor: null,
+        rubberBand: null,
         isShiftPressed: false,
         currentFormat: 'mathml',
+        // Effective settings: the saved ones (baseSettings) with this site's profile (siteSettings) on top
         settings: {},
+        baseSettings: {},
+        siteSettings: {},
         processedElements: new WeakSet(),
         clipboardHistory: [],
         isInitialized: false,
@@ -183,24 +201,4941 @@
             }
         }
 
+        // Copy results and errors still show with hover tooltips off, and hide again on their own
+        report(wrapper, text, duration) {
+            if (state.settings.showTooltips === false) {
+                this.show(wrapper, text);
+                this.scheduleHide(duration);
+            } else {
+                this.updateContent(text);
+            }
+        }
+
         scheduleHide(delay = CONFIG.TOOLTIP_HIDE_DELAY) {
             this.hideTimeout = setTimeout(() => this.hide(), delay);
         }
 
-        cleanup() {
-            if (this.tooltip && this.tooltip.parentNode) {
-                this.tooltip.parentNode.removeChild(this.tooltip);
+        cleanup() {
+            if (this.tooltip && this.tooltip.parentNode) {
+                this.tooltip.parentNode.removeChild(this.tooltip);
+            }
+            this.tooltip = null;
+            this.activeWrapper = null;
+            if (this.hideTimeout) {
+                clearTimeout(this.hideTimeout);
+                this.hideTimeout = null;
+            }
+        }
+    }
+
+    const tooltipManager = new TooltipManager();
+
+    /**
+     * Floating list of the selected equations
+     * The order of state.selectedEquations is the copy order; the tray shows it and
+     * rewrites it when items are dragged, sorted into page order or removed
+     */
+    class SelectionTray {
+        constructor() {
+            this.tray = null;
+            this.list = null;
+            this.title = null;
+            this.dragged = null;
+            this.previews = new WeakMap();
+        }
+
+        createTray() {
+            if (!this.tray) {
+                this.tray = document.createElement('div');
+                this.tray.className = 'math-copy-tray';
+                this.tray.setAttribute('role', 'region');
+                this.tray.setAttribute('aria-label', 'Selected equations');
+                this.tray.innerHTML = `
+                    <div class="math-copy-tray-header">
+                        <span class="math-copy-tray-title"></span>
+                        <button type="button" class="math-copy-tray-btn" data-action="sort" title="Sort by position on the page">Page order</button>
+                        <button type="button" class="math-copy-tray-btn math-copy-tray-primary" data-action="copy">Copy</button>
+                        <button type="button" class="math-copy-tray-btn" data-action="clear" aria-label="Clear selection" title="Clear selection">×</button>
+                    </div>
+                    <ol class="math-copy-tray-list"></ol>
+                `;
+                this.list = this.tray.querySelector('.math-copy-tray-list');
+                this.title = this.tray.querySelector('.math-copy-tray-title');
+
+                this.tray.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-action]');
+                    if (!button) return;
+                    const item = button.closest('.math-copy-tray-item');
+                    const equation = item ? this.equationAt(item) : null;
+
+                    switch (button.dataset.action) {
+                        case 'sort':
+                            this.sortByDocument();
+                            break;
+                        case 'copy':
+                            DOMProcessor.copySelectedEquations();
+                            break;
+                        case 'clear':
+                            DOMProcessor.clearSelection();
+                            break;
+                        case 'remove':
+                            if (equation) DOMProcessor.toggleEquationSelection(equation);
+                            break;
+                        case 'locate':
+                            if (equation) equation.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                            break;
+                    }
+                });
+
+                this.list.addEventListener('keydown', (e) => {
+                    const item = e.target.closest('.math-copy-tray-item');
+                    if (!item) return;
+                    const index = Number(item.dataset.index);
+                    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                        e.preventDefault();
+                        const target = index + (e.key === 'ArrowUp' ? -1 : 1);
+                        this.move(index, target);
+                        const moved = this.list.children[target];
+                        if (moved) moved.focus();
+                    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                        e.preventDefault();
+                        DOMProcessor.toggleEquationSelection(this.equationAt(item));
+                    }
+                });
+
+                this.setupDragAndDrop();
+                document.body.appendChild(this.tray);
+            }
+            return this.tray;
+        }
+
+        setupDragAndDrop() {
+            this.list.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('.math-copy-tray-item');
+                if (!item) return;
+                this.dragged = item;
+                item.classList.add('math-copy-tray-dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/x-math-copy-tray', item.dataset.index);
+            });
+
+            this.list.addEventListener('dragover', (e) => {
+                if (!this.dragged) return;
+                e.preventDefault();
+                const item = e.target.closest('.math-copy-tray-item');
+                this.list.querySelectorAll('.math-copy-tray-drop-before, .math-copy-tray-drop-after')
+                    .forEach(el => el.classList.remove('math-copy-tray-drop-before', 'math-copy-tray-drop-after'));
+                if (item && item !== this.dragged) {
+                    item.classList.add(this.isAfter(e, item) ? 'math-copy-tray-drop-after' : 'math-copy-tray-drop-before');
+                }
+            });
+
+            this.list.addEventListener('drop', (e) => {
+                if (!this.dragged) return;
+                e.preventDefault();
+                const item = e.target.closest('.math-copy-tray-item');
+                if (item && item !== this.dragged) {
+                    const from = Number(this.dragged.dataset.index);
+                    let to = Number(item.dataset.index) + (this.isAfter(e, item) ? 1 : 0);
+                    if (from < to) to--;
+                    this.move(from, to);
+                }
+            });
+
+            this.list.addEventListener('dragend', () => {
+                this.dragged = null;
+                this.render();
+            });
+        }
+
+        isAfter(event, item) {
+            const rect = item.getBoundingClientRect();
+            return event.clientY > rect.top + rect.height / 2;
+        }
+
+        equationAt(item) {
+            return Array.from(state.selectedEquations)[Number(item.dataset.index)] || null;
+        }
+
+        setOrder(equations) {
+            // A Set iterates in insertion order, so rebuilding it is how the copy order changes
+            state.selectedEquations = new Set(equations);
+            this.render();
+        }
+
+        move(from, to) {
+            const equations = Array.from(state.selectedEquations);
+            if (from === to || from < 0 || from >= equations.length || to < 0 || to >= equations.length) return;
+            equations.splice(to, 0, equations.splice(from, 1)[0]);
+            this.setOrder(equations);
+        }
+
+        sortByDocument() {
+            this.setOrder(Array.from(state.selectedEquations).sort((a, b) =>
+                a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        }
+
+        // Linear Unicode reads well at tray size; computed once per equation
+        async getPreview(equation) {
+            if (!this.previews.has(equation)) {
+                let text = null;
+                try {
+                    text = await EquationProcessor.getEquationContent(equation, 'unicode');
+                } catch (error) {
+                    Logger.debug('No tray preview:', error.message);
+                }
+                this.previews.set(equation, (text || equation.textContent || '').replace(/\s+/g, ' ').trim());
+            }
+            return this.previews.get(equation);
+        }
+
+        render() {
+            const equations = Array.from(state.selectedEquations);
+            if (equations.length === 0) {
+                this.hide();
+                return;
+            }
+
+            this.createTray();
+            this.title.textContent = `${equations.length} selected`;
+            this.list.innerHTML = '';
+
+            equations.forEach((equation, index) => {
+                const item = document.createElement('li');
+                item.className = 'math-copy-tray-item';
+                item.draggable = true;
+                item.tabIndex = 0;
+                item.dataset.index = String(index);
+                item.setAttribute('aria-label', `Equation ${index + 1}; Alt+Arrow keys to move, Delete to remove`);
+
+                const handle = document.createElement('span');
+                handle.className = 'math-copy-tray-handle';
+                handle.setAttribute('aria-hidden', 'true');
+                handle.textContent = '⋮⋮';
+
+                const preview = document.createElement('button');
+                preview.type = 'button';
+                preview.className = 'math-copy-tray-preview';
+                preview.dataset.action = 'locate';
+                preview.title = 'Show on page';
+                const label = DOMProcessor.getEquationLabel(equation);
+                this.getPreview(equation).then(text => {
+                    preview.textContent = label ? `${text}  ${label}` : text;
+                });
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'math-copy-tray-btn';
+                remove.dataset.action = 'remove';
+                remove.setAttribute('aria-label', 'Remove from selection');
+                remove.textContent = '×';
+
+                item.appendChild(handle);
+                item.appendChild(preview);
+                item.appendChild(remove);
+                this.list.appendChild(item);
+            });
+
+            this.tray.style.display = 'flex';
+        }
+
+        hide() {
+            if (this.tray) {
+                this.tray.style.display = 'none';
+            }
+            this.dragged = null;
+        }
+
+        cleanup() {
+            if (this.tray && this.tray.parentNode) {
+                this.tray.parentNode.removeChild(this.tray);
+            }
+            this.tray = null;
+            this.list = null;
+            this.title = null;
+            this.dragged = null;
+        }
+    }
+
+    const selectionTray = new SelectionTray();
+
+    /**
+     * Preview mode: a click opens this panel instead of copying. The source can be
+     * edited in any format before copying; LaTeX and MathML edits re-render the
+     * equation and carry over to the other format tabs.
+     */
+    class PreviewPanel {
+        static LABELS = {
+            'mathml': 'MathML',
+            'latex': 'LaTeX',
+            'unicode': 'Unicode',
+            'asciimath': 'AsciiMath',
+            'omml': 'OMML',
+            'typst': 'Typst',
+            'content-mathml': 'Content',
+            'sympy': 'SymPy'
+        };
+
+        // Only these can be parsed back into MathML, so only their edits re-render
+        static EDITABLE = ['latex', 'mathml'];
+
+        static MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+        constructor() {
+            this.panel = null;
+            this.output = null;
+            this.source = null;
+            this.status = null;
+            this.equation = null;
+            this.format = null;
+            // Source text per format; filled lazily as tabs are opened
+            this.sources = {};
+            // MathML of the last LaTeX or MathML edit, or null while unedited
+            this.mathml = null;
+            this.renderTimeout = null;
+        }
+
+        get isOpen() {
+            return Boolean(this.panel && this.panel.style.display !== 'none' && this.equation);
+        }
+
+        createPanel() {
+            if (!this.panel) {
+                this.panel = document.createElement('div');
+                this.panel.className = 'math-copy-preview';
+                this.panel.setAttribute('role', 'dialog');
+                this.panel.setAttribute('aria-label', 'Equation preview');
+
+                const tabs = Object.entries(PreviewPanel.LABELS).map(([format, label]) =>
+                    `<button type="button" class="math-copy-preview-tab" role="tab" data-format="${format}" aria-selected="false">${label}</button>`
+                ).join('');
+                this.panel.innerHTML = `
+                    <div class="math-copy-preview-render" aria-hidden="true"></div>
+                    <div class="math-copy-preview-tabs" role="tablist" aria-label="Format">${tabs}</div>
+                    <textarea class="math-copy-preview-source" spellcheck="false" aria-label="Equation source"></textarea>
+                    <div class="math-copy-preview-footer">
+                        <span class="math-copy-preview-status" aria-live="polite"></span>
+                        <button type="button" class="math-copy-tray-btn" data-action="close">Cancel</button>
+                        <button type="button" class="math-copy-tray-btn math-copy-tray-primary" data-action="copy" title="Copy (Ctrl+Enter)">Copy</button>
+                    </div>
+                `;
+                this.output = this.panel.querySelector('.math-copy-preview-render');
+                this.source = this.panel.querySelector('.math-copy-preview-source');
+                this.status = this.panel.querySelector('.math-copy-preview-status');
+
+                this.panel.addEventListener('click', (e) => {
+                    const tab = e.target.closest('.math-copy-preview-tab');
+                    if (tab) {
+                        this.showFormat(tab.dataset.format);
+                        return;
+                    }
+                    const button = e.target.closest('[data-action]');
+                    if (!button) return;
+                    if (button.dataset.action === 'copy') {
+                        this.copy();
+                    } else if (button.dataset.action === 'close') {
+                        this.close();
+                    }
+                });
+
+                // Keys typed here belong to the panel, not to the page's or the extension's shortcuts
+                this.panel.addEventListener('keydown', (e) => {
+                    e.stopPropagation();
+                    if (e.key === 'Escape') {
+                        e.preventDefault();
+                        this.close();
+                    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                        e.preventDefault();
+                        this.copy();
+                    }
+                });
+
+                this.source.addEventListener('input', () => this.edit());
+
+                document.addEventListener('mousedown', (e) => {
+                    if (this.isOpen && !this.panel.contains(e.target) && !this.equation.contains(e.target)) {
+                        this.close(false);
+                    }
+                });
+
+                document.body.appendChild(this.panel);
+            }
+            return this.panel;
+        }
+
+        async open(equation) {
+            if (this.isOpen && this.equation === equation) {
+                this.source.focus();
+                return;
+            }
+
+            this.createPanel();
+            this.reset();
+            this.equation = equation;
+            tooltipManager.hide();
+
+            this.panel.style.display = 'flex';
+            this.position();
+            await this.showFormat(state.currentFormat === 'all' ? 'mathml' : state.currentFormat);
+            try {
+                const mathml = await this.getSource('mathml');
+                if (mathml) this.renderMathML(mathml);
+            } catch (error) {
+                Logger.debug('No preview rendering:', error.message);
+            }
+            if (this.equation !== equation) return;
+            // The rendered equation changes the panel's height
+            this.position();
+            this.source.focus();
+        }
+
+        position() {
+            const rect = this.equation.getBoundingClientRect();
+            const panelRect = this.panel.getBoundingClientRect();
+
+            let top = rect.bottom + window.scrollY + 8;
+            let left = rect.left + window.scrollX;
+
+            if (left + panelRect.width > window.innerWidth + window.scrollX - 8) {
+                left = window.innerWidth + window.scrollX - panelRect.width - 8;
+            }
+            if (left < window.scrollX + 8) {
+                left = window.scrollX + 8;
+            }
+            if (rect.bottom + panelRect.height + 8 > window.innerHeight && rect.top > panelRect.height + 8) {
+                top = rect.top + window.scrollY - panelRect.height - 8;
+            }
+
+            this.panel.style.top = `${top}px`;
+            this.panel.style.left = `${left}px`;
+        }
+
+        async showFormat(format) {
+            if (!PreviewPanel.LABELS[format]) return;
+            this.format = format;
+            this.panel.querySelectorAll('.math-copy-preview-tab').forEach(tab => {
+                tab.setAttribute('aria-selected', String(tab.dataset.format === format));
+            });
+            this.source.setAttribute('aria-label', `${PreviewPanel.LABELS[format]} source`);
+            this.setStatus('');
+
+            try {
+                const text = await this.getSource(format);
+                // Another tab may have been chosen while this one was converting
+                if (this.format !== format) return;
+                this.source.value = text || '';
+                if (!text) this.setStatus(`No ${PreviewPanel.LABELS[format]} form`, true);
+            } catch (error) {
+                if (this.format !== format) return;
+                this.source.value = '';
+                this.setStatus(error.code === 'UNTRANSLATABLE' ? error.message : `No ${PreviewPanel.LABELS[format]} form`, true);
+            }
+        }
+
+        async getSource(format) {
+            if (!(format in this.sources)) {
+                let text;
+                if (!this.mathml) {
+                    text = await EquationProcessor.getEquationContent(this.equation, format);
+                } else if (format === 'mathml') {
+                    text = this.mathml;
+                } else {
+                    text = EquationProcessor.serializeMathML(MathMLTree.parse(this.mathml), format, this.sources.latex || null);
+                }
+                this.sources[format] = text || null;
+            }
+            return this.sources[format];
+        }
+
+        edit() {
+            const format = this.format;
+            const text = this.source.value;
+            this.sources[format] = text;
+
+            if (!PreviewPanel.EDITABLE.includes(format)) {
+                this.setStatus('Only LaTeX and MathML edits update the preview');
+                return;
+            }
+
+            if (this.renderTimeout) clearTimeout(this.renderTimeout);
+            this.renderTimeout = setTimeout(() => this.applyEdit(), CONFIG.OBSERVER_THROTTLE);
+        }
+
+        applyEdit() {
+            if (this.renderTimeout) {
+                clearTimeout(this.renderTimeout);
+                this.renderTimeout = null;
+            }
+            const format = this.format;
+            const text = this.source.value;
+            const mathml = format === 'latex'
+                ? EquationProcessor.convertLatexToMathML(text)
+                : (MathMLTree.parse(text) ? EquationProcessor.ensureMathMLNamespace(text.trim()) : null);
+
+            if (!mathml || !this.renderMathML(mathml)) {
+                this.output.classList.add('math-copy-preview-stale');
+                this.setStatus(`Can't render this ${PreviewPanel.LABELS[format]}`, true);
+                return;
+            }
+
+            // The other tabs are derived again from the edited equation
+            this.mathml = mathml;
+            this.sources = { [format]: text };
+            const issues = format === 'mathml' && state.settings.validation ? MathMLValidator.validate(text).issues : [];
+            this.setStatus(MathMLValidator.summarize(issues) || '');
+        }
+
+        renderMathML(mathml) {
+            const math = MathMLTree.parse(mathml);
+            if (!math) return false;
+
+            const clean = this.sanitize(math);
+            // Keep the equation detection from picking up the preview as a page equation
+            clean.setAttribute('data-katex-processed', 'true');
+            this.output.replaceChildren(clean);
+            this.output.classList.remove('math-copy-preview-stale');
+            return true;
+        }
+
+        // Edited markup goes into the page, so only presentation MathML without handlers or links is kept
+        sanitize(node) {
+            const copy = document.importNode(node, false);
+            Array.from(copy.attributes || []).forEach(attribute => {
+                if (/^on|href$|^src$|^style$/i.test(attribute.name)) {
+                    copy.removeAttribute(attribute.name);
+                }
+            });
+            node.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    copy.appendChild(document.createTextNode(child.textContent));
+                } else if (child.nodeType === Node.ELEMENT_NODE && child.namespaceURI === PreviewPanel.MATHML_NS) {
+                    copy.appendChild(this.sanitize(child));
+                }
+            });
+            return copy;
+        }
+
+        setStatus(text, isError = false) {
+            this.status.textContent = text;
+            this.status.classList.toggle('math-copy-preview-error', isError);
+        }
+
+        async copy() {
+            // An edit still waiting to render decides the other formats stored with the copy
+            if (this.renderTimeout) {
+                this.applyEdit();
+            }
+            const text = this.source.value.trim();
+            if (!text) {
+                this.setStatus('Nothing to copy', true);
+                return;
+            }
+
+            const equation = this.equation;
+            const format = this.format;
+            try {
+                const { content, notice } = DOMProcessor.checkMathML(text, format);
+                await DOMProcessor.copyToClipboard(content, format);
+                DOMProcessor.addToClipboardHistory(content, format);
+
+                const representations = {};
+                for (const representation of CONFIG.representationFormats) {
+                    try {
+                        const value = representation === format ? content : await this.getSource(representation);
+                        if (value) representations[representation] = value;
+                    } catch (error) {
+                        Logger.debug(`No ${representation} representation:`, error.message);
+                    }
+                }
+
+                DOMProcessor.recordCopy({
+                    formula: content,
+                    format: format,
+                    source: DOMProcessor.getMathSource(equation),
+                    representations,
+                    location: DOMProcessor.getEquationLocation(equation)
+                });
+
+                this.close();
+                equation.classList.add('math-copy-success');
+                setTimeout(() => equation.classList.remove('math-copy-success'), CONFIG.SUCCESS_FEEDBACK_DURATION);
+                if (notice) {
+                    tooltipManager.show(equation, `Copied · ${notice}`);
+                    tooltipManager.scheduleHide(CONFIG.VALIDATION_NOTICE_DURATION);
+                }
+            } catch (error) {
+                Logger.error('Error copying from preview:', error);
+                this.setStatus(error.code === 'INVALID_MATHML' ? error.message : 'Copy failed', true);
+            }
+        }
+
+        close(restoreFocus = true) {
+            const equation = this.equation;
+            if (this.panel) {
+                this.panel.style.display = 'none';
+            }
+            this.reset();
+            if (restoreFocus && equation && equation.isConnected) {
+                equation.focus({ preventScroll: true });
+            }
+        }
+
+        reset() {
+            if (this.renderTimeout) {
+                clearTimeout(this.renderTimeout);
+                this.renderTimeout = null;
+            }
+            this.equation = null;
+            this.format = null;
+            this.sources = {};
+            this.mathml = null;
+            if (this.output) this.output.replaceChildren();
+            if (this.source) this.source.value = '';
+        }
+
+        cleanup() {
+            this.reset();
+            if (this.panel && this.panel.parentNode) {
+                this.panel.parentNode.removeChild(this.panel);
+            }
+            this.panel = null;
+            this.output = null;
+            this.source = null;
+            this.status = null;
+        }
+    }
+
+    const previewPanel = new PreviewPanel();
+
+    /**
+     * Helpers for walking presentation MathML trees
+     * Shared by all serializers that convert MathML into other formats
+     */
+    class MathMLTree {
+        static name(node) {
+            return node && node.nodeType === Node.ELEMENT_NODE ? node.localName.toLowerCase() : '';
+        }
+
+        static children(node) {
+            if (!node || !node.children) return [];
+            // Annotations are source data, not part of the rendered expression
+            return Array.from(node.children).filter(child => {
+                const name = this.name(child);
+                return name !== 'annotation' && name !== 'annotation-xml';
+            });
+        }
+
+        static text(node) {
+            return node ? (node.textContent || '').trim() : '';
+        }
+
+        /**
+         * Resolve <semantics> wrappers and single-child rows to the node that carries the expression
+         */
+        static content(node) {
+            let current = node;
+            while (current) {
+                const name = this.name(current);
+                const kids = this.children(current);
+                if (name === 'semantics' && kids.length > 0) {
+                    current = kids[0];
+                } else if ((name === 'mrow' || name === 'mstyle') && kids.length === 1) {
+                    current = kids[0];
+                } else {
+                    break;
+                }
+            }
+            return current;
+        }
+
+        static parse(mathmlString) {
+            if (typeof mathmlString !== 'string' || !mathmlString.includes('<math')) return null;
+            try {
+                // The HTML parser places <math> content in the MathML namespace and tolerates
+                // the HTML entities that outerHTML serialization produces (e.g. &nbsp;)
+                const doc = new DOMParser().parseFromString(`<body>${mathmlString}</body>`, 'text/html');
+                return doc.querySelector('math');
+            } catch (error) {
+                Logger.warn('Error parsing MathML:', error);
+                return null;
+            }
+        }
+
+        static isWrapped(text) {
+            const pairs = { '(': ')', '[': ']', '{': '}' };
+            const close = pairs[text[0]];
+            if (!close || text[text.length - 1] !== close) return false;
+            let depth = 0;
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] === text[0]) depth++;
+                else if (text[i] === close) depth--;
+                if (depth === 0 && i < text.length - 1) return false;
+            }
+            return depth === 0;
+        }
+    }
+
+    /**
+     * MathML Core validator for copied MathML. The markup must be well-formed XML;
+     * the rules table then checks each element's attributes and child structure.
+     * With repair on, the common problems are rewritten instead of only reported.
+     */
+    class MathMLValidator {
+        static NS = 'http://www.w3.org/1998/Math/MathML';
+
+        // Accepted on every element; event handlers and data-* are matched by prefix
+        static GLOBAL_ATTRIBUTES = ['id', 'class', 'style', 'dir', 'displaystyle', 'mathbackground', 'mathcolor',
+            'mathsize', 'mathvariant', 'nonce', 'scriptlevel', 'tabindex', 'autofocus'];
+
+        // MathML 3 presentation attributes outside Core that Word and MathJax/KaTeX output still rely on
+        static LEGACY_ATTRIBUTES = ['columnalign', 'rowalign', 'columnspacing', 'rowspacing', 'columnlines', 'rowlines',
+            'columnwidth', 'frame', 'framespacing', 'equalrows', 'equalcolumns', 'align', 'side', 'width', 'minlabelspacing',
+            'groupalign', 'notation', 'open', 'close', 'separators', 'bevelled', 'numalign', 'denomalign', 'lquote', 'rquote',
+            'fontstyle', 'fontweight', 'fontfamily', 'fontsize', 'color', 'background', 'scriptminsize',
+            'scriptsizemultiplier', 'definitionURL', 'encoding', 'altimg', 'macros', 'mode', 'indentalign', 'linebreak',
+            'subscriptshift', 'superscriptshift', 'accent', 'href'];
+
+        /**
+         * children: a number for fixed-arity elements, or 'token' (text only), 'empty',
+         * 'rows' (mtr only), 'cells' (mtd only), 'semantics' or 'multiscripts'
+         */
+        static RULES = {
+            'math': { attributes: ['display', 'alttext'] },
+            'mrow': {},
+            'mstyle': {},
+            'merror': {},
+            'mphantom': {},
+            'msqrt': {},
+            'mpadded': { attributes: ['width', 'height', 'depth', 'lspace', 'voffset'] },
+            'maction': { attributes: ['actiontype', 'selection'] },
+            'semantics': { children: 'semantics' },
+            'annotation': { attributes: ['encoding'], children: 'token' },
+            'annotation-xml': { attributes: ['encoding'], opaque: true },
+            'mi': { children: 'token' },
+            'mn': { children: 'token' },
+            'mtext': { children: 'token' },
+            'ms': { children: 'token' },
+            'mo': {
+                children: 'token',
+                attributes: ['form', 'fence', 'separator', 'lspace', 'rspace', 'stretchy', 'symmetric', 'maxsize', 'minsize', 'largeop', 'movablelimits']
+            },
+            'mspace': { children: 'empty', attributes: ['width', 'height', 'depth'] },
+            'mfrac': { children: 2, attributes: ['linethickness'] },
+            'mroot': { children: 2 },
+            'msub': { children: 2 },
+            'msup': { children: 2 },
+            'msubsup': { children: 3 },
+            'munder': { children: 2, attributes: ['accentunder'] },
+            'mover': { children: 2, attributes: ['accent'] },
+            'munderover': { children: 3, attributes: ['accent', 'accentunder'] },
+            'mmultiscripts': { children: 'multiscripts' },
+            'mprescripts': { children: 'empty' },
+            'mtable': { children: 'rows' },
+            'mtr': { children: 'cells' },
+            'mtd': { attributes: ['columnspan', 'rowspan'] }
+        };
+
+        // MathML 3 elements left out of Core; the ones with a Core equivalent can be repaired
+        static LEGACY_ELEMENTS = ['mfenced', 'menclose', 'mlabeledtr', 'none', 'mglyph', 'maligngroup', 'malignmark',
+            'mstack', 'mlongdiv', 'msgroup', 'msrow', 'mscarries', 'mscarry', 'msline'];
+
+        static VALUES = {
+            display: /^(block|inline)$/,
+            dir: /^(ltr|rtl)$/,
+            form: /^(prefix|infix|postfix)$/,
+            displaystyle: /^(true|false)$/,
+            stretchy: /^(true|false)$/,
+            symmetric: /^(true|false)$/,
+            largeop: /^(true|false)$/,
+            movablelimits: /^(true|false)$/,
+            fence: /^(true|false)$/,
+            separator: /^(true|false)$/,
+            accent: /^(true|false)$/,
+            accentunder: /^(true|false)$/,
+            columnspan: /^[1-9]\d*$/,
+            rowspan: /^\d+$/
+        };
+
+        // Predefined in XML; any other named entity comes from HTML serialization
+        static XML_ENTITIES = ['amp', 'lt', 'gt', 'quot', 'apos'];
+
+        /**
+         * Returns { valid, issues, mathml }. Issues are { severity, message, repaired };
+         * only errors (markup that can't be parsed as MathML) make it invalid. mathml is
+         * the repaired markup when something was repaired, otherwise the input unchanged.
+         */
+        static validate(mathml, { repair = false } = {}) {
+            const issues = [];
+            const report = (severity, message, repaired = false) => issues.push({ severity, message, repaired });
+
+            if (typeof mathml !== 'string' || !/<math[\s>\/]/.test(mathml)) {
+                report('error', 'No <math> element');
+                return { valid: false, issues, mathml };
+            }
+
+            let source = mathml.trim().replace(/&([A-Za-z][A-Za-z0-9]*);/g, (entity, name) => {
+                if (this.XML_ENTITIES.includes(name)) return entity;
+                const decoded = new DOMParser().parseFromString(`<body>${entity}</body>`, 'text/html').body.textContent;
+                if (decoded === entity) return entity;
+                report('warning', `HTML entity ${entity} is not defined in XML`, repair);
+                return Array.from(decoded).map(ch => `&#${ch.codePointAt(0)};`).join('');
+            });
+
+            if (!/^<math[^>]*\sxmlns\s*=\s*["']http:\/\/www\.w3\.org\/1998\/Math\/MathML["']/.test(source)) {
+                report('warning', 'Missing MathML namespace on <math>', repair);
+                source = source.replace(/^<math(?=[\s>\/])/, `<math xmlns="${this.NS}"`);
+            }
+
+            const doc = new DOMParser().parseFromString(source, 'application/xml');
+            const parserError = doc.getElementsByTagName('parsererror')[0];
+            if (parserError) {
+                const detail = (parserError.textContent || '').split('\n').map(line => line.trim()).find(Boolean);
+                report('error', `Not well-formed: ${detail || 'XML parse error'}`);
+                return { valid: false, issues, mathml };
+            }
+
+            const root = doc.documentElement;
+            if (root.localName !== 'math' || root.namespaceURI !== this.NS) {
+                report('error', 'The root element is not MathML <math>');
+                return { valid: false, issues, mathml };
+            }
+
+            this.checkElement(root, report, repair);
+
+            const repaired = repair && issues.some(issue => issue.repaired);
+            return {
+                valid: true,
+                issues,
+                mathml: repaired ? new XMLSerializer().serializeToString(root) : mathml
+            };
+        }
+
+        static checkElement(element, report, repair) {
+            const name = element.localName;
+
+            if (element.namespaceURI !== this.NS) {
+                report('warning', `<${name}> is not a MathML element`, repair);
+                this.checkUnwrapped(element, report, repair);
+                return;
+            }
+
+            if (this.LEGACY_ELEMENTS.includes(name)) {
+                const replacement = this.repairLegacy(element, repair);
+                report('warning', `<${name}> is not part of MathML Core`, Boolean(replacement));
+                if (replacement) this.checkElement(replacement, report, repair);
+                else Array.from(element.children).forEach(child => this.checkElement(child, report, repair));
+                return;
+            }
+
+            const rule = this.RULES[name];
+            if (!rule) {
+                report('warning', `Unknown element <${name}>`, repair);
+                this.checkUnwrapped(element, report, repair);
+                return;
+            }
+
+            this.checkAttributes(element, rule, report, repair);
+            if (rule.opaque) return;
+            this.checkChildren(element, rule, report, repair);
+
+            Array.from(element.children).forEach(child => this.checkElement(child, report, repair));
+        }
+
+        static checkAttributes(element, rule, report, repair) {
+            Array.from(element.attributes).forEach(attribute => {
+                const attrName = attribute.name;
+                const known = attrName === 'xmlns' || attrName.startsWith('xmlns:') ||
+                    attrName.startsWith('data-') || /^on[a-z]+$/.test(attrName) ||
+                    this.GLOBAL_ATTRIBUTES.includes(attrName) || this.LEGACY_ATTRIBUTES.includes(attrName) ||
+                    (rule.attributes || []).includes(attrName);
+
+                if (!known) {
+                    report('warning', `Unknown attribute ${attrName} on <${element.localName}>`, repair);
+                    if (repair) element.removeAttribute(attrName);
+                } else if (this.VALUES[attrName] && !this.VALUES[attrName].test(attribute.value.trim())) {
+                    report('warning', `Invalid ${attrName}="${attribute.value}" on <${element.localName}>`, repair);
+                    if (repair) element.removeAttribute(attrName);
+                }
+            });
+        }
+
+        static checkChildren(element, rule, report, repair) {
+            const name = element.localName;
+            const children = Array.from(element.children);
+
+            if (rule.children === 'token') {
+                if (children.length > 0) {
+                    report('warning', `<${name}> should contain only text`, repair);
+                    if (repair) element.textContent = element.textContent;
+                }
+                return;
+            }
+
+            if (rule.children === 'empty') {
+                if (element.childNodes.length > 0 && (children.length > 0 || element.textContent.trim())) {
+                    report('warning', `<${name}> should be empty`, repair);
+                    if (repair) element.textContent = '';
+                }
+                return;
+            }
+
+            // Text belongs in token elements; anywhere else renderers drop it
+            Array.from(element.childNodes).forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+                    report('warning', `Text "${node.textContent.trim()}" outside a token element in <${name}>`, repair);
+                    if (repair) {
+                        const mtext = this.create(element, 'mtext');
+                        mtext.textContent = node.textContent.trim();
+                        element.replaceChild(mtext, node);
+                    }
+                }
+            });
+
+            if (typeof rule.children === 'number') {
+                if (children.length < rule.children) {
+                    report('warning', `<${name}> needs ${rule.children} children but has ${children.length}`, repair);
+                    if (repair) {
+                        for (let i = children.length; i < rule.children; i++) {
+                            element.appendChild(this.create(element, 'mrow'));
+                        }
+                    }
+                } else if (children.length > rule.children) {
+                    report('warning', `<${name}> needs ${rule.children} children but has ${children.length}`);
+                }
+            } else if (rule.children === 'rows' || rule.children === 'cells') {
+                const expected = rule.children === 'rows' ? 'mtr' : 'mtd';
+                children.forEach(child => {
+                    // mlabeledtr is repaired into an mtr by the legacy element check
+                    if (child.localName === expected || (expected === 'mtr' && child.localName === 'mlabeledtr')) return;
+                    report('warning', `<${child.localName}> inside <${name}> should be wrapped in <${expected}>`, repair);
+                    if (repair) {
+                        const cell = this.create(element, 'mtd');
+                        const wrapper = expected === 'mtr' ? this.create(element, 'mtr') : cell;
+                        if (wrapper !== cell) wrapper.appendChild(cell);
+                        element.replaceChild(wrapper, child);
+                        cell.appendChild(child);
+                    }
+                });
+            } else if (rule.children === 'semantics') {
+                const annotations = ['annotation', 'annotation-xml'];
+                if (children.length === 0 || annotations.includes(children[0].localName)) {
+                    report('warning', '<semantics> must start with the presented expression');
+                }
+                children.slice(1).forEach(child => {
+                    if (!annotations.includes(child.localName)) {
+                        report('warning', `<${child.localName}> after the first child of <semantics> should be an annotation`);
+                    }
+                });
+            } else if (rule.children === 'multiscripts') {
+                const prescripts = children.filter(child => child.localName === 'mprescripts').length;
+                const scripts = children.length - 1 - prescripts;
+                if (children.length === 0 || children[0].localName === 'mprescripts') {
+                    report('warning', '<mmultiscripts> needs a base');
+                } else if (prescripts > 1) {
+                    report('warning', '<mmultiscripts> has more than one <mprescripts>');
+                } else if (scripts % 2 !== 0) {
+                    report('warning', '<mmultiscripts> scripts must come in subscript/superscript pairs', repair);
+                    if (repair) element.appendChild(this.create(element, 'mrow'));
+                }
+            }
+        }
+
+        /**
+         * Rewrite a legacy element into Core markup. Returns the replacement, or null when
+         * there is no Core equivalent (or repair is off) and the element is only reported.
+         */
+        static repairLegacy(element, repair) {
+            if (!repair) return null;
+            const name = element.localName;
+
+            if (name === 'none') {
+                const row = this.create(element, 'mrow');
+                element.replaceWith(row);
+                return row;
+            }
+
+            if (name === 'mlabeledtr') {
+                const row = this.create(element, 'mtr');
+                Array.from(element.attributes).forEach(attribute => row.setAttribute(attribute.name, attribute.value));
+                // The first cell is the equation label, which has no place in a plain row
+                Array.from(element.children).slice(1).forEach(child => row.appendChild(child));
+                element.replaceWith(row);
+                return row;
+            }
+
+            if (name === 'mfenced') {
+                const open = element.getAttribute('open') ?? '(';
+                const close = element.getAttribute('close') ?? ')';
+                const separators = (element.getAttribute('separators') ?? ',').replace(/\s+/g, '');
+                const row = this.create(element, 'mrow');
+                const fence = (text, form) => {
+                    const mo = this.create(element, 'mo');
+                    mo.setAttribute('fence', 'true');
+                    mo.setAttribute('form', form);
+                    mo.textContent = text;
+                    return mo;
+                };
+
+                if (open) row.appendChild(fence(open, 'prefix'));
+                const items = Array.from(element.children);
+                const inner = items.length > 1 && separators ? this.create(element, 'mrow') : row;
+                items.forEach((item, i) => {
+                    if (i > 0 && separators) {
+                        const separator = this.create(element, 'mo');
+                        separator.setAttribute('separator', 'true');
+                        separator.textContent = separators[Math.min(i - 1, separators.length - 1)];
+                        inner.appendChild(separator);
+                    }
+                    inner.appendChild(item);
+                });
+                if (inner !== row) row.appendChild(inner);
+                if (close) row.appendChild(fence(close, 'postfix'));
+
+                element.replaceWith(row);
+                return row;
+            }
+
+            return null;
+        }
+
+        static create(context, name) {
+            return context.ownerDocument.createElementNS(this.NS, name);
+        }
+
+        // Elements that don't belong are dropped with repair on; their content is kept and checked
+        static checkUnwrapped(element, report, repair) {
+            const children = Array.from(element.children);
+            if (repair) element.replaceWith(...Array.from(element.childNodes));
+            children.forEach(child => this.checkElement(child, report, repair));
+        }
+
+        // One line for the tooltip: what was repaired, then the first problem left
+        static summarize(issues) {
+            if (issues.length === 0) return null;
+            const repaired = issues.filter(issue => issue.repaired).length;
+            const remaining = issues.filter(issue => !issue.repaired);
+            const parts = [];
+            if (repaired > 0) {
+                parts.push(`repaired ${repaired} MathML ${repaired === 1 ? 'problem' : 'problems'}`);
+            }
+            if (remaining.length > 0) {
+                const more = remaining.length > 1 ? ` (+${remaining.length - 1} more)` : '';
+                parts.push(`${remaining[0].message}${more}`);
+            }
+            return parts.join('; ');
+        }
+    }
+
+    /**
+     * MathML to AsciiMath serializer
+     * Produces syntax understood by the AsciiMath parser: frac(a)(b), sqrt(x), sum_(i=1)^n, ((a,b),(c,d))
+     */
+    class AsciiMathSerializer {
+        static SYMBOLS = {
+            'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'Γ': 'Gamma', 'δ': 'delta', 'Δ': 'Delta',
+            'ε': 'epsilon', 'ϵ': 'epsilon', 'ɛ': 'varepsilon', 'ζ': 'zeta', 'η': 'eta',
+            'θ': 'theta', 'Θ': 'Theta', 'ϑ': 'vartheta', 'ι': 'iota', 'κ': 'kappa',
+            'λ': 'lambda', 'Λ': 'Lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'Ξ': 'Xi',
+            'π': 'pi', 'Π': 'Pi', 'ρ': 'rho', 'σ': 'sigma', 'Σ': 'Sigma', 'τ': 'tau',
+            'υ': 'upsilon', 'ϕ': 'phi', 'φ': 'varphi', 'Φ': 'Phi', 'χ': 'chi', 'ψ': 'psi',
+            'Ψ': 'Psi', 'ω': 'omega', 'Ω': 'Omega',
+            '−': '-', '∗': '**', '⋅': '*', '·': '*', '×': 'xx', '÷': '-:', '∘': '@',
+            '⊕': 'o+', '⊗': 'ox', '⊙': 'o.', '±': '+-', '∓': '-+', '∖': '\\\\',
+            '≤': '<=', '≥': '>=', '≠': '!=', '≈': '~~', '≡': '-=', '≅': '~=', '∼': '~',
+            '∝': 'prop', '≺': '-<', '≻': '>-', '⪯': '-<=', '⪰': '>-=', '≪': 'mlt', '≫': 'mgt',
+            '→': '->', '⟶': '->', '←': 'larr', '↔': '<->', '⇒': '=>', '⟹': '=>',
+            '⇐': 'lArr', '⇔': '<=>', '⟺': '<=>', '↦': '|->', '↑': 'uarr', '↓': 'darr',
+            '∈': 'in', '∉': '!in', '⊂': 'sub', '⊃': 'sup', '⊆': 'sube', '⊇': 'supe',
+            '∪': 'uu', '∩': 'nn', '⋃': 'uuu', '⋂': 'nnn', '∧': '^^', '∨': 'vv',
+            '⋀': '^^^', '⋁': 'vvv', '¬': 'neg', '∀': 'AA', '∃': 'EE', '⊥': '_|_', '⊤': 'TT',
+            '⊢': '|--', '⊨': '|==', '∅': 'O/', '∞': 'oo', '∂': 'del', '∇': 'grad',
+            '∑': 'sum', '∏': 'prod', '∫': 'int', '∬': 'iint', '∭': 'iiint', '∮': 'oint',
+            '…': '...', '⋯': 'cdots', '⋮': 'vdots', '⋱': 'ddots', '∠': '/_', '△': '/_\\',
+            '′': "'", '″': "''", 'ℵ': 'aleph', '⟨': '(:', '⟩': ':)', '⌊': '|__', '⌋': '__|',
+            '⌈': '|~', '⌉': '~|', '∣': '|', '∥': '||', '□': 'square', '⋄': 'diamond',
+            '∴': ':.', '∵': ":'", 'ℝ': 'RR', 'ℕ': 'NN', 'ℤ': 'ZZ', 'ℚ': 'QQ', 'ℂ': 'CC',
+            // Invisible operators (function application, times, separator, plus)
+            '\u2061': '', '\u2062': '', '\u2063': '', '\u2064': ''
+        };
+
+        static ACCENTS = {
+            '^': 'hat', 'ˆ': 'hat', '\u0302': 'hat', 'ˉ': 'bar', '¯': 'bar', '‾': 'bar',
+            '\u0304': 'bar', '\u0305': 'bar', '→': 'vec', '\u20D7': 'vec', '~': 'tilde',
+            '˜': 'tilde', '\u0303': 'tilde', '˙': 'dot', '\u0307': 'dot', '¨': 'ddot',
+            '\u0308': 'ddot', '⏞': 'obrace'
+        };
+
+        static UNDER_ACCENTS = {
+            '‾': 'ul', '_': 'ul', '¯': 'ul', '\u0332': 'ul', '⏟': 'ubrace'
+        };
+
+        static VARIANTS = {
+            'bold': 'bb', 'double-struck': 'bbb', 'script': 'cc', 'fraktur': 'fr',
+            'sans-serif': 'sf', 'monospace': 'tt'
+        };
+
+        static LARGE_OPERATORS = ['∑', '∏', '∐', '∫', '∬', '∭', '∮', '⋃', '⋂', '⋀', '⋁', '⨁', '⨂', '⨀',
+            'lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf', 'det', 'gcd', 'Pr'];
+
+        // Names AsciiMath sets upright by itself; other words need quotes
+        static FUNCTIONS = ['arccos', 'arcsin', 'arctan', 'cos', 'cosh', 'cot', 'coth', 'csc', 'csch',
+            'det', 'dim', 'exp', 'gcd', 'glb', 'lcm', 'lim', 'Lim', 'ln', 'log', 'lub', 'max', 'min',
+            'mod', 'sec', 'sech', 'sin', 'sinh', 'tan', 'tanh'];
+
+        static OPEN_FENCES = ['(', '[', '{', '|', '‖', '⟨'];
+        static CLOSE_FENCES = [')', ']', '}', '|', '‖', '⟩'];
+
+        static serialize(mathElement) {
+            if (!mathElement) return null;
+            const result = this.node(mathElement).trim();
+            return result.length > 0 ? result : null;
+        }
+
+        static node(node) {
+            const name = MathMLTree.name(node);
+            const kids = MathMLTree.children(node);
+
+            switch (name) {
+                case 'math':
+                case 'mrow':
+                case 'mstyle':
+                case 'mpadded':
+                case 'menclose':
+                case 'merror':
+                    return this.row(kids);
+                case 'semantics':
+                    return kids.length > 0 ? this.node(kids[0]) : '';
+                case 'mi':
+                    return this.identifier(node);
+                case 'mn':
+                    return MathMLTree.text(node);
+                case 'mo':
+                    return this.symbol(MathMLTree.text(node));
+                case 'mtext':
+                case 'ms': {
+                    const text = (node.textContent || '').replace(/\s+/g, ' ');
+                    return text.trim() ? `"${text}"` : ' ';
+                }
+                case 'mspace':
+                case 'mphantom':
+                    return '';
+                case 'mfrac':
+                    if (/^0(\.0*)?[a-z]*$/.test(node.getAttribute('linethickness') || '')) {
+                        return `(${this.node(kids[0])}),(${this.node(kids[1])})`;
+                    }
+                    return `frac(${this.node(kids[0])})(${this.node(kids[1])})`;
+                case 'msqrt':
+                    return `sqrt(${this.row(kids)})`;
+                case 'mroot':
+                    return `root(${this.node(kids[1])})(${this.node(kids[0])})`;
+                case 'msub':
+                    return `${this.base(kids[0])}_${this.group(kids[1])}`;
+                case 'msup':
+                    if (/^[′″‴']+$/.test(MathMLTree.text(kids[1]))) {
+                        return `${this.base(kids[0])}${this.node(kids[1])}`;
+                    }
+                    return `${this.base(kids[0])}^${this.group(kids[1])}`;
+                case 'msubsup':
+                    return `${this.base(kids[0])}_${this.group(kids[1])}^${this.group(kids[2])}`;
+                case 'munder':
+                    return this.under(kids[0], kids[1]);
+                case 'mover':
+                    return this.over(kids[0], kids[1]);
+                case 'munderover':
+                    if (this.isLargeOperator(kids[0])) {
+                        return `${this.node(kids[0])}_${this.group(kids[1])}^${this.group(kids[2])}`;
+                    }
+                    return `underset(${this.node(kids[1])})(${this.over(kids[0], kids[2])})`;
+                case 'mmultiscripts':
+                    return this.multiscripts(kids);
+                case 'mtable':
+                    return this.table(node);
+                case 'mfenced':
+                    return this.fenced(node, kids);
+                default:
+                    return this.row(kids);
+            }
+        }
+
+        static row(nodes) {
+            const parts = [];
+            for (let i = 0; i < nodes.length; i++) {
+                const current = nodes[i];
+
+                // \mathrm{Res} arrives one upright letter at a time; copy the word whole
+                if (this.isUprightLetter(current) && this.isUprightLetter(nodes[i + 1])) {
+                    let end = i;
+                    while (this.isUprightLetter(nodes[end + 1])) end++;
+                    parts.push(this.word(nodes.slice(i, end + 1).map(node => MathMLTree.text(node)).join('')));
+                    i = end;
+                    continue;
+                }
+
+                // ‖v‖ is norm(v); the closing bar may carry the scripts, as in ‖v‖_2
+                const close = this.normClose(nodes, i);
+                if (close > i) {
+                    // The closing bar serializes as the script base: swap it for the norm
+                    const scripts = this.node(nodes[close]).slice('‖'.length);
+                    parts.push(`norm(${this.row(nodes.slice(i + 1, close))})${scripts}`);
+                    i = close;
+                    continue;
+                }
+
+                if (MathMLTree.name(current) !== 'mtable') {
+                    parts.push(this.node(current));
+                    continue;
+                }
+
+                // Matrices take their brackets from the surrounding fences: ((a,b),(c,d))
+                const prev = nodes[i - 1];
+                const next = nodes[i + 1];
+                const hasOpen = MathMLTree.name(prev) === 'mo' && this.OPEN_FENCES.includes(MathMLTree.text(prev));
+                const hasClose = MathMLTree.name(next) === 'mo' && this.CLOSE_FENCES.includes(MathMLTree.text(next));
+                const rows = this.tableRows(current);
+
+                if (hasOpen && hasClose) {
+                    parts.push(rows);
+                } else if (hasOpen) {
+                    // Cases-style table with a single opening brace
+                    parts.push(`${rows}:}`);
+                    if (next && MathMLTree.name(next) === 'mo' && !MathMLTree.text(next)) i++;
+                } else {
+                    parts.push(`{:${rows}:}`);
+                }
+            }
+            return this.join(parts);
+        }
+
+        static join(parts) {
+            let out = '';
+            let previous = '';
+            for (const part of parts) {
+                if (!part) continue;
+                const last = out[out.length - 1];
+                const first = part[0];
+                // Keep coefficients attached (2x) but separate names and scripts from what follows
+                const isCoefficient = /^\d+(\.\d+)?$/.test(previous) && /[A-Za-z]/.test(first);
+                if (last && /[A-Za-z0-9]/.test(last) && /[A-Za-z0-9]/.test(first) && !isCoefficient) {
+                    out += ' ';
+                }
+                out += part;
+                previous = part;
+            }
+            return out;
+        }
+
+        static isUprightLetter(node) {
+            return MathMLTree.name(node) === 'mi' && node.getAttribute('mathvariant') === 'normal' &&
+                /^[A-Za-z]$/.test(MathMLTree.text(node));
+        }
+
+        static word(text) {
+            return this.FUNCTIONS.includes(text) ? text : `"${text}"`;
+        }
+
+        static isNormBar(node) {
+            return MathMLTree.name(node) === 'mo' && MathMLTree.text(node) === '‖';
+        }
+
+        // Index of the bar closing a norm opened at nodes[start], or -1
+        static normClose(nodes, start) {
+            if (!this.isNormBar(nodes[start])) return -1;
+            for (let i = start + 1; i < nodes.length; i++) {
+                const node = nodes[i];
+                if (this.isNormBar(node)) return i > start + 1 ? i : -1;
+                if (['msub', 'msup', 'msubsup'].includes(MathMLTree.name(node)) &&
+                    this.isNormBar(MathMLTree.children(node)[0])) {
+                    return i > start + 1 ? i : -1;
+                }
+            }
+            return -1;
+        }
+
+        static identifier(node) {
+            const text = MathMLTree.text(node);
+            // Multi-letter names and \mathrm letters are upright; AsciiMath would italicize them
+            if (/^[A-Za-z]+$/.test(text) && (text.length > 1 || node.getAttribute('mathvariant') === 'normal')) {
+                return this.word(text);
+            }
+            const mapped = Array.from(text).map(char => this.symbol(char)).join(text.length > 1 ? '' : ' ');
+            const variant = this.VARIANTS[node.getAttribute('mathvariant')];
+            if (!variant) return mapped;
+            if (variant === 'bbb' && ['R', 'N', 'Z', 'Q', 'C'].includes(text)) {
+                return text + text;
+            }
+            return `${variant}(${mapped})`;
+        }
+
+        static symbol(text) {
+            if (Object.prototype.hasOwnProperty.call(this.SYMBOLS, text)) {
+                return this.SYMBOLS[text];
+            }
+            return text;
+        }
+
+        static isAtomic(text) {
+            if (text.length <= 1) return true;
+            if (/^\d+(\.\d+)?$/.test(text)) return true;
+            if (/^"[^"]*"$/.test(text)) return true;
+            if (Object.values(this.SYMBOLS).includes(text) && /^[A-Za-z]+$/.test(text)) return true;
+            return MathMLTree.isWrapped(text);
+        }
+
+        static group(node) {
+            const text = this.node(node);
+            return this.isAtomic(text) ? text : `(${text})`;
+        }
+
+        static base(node) {
+            const text = this.node(node);
+            if (this.isAtomic(text) || /^[A-Za-z]+$/.test(text)) return text;
+            // Unary functions such as bb(A) or hat(x) already bind as a single unit
+            const unary = text.match(/^(bb|bbb|cc|fr|sf|tt|hat|bar|vec|tilde|dot|ddot|ul|sqrt)(\(.*\))$/);
+            if (unary && MathMLTree.isWrapped(unary[2])) return text;
+            return `(${text})`;
+        }
+
+        static isLargeOperator(node) {
+            const text = MathMLTree.text(MathMLTree.content(node)).replace(/[\s\u2061]/g, '');
+            return this.LARGE_OPERATORS.includes(text);
+        }
+
+        static under(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && this.UNDER_ACCENTS[mark]) {
+                return `${this.UNDER_ACCENTS[mark]}(${this.node(base)})`;
+            }
+            const baseText = this.node(base);
+            if (this.isLargeOperator(base) || /^[ou]brace\(/.test(baseText)) {
+                return `${baseText}_${this.group(script)}`;
+            }
+            return `underset(${this.node(script)})(${baseText})`;
+        }
+
+        static over(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && this.ACCENTS[mark]) {
+                return `${this.ACCENTS[mark]}(${this.node(base)})`;
+            }
+            const baseText = this.node(base);
+            if (this.isLargeOperator(base) || /^[ou]brace\(/.test(baseText)) {
+                return `${baseText}^${this.group(script)}`;
+            }
+            return `overset(${this.node(script)})(${baseText})`;
+        }
+
+        static multiscripts(kids) {
+            const base = this.base(kids[0]);
+            let post = '';
+            let pre = '';
+            let target = 'post';
+            for (let i = 1; i < kids.length; i += 2) {
+                if (MathMLTree.name(kids[i]) === 'mprescripts') {
+                    target = 'pre';
+                    i--;
+                    continue;
+                }
+                const sub = kids[i] && MathMLTree.name(kids[i]) !== 'none' ? `_${this.group(kids[i])}` : '';
+                const sup = kids[i + 1] && MathMLTree.name(kids[i + 1]) !== 'none' ? `^${this.group(kids[i + 1])}` : '';
+                if (target === 'pre') pre += sub + sup;
+                else post += sub + sup;
+            }
+            return pre ? `{::}${pre}${base}${post}` : `${base}${post}`;
+        }
+
+        static tableRows(table) {
+            return MathMLTree.children(table)
+                .filter(row => ['mtr', 'mlabeledtr'].includes(MathMLTree.name(row)))
+                .map(row => {
+                    let cells = MathMLTree.children(row);
+                    // The first cell of a labeled row is the equation number, not content
+                    if (MathMLTree.name(row) === 'mlabeledtr') cells = cells.slice(1);
+                    return `(${cells.map(cell => this.node(cell)).join(',')})`;
+                })
+                .join(',');
+        }
+
+        static table(table) {
+            return `{:${this.tableRows(table)}:}`;
+        }
+
+        static fenced(node, kids) {
+            const open = node.getAttribute('open') ?? '(';
+            const close = node.getAttribute('close') ?? ')';
+            const separators = (node.getAttribute('separators') ?? ',').replace(/\s/g, '');
+            const body = kids.map((kid, i) => {
+                const separator = i > 0 ? (separators[Math.min(i - 1, separators.length - 1)] || '') : '';
+                return separator + this.node(kid);
+            }).join('');
+            if (open === '‖' && close === '‖') return `norm(${body})`;
+            return `${this.symbol(open)}${body}${this.symbol(close)}`;
+        }
+    }
+
+    /**
+     * LaTeX to presentation MathML converter
+     * Tokenizes TeX source and emits well-formed MathML for groups, scripts, fractions,
+     * radicals, \left...\right fences, environments, fonts, accents and the symbol tables below
+     */
+    class LatexToMathML {
+        static GREEK = {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+            zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+            varkappa: 'ϰ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π',
+            varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+            upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+            Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+        };
+
+        // Commands rendered as identifiers (<mi>)
+        static IDENTIFIERS = {
+            infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅',
+            aleph: 'ℵ', beth: 'ℶ', hbar: 'ℏ', hslash: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ',
+            wp: '℘', imath: 'ı', jmath: 'ȷ', top: '⊤', bot: '⊥', angle: '∠',
+            triangle: '△', square: '□', Box: '□', diamond: '⋄', clubsuit: '♣',
+            diamondsuit: '♢', heartsuit: '♡', spadesuit: '♠', flat: '♭', natural: '♮',
+            sharp: '♯', complement: '∁', mho: '℧', eth: 'ð', S: '§', P: '¶',
+            dagger: '†', ddagger: '‡', checkmark: '✓'
+        };
+
+        // Commands rendered as operators and relations (<mo>)
+        static SYMBOLS = {
+            pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆',
+            circ: '∘', bullet: '∙', oplus: '⊕', ominus: '⊖', otimes: '⊗', oslash: '⊘',
+            odot: '⊙', cup: '∪', cap: '∩', sqcup: '⊔', sqcap: '⊓', uplus: '⊎',
+            setminus: '∖', smallsetminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+            neg: '¬', lnot: '¬', amalg: '⨿', wr: '≀', dotplus: '∔', ltimes: '⋉', rtimes: '⋊',
+            leq: '≤', le: '≤', geq: '≥', ge: '≥', leqslant: '⩽', geqslant: '⩾', neq: '≠',
+            ne: '≠', approx: '≈', approxeq: '≊', equiv: '≡', cong: '≅', sim: '∼', simeq: '≃',
+            nsim: '≁', propto: '∝', ll: '≪', gg: '≫', lll: '⋘', ggg: '⋙', prec: '≺',
+            succ: '≻', preceq: '⪯', succeq: '⪰', perp: '⊥', parallel: '∥', nparallel: '∦',
+            mid: '∣', nmid: '∤', doteq: '≐', asymp: '≍', bowtie: '⋈', models: '⊨',
+            vdash: '⊢', dashv: '⊣', nleq: '≰', ngeq: '≱', lesssim: '≲', gtrsim: '≳',
+            triangleq: '≜', coloneqq: '≔', 'in': '∈', notin: '∉', ni: '∋', owns: '∋',
+            subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', subsetneq: '⊊',
+            supsetneq: '⊋', nsubseteq: '⊈', sqsubseteq: '⊑', sqsupseteq: '⊒',
+            to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔',
+            Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹',
+            impliedby: '⟸', iff: '⟺', mapsto: '↦', longmapsto: '⟼', longrightarrow: '⟶',
+            longleftarrow: '⟵', longleftrightarrow: '⟷', Longrightarrow: '⟹',
+            Longleftarrow: '⟸', Longleftrightarrow: '⟺', uparrow: '↑', downarrow: '↓',
+            updownarrow: '↕', Uparrow: '⇑', Downarrow: '⇓', nearrow: '↗', searrow: '↘',
+            swarrow: '↙', nwarrow: '↖', hookrightarrow: '↪', hookleftarrow: '↩',
+            rightharpoonup: '⇀', leftharpoonup: '↼', rightleftharpoons: '⇌',
+            leadsto: '⇝', forall: '∀', exists: '∃', nexists: '∄', therefore: '∴',
+            because: '∵', ldots: '…', dots: '…', dotsc: '…', dotsb: '⋯', cdots: '⋯',
+            vdots: '⋮', ddots: '⋱', langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋',
+            lceil: '⌈', rceil: '⌉', lvert: '|', rvert: '|', vert: '|', Vert: '‖',
+            lVert: '‖', rVert: '‖', lbrace: '{', rbrace: '}', lbrack: '[', rbrack: ']',
+            backslash: '\\', colon: ':', prime: '′', smile: '⌣', frown: '⌢'
+        };
+
+        static LARGE_OPERATORS = {
+            sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭',
+            oint: '∮', bigcup: '⋃', bigcap: '⋂', bigwedge: '⋀', bigvee: '⋁',
+            bigoplus: '⨁', bigotimes: '⨂', bigodot: '⨀', bigsqcup: '⨆', biguplus: '⨄'
+        };
+
+        // Large operators whose scripts go beside rather than above and below
+        static SIDE_LIMIT_OPERATORS = ['int', 'iint', 'iiint', 'oint'];
+
+        static FUNCTIONS = [
+            'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+            'sinh', 'cosh', 'tanh', 'coth', 'log', 'ln', 'lg', 'exp', 'dim', 'ker',
+            'deg', 'arg', 'hom', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf',
+            'det', 'gcd', 'Pr'
+        ];
+
+        static LIMIT_FUNCTIONS = ['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'];
+
+        static ACCENTS = {
+            hat: '^', widehat: '^', bar: 'ˉ', overline: '‾', vec: '→', overrightarrow: '→',
+            overleftarrow: '←', overleftrightarrow: '↔', dot: '˙', ddot: '¨', dddot: '\u20DB',
+            tilde: '~', widetilde: '~', check: 'ˇ', widecheck: 'ˇ', breve: '˘', acute: '´',
+            grave: '`', mathring: '˚', overbrace: '⏞'
+        };
+
+        static UNDER_ACCENTS = {
+            underline: '‾', underbrace: '⏟', underrightarrow: '→', underleftarrow: '←'
+        };
+
+        static FONTS = {
+            mathbb: 'double-struck', Bbb: 'double-struck', mathbf: 'bold', bf: 'bold',
+            boldsymbol: 'bold-italic', bm: 'bold-italic', mathit: 'italic', it: 'italic',
+            mathrm: 'normal', rm: 'normal', mathup: 'normal', mathcal: 'script',
+            mathscr: 'script', mathfrak: 'fraktur', mathsf: 'sans-serif',
+            mathtt: 'monospace'
+        };
+
+        // Old-style switches: {\rm Res} sets the font up to the end of the enclosing group
+        static FONT_SWITCHES = ['rm', 'bf', 'it'];
+
+        static TEXT_COMMANDS = ['text', 'textrm', 'textnormal', 'textit', 'textbf', 'textsf',
+            'texttt', 'mbox', 'hbox', 'textup', 'mathnormal'];
+
+        static SPACES = {
+            ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em',
+            ' ': '0.25em', '!': '-0.1667em', thinspace: '0.1667em', medspace: '0.2222em',
+            thickspace: '0.2778em', enspace: '0.5em', quad: '1em', qquad: '2em',
+            negthinspace: '-0.1667em'
+        };
+
+        static DELIMITER_SIZES = ['big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr',
+            'biggl', 'biggr', 'Biggl', 'Biggr', 'bigm', 'Bigm', 'biggm', 'Biggm'];
+
+        // Commands that only affect layout or numbering and have no MathML counterpart here
+        static IGNORED = ['displaystyle', 'textstyle', 'scriptstyle', 'scriptscriptstyle',
+            'nonumber', 'notag', 'relax', 'allowbreak', 'nobreak', 'strut', 'mathstrut'];
+
+        static ENVIRONMENTS = {
+            matrix: { open: '', close: '' },
+            smallmatrix: { open: '', close: '' },
+            pmatrix: { open: '(', close: ')' },
+            bmatrix: { open: '[', close: ']' },
+            Bmatrix: { open: '{', close: '}' },
+            vmatrix: { open: '|', close: '|' },
+            Vmatrix: { open: '‖', close: '‖' },
+            cases: { open: '{', close: '', align: 'left left' },
+            dcases: { open: '{', close: '', align: 'left left' },
+            rcases: { open: '', close: '}', align: 'left left' },
+            array: { open: '', close: '', spec: true },
+            subarray: { open: '', close: '', spec: true },
+            aligned: { open: '', close: '', align: 'right left' },
+            align: { open: '', close: '', align: 'right left' },
+            'align*': { open: '', close: '', align: 'right left' },
+            alignat: { open: '', close: '', align: 'right left', spec: true },
+            'alignat*': { open: '', close: '', align: 'right left', spec: true },
+            alignedat: { open: '', close: '', align: 'right left', spec: true },
+            split: { open: '', close: '', align: 'right left' },
+            eqnarray: { open: '', close: '', align: 'right center left' },
+            'eqnarray*': { open: '', close: '', align: 'right center left' },
+            gathered: { open: '', close: '', align: 'center' },
+            gather: { open: '', close: '', align: 'center' },
+            'gather*': { open: '', close: '', align: 'center' },
+            multline: { open: '', close: '', align: 'center' },
+            'multline*': { open: '', close: '', align: 'center' },
+            equation: { open: '', close: '' },
+            'equation*': { open: '', close: '' }
+        };
+
+        static convert(latex) {
+            if (typeof latex !== 'string') return null;
+            let source = latex.trim();
+            let display = false;
+
+            const delimiters = [[/^\$\$([\s\S]*)\$\$$/, true], [/^\\\[([\s\S]*)\\\]$/, true],
+                [/^\\\(([\s\S]*)\\\)$/, false], [/^\$([\s\S]*)\$$/, false]];
+            for (const [pattern, isDisplay] of delimiters) {
+                const match = source.match(pattern);
+                if (match) {
+                    source = match[1].trim();
+                    display = isDisplay;
+                    break;
+                }
+            }
+
+            if (source.length === 0) return null;
+
+            const parser = new LatexToMathML(source);
+            const body = parser.parseDocument();
+            const displayAttr = display ? ' display="block"' : '';
+            return `<math xmlns="http://www.w3.org/1998/Math/MathML"${displayAttr}>${LatexToMathML.row(body)}</math>`;
+        }
+
+        static escape(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        static row(nodes) {
+            const filtered = nodes.filter(Boolean);
+            return filtered.length === 1 ? filtered[0] : `<mrow>${filtered.join('')}</mrow>`;
+        }
+
+        static mo(text, attrs = '') {
+            return `<mo${attrs}>${LatexToMathML.escape(text)}</mo>`;
+        }
+
+        constructor(source) {
+            this.source = source;
+            this.pos = 0;
+            this.variant = null;
+        }
+
+        parseDocument() {
+            const nodes = [];
+            while (this.pos < this.source.length) {
+                const start = this.pos;
+                nodes.push(...this.parseExpression());
+                if (this.pos === start) {
+                    // Stray '}', '&', '\\', \end or unmatched \right at top level
+                    this.skipUnmatched();
+                }
+            }
+            return nodes;
+        }
+
+        skipUnmatched() {
+            const command = this.readCommand();
+            if (command === 'right' || command === 'middle') {
+                this.parseFenceDelimiter();
+            } else if (command === 'end') {
+                this.readRawGroup();
+            } else if (command === null) {
+                this.pos++;
+            }
+        }
+
+        // --- Scanner ---
+
+        peek(offset = 0) {
+            return this.source[this.pos + offset];
+        }
+
+        skipWhitespace() {
+            while (this.pos < this.source.length) {
+                const char = this.source[this.pos];
+                if (/\s/.test(char)) {
+                    this.pos++;
+                } else if (char === '%') {
+                    while (this.pos < this.source.length && this.source[this.pos] !== '\n') this.pos++;
+                } else {
+                    break;
+                }
+            }
+        }
+
+        peekCommand() {
+            if (this.peek() !== '\\') return null;
+            const match = this.source.slice(this.pos + 1).match(/^([a-zA-Z]+\*?|.)/);
+            return match ? match[1] : null;
+        }
+
+        readCommand() {
+            const name = this.peekCommand();
+            if (name === null) return null;
+            this.pos += name.length + 1;
+            return name;
+        }
+
+        // Raw text of a {...} argument, used for \text, \begin and similar
+        readRawGroup() {
+            this.skipWhitespace();
+            if (this.peek() !== '{') {
+                const char = this.peek() || '';
+                this.pos++;
+                return char;
+            }
+            let depth = 0;
+            const start = this.pos + 1;
+            while (this.pos < this.source.length) {
+                const char = this.source[this.pos];
+                if (char === '\\') {
+                    this.pos += 2;
+                    continue;
+                }
+                if (char === '{') depth++;
+                else if (char === '}') {
+                    depth--;
+                    if (depth === 0) {
+                        this.pos++;
+                        return this.source.slice(start, this.pos - 1);
+                    }
+                }
+                this.pos++;
+            }
+            return this.source.slice(start);
+        }
+
+        readOptional() {
+            this.skipWhitespace();
+            if (this.peek() !== '[') return null;
+            this.pos++;
+            const nodes = this.parseExpression(']');
+            if (this.peek() === ']') this.pos++;
+            return nodes;
+        }
+
+        // --- Grammar ---
+
+        parseExpression(closer = null) {
+            const variant = this.variant;
+            let nodes = [];
+            while (true) {
+                this.skipWhitespace();
+                const char = this.peek();
+                if (char === undefined || char === '}' || char === '&' || char === closer) break;
+
+                const command = this.peekCommand();
+                if (command === '\\' || command === 'end' || command === 'right' || command === 'middle' && closer === 'right') break;
+                if (command === 'cr') break;
+
+                if (LatexToMathML.FONT_SWITCHES.includes(command)) {
+                    this.readCommand();
+                    this.variant = LatexToMathML.FONTS[command];
+                    continue;
+                }
+
+                if (command === 'over' || command === 'choose' || command === 'atop') {
+                    this.readCommand();
+                    const numerator = LatexToMathML.row(nodes);
+                    const denominator = LatexToMathML.row(this.parseExpression(closer));
+                    this.variant = variant;
+                    if (command === 'over') {
+                        return [`<mfrac>${numerator}${denominator}</mfrac>`];
+                    }
+                    const fraction = `<mfrac linethickness="0">${numerator}${denominator}</mfrac>`;
+                    return [command === 'choose'
+                        ? `<mrow>${LatexToMathML.mo('(')}${fraction}${LatexToMathML.mo(')')}</mrow>`
+                        : fraction];
+                }
+
+                const start = this.pos;
+                nodes = nodes.concat(this.parseScripted());
+                if (this.pos === start) {
+                    this.pos++;
+                }
+            }
+            this.variant = variant;
+            return nodes;
+        }
+
+        parseScripted() {
+            const atom = this.parseAtom();
+            if (!atom) return [];
+
+            let sub = null;
+            let sup = null;
+            let primes = '';
+            let limits = atom.limits;
+
+            while (true) {
+                this.skipWhitespace();
+                const char = this.peek();
+                const command = this.peekCommand();
+                if (command === 'limits' || command === 'nolimits') {
+                    this.readCommand();
+                    limits = command === 'limits';
+                } else if (char === '_' && sub === null) {
+                    this.pos++;
+                    sub = this.parseArgument();
+                } else if (char === '^' && sup === null) {
+                    this.pos++;
+                    sup = this.parseArgument();
+                } else if (char === "'") {
+                    this.pos++;
+                    primes += '′';
+                } else {
+                    break;
+                }
+            }
+
+            if (primes) {
+                const primeNode = LatexToMathML.mo(primes);
+                sup = sup ? `<mrow>${primeNode}${sup}</mrow>` : primeNode;
+            }
+
+            let xml = atom.xml;
+            if (sub !== null || sup !== null) {
+                const under = limits ? 'munder' : 'msub';
+                const over = limits ? 'mover' : 'msup';
+                const both = limits ? 'munderover' : 'msubsup';
+                if (sub !== null && sup !== null) {
+                    xml = `<${both}>${xml}${sub}${sup}</${both}>`;
+                } else if (sub !== null) {
+                    xml = `<${under}>${xml}${sub}</${under}>`;
+                } else {
+                    xml = `<${over}>${xml}${sup}</${over}>`;
+                }
+            }
+
+            const nodes = [xml];
+            if (atom.apply) {
+                // Invisible function application, as emitted by KaTeX and MathJax
+                nodes.push('<mo>&#x2061;</mo>');
+            }
+            return nodes;
+        }
+
+        // A single script or command argument: {group}, \command or one character
+        parseArgument() {
+            this.skipWhitespace();
+            const char = this.peek();
+            if (char === '{') {
+                return this.parseGroup();
+            }
+            // Unbraced, a number is one digit as in TeX: \frac12 is ½ and x^23 is x²3
+            if (char !== undefined && /[\d.]/.test(char)) {
+                this.pos++;
+                return char === '.' ? LatexToMathML.mo(char) : `<mn>${char}</mn>`;
+            }
+            const atom = this.parseAtom();
+            return atom ? atom.xml : '<mrow></mrow>';
+        }
+
+        parseGroup() {
+            this.skipWhitespace();
+            if (this.peek() !== '{') {
+                return this.parseArgument();
+            }
+            this.pos++;
+            const nodes = this.parseExpression();
+            if (this.peek() === '}') this.pos++;
+            return nodes.length === 1 ? nodes[0] : `<mrow>${nodes.join('')}</mrow>`;
+        }
+
+        identifier(text) {
+            const variant = this.variant && this.variant !== 'italic' ? ` mathvariant="${this.variant}"` : '';
+            return `<mi${variant}>${LatexToMathML.escape(text)}</mi>`;
+        }
+
+        parseAtom() {
+            this.skipWhitespace();
+            const char = this.peek();
+            if (char === undefined) return null;
+
+            if (char === '{') {
+                return { xml: this.parseGroup() };
+            }
+            if (char === '\\') {
+                return this.parseCommand(this.readCommand());
+            }
+
+            const number = this.source.slice(this.pos).match(/^(\d+(?:\.\d+)?|\.\d+)/);
+            if (number) {
+                this.pos += number[1].length;
+                return { xml: `<mn>${number[1]}</mn>` };
+            }
+
+            this.pos++;
+            if (/[a-zA-Z]/.test(char)) {
+                return { xml: this.identifier(char) };
+            }
+            if (char === '~') {
+                return { xml: '<mspace width="0.25em"/>' };
+            }
+            if (char === "'") {
+                return { xml: LatexToMathML.mo('′') };
+            }
+            if (char === '-') {
+                return { xml: LatexToMathML.mo('−') };
+            }
+            if (char === '*') {
+                return { xml: LatexToMathML.mo('∗') };
+            }
+            if ('()[]'.includes(char)) {
+                return { xml: LatexToMathML.mo(char, ' stretchy="false"') };
+            }
+            if ('+=<>/,;:!?|.@'.includes(char)) {
+                return { xml: LatexToMathML.mo(char) };
+            }
+            if (char === '^' || char === '_') {
+                // Script with no base, e.g. {}^{14}C written as ^{14}C
+                this.pos--;
+                return { xml: '<mrow></mrow>' };
+            }
+            // Any other Unicode character: letters are identifiers, the rest operators
+            if (/\p{L}/u.test(char)) {
+                return { xml: this.identifier(char) };
+            }
+            return { xml: LatexToMathML.mo(char) };
+        }
+
+        parseFenceDelimiter() {
+            this.skipWhitespace();
+            const command = this.peekCommand();
+            if (command !== null) {
+                this.readCommand();
+                if (command === '{' || command === '}' || command === '|') return command === '|' ? '‖' : command;
+                return LatexToMathML.SYMBOLS[command] || '';
+            }
+            const char = this.peek();
+            this.pos++;
+            return char === '.' ? '' : (char || '');
+        }
+
+        parseCommand(name) {
+            const T = LatexToMathML;
+            if (name === null) return null;
+
+            if (T.GREEK[name]) {
+                const upright = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+                return { xml: `<mi${upright}>${T.GREEK[name]}</mi>` };
+            }
+            if (T.IDENTIFIERS[name]) {
+                return { xml: `<mi>${T.IDENTIFIERS[name]}</mi>` };
+            }
+            if (T.SYMBOLS[name]) {
+                return { xml: T.mo(T.SYMBOLS[name]) };
+            }
+            if (T.LARGE_OPERATORS[name]) {
+                return {
+                    xml: T.mo(T.LARGE_OPERATORS[name], ' largeop="true"'),
+                    limits: !T.SIDE_LIMIT_OPERATORS.includes(name)
+                };
+            }
+            if (T.FUNCTIONS.includes(name)) {
+                return { xml: `<mi>${name}</mi>`, apply: true, limits: T.LIMIT_FUNCTIONS.includes(name) };
+            }
+            if (Object.prototype.hasOwnProperty.call(T.SPACES, name)) {
+                return { xml: `<mspace width="${T.SPACES[name]}"/>` };
+            }
+            if (T.IGNORED.includes(name)) {
+                return { xml: '' };
+            }
+            if (T.DELIMITER_SIZES.includes(name)) {
+                const delimiter = this.parseFenceDelimiter();
+                return { xml: delimiter ? T.mo(delimiter, ' stretchy="false"') : '' };
+            }
+
+            switch (name) {
+                case 'frac':
+                case 'dfrac':
+                case 'tfrac':
+                case 'cfrac':
+                    return { xml: `<mfrac>${this.parseGroup()}${this.parseGroup()}</mfrac>` };
+
+                case 'binom':
+                case 'dbinom':
+                case 'tbinom':
+                    return {
+                        xml: `<mrow>${T.mo('(')}<mfrac linethickness="0">${this.parseGroup()}${this.parseGroup()}</mfrac>${T.mo(')')}</mrow>`
+                    };
+
+                case 'sqrt': {
+                    const index = this.readOptional();
+                    const radicand = this.parseGroup();
+                    if (index && index.length > 0) {
+                        return { xml: `<mroot>${radicand}${T.row(index)}</mroot>` };
+                    }
+                    return { xml: `<msqrt>${radicand}</msqrt>` };
+                }
+
+                case 'left': {
+                    const open = this.parseFenceDelimiter();
+                    const body = [];
+                    while (this.pos < this.source.length) {
+                        body.push(...this.parseExpression('right'));
+                        if (this.peekCommand() === 'middle') {
+                            this.readCommand();
+                            body.push(T.mo(this.parseFenceDelimiter(), ' fence="true" stretchy="true"'));
+                        } else {
+                            break;
+                        }
+                    }
+                    let close = '';
+                    if (this.peekCommand() === 'right') {
+                        this.readCommand();
+                        close = this.parseFenceDelimiter();
+                    }
+                    const openNode = open ? T.mo(open, ' fence="true" stretchy="true"') : '';
+                    const closeNode = close ? T.mo(close, ' fence="true" stretchy="true"') : '';
+                    return { xml: `<mrow>${openNode}${body.join('')}${closeNode}</mrow>` };
+                }
+
+                case 'begin':
+                    return { xml: this.parseEnvironment(this.readRawGroup().trim()) };
+
+                case 'operatorname':
+                case 'operatorname*': {
+                    const text = this.readRawGroup().replace(/\\,|\s/g, '');
+                    return { xml: `<mi>${T.escape(text)}</mi>`, apply: true, limits: name.endsWith('*') };
+                }
+
+                case 'mathop':
+                    return { xml: this.parseGroup(), limits: true };
+
+                case 'overset':
+                case 'stackrel': {
+                    const over = this.parseGroup();
+                    return { xml: `<mover>${this.parseGroup()}${over}</mover>` };
+                }
+
+                case 'underset': {
+                    const under = this.parseGroup();
+                    return { xml: `<munder>${this.parseGroup()}${under}</munder>` };
+                }
+
+                case 'not': {
+                    const next = this.parseAtom();
+                    const negations = { '=': '≠', '∈': '∉', '⊂': '⊄', '⊆': '⊈', '≡': '≢', '<': '≮', '>': '≯', '∼': '≁', '∃': '∄' };
+                    if (!next) return { xml: T.mo('/') };
+                    const match = next.xml.match(/^<mo[^>]*>(.*)<\/mo>$/);
+                    if (match && negations[match[1]]) {
+                        return { xml: T.mo(negations[match[1]]) };
+                    }
+                    return { xml: next.xml.replace(/<\/(mo|mi)>$/, '\u0338</$1>') };
+                }
+
+                case 'phantom':
+                case 'hphantom':
+                case 'vphantom':
+                    return { xml: `<mphantom>${this.parseGroup()}</mphantom>` };
+
+                case 'boxed':
+                case 'fbox':
+                    return { xml: `<menclose notation="box">${this.parseGroup()}</menclose>` };
+
+                case 'cancel':
+                case 'bcancel':
+                case 'xcancel': {
+                    const notation = { cancel: 'updiagonalstrike', bcancel: 'downdiagonalstrike', xcancel: 'updiagonalstrike downdiagonalstrike' }[name];
+                    return { xml: `<menclose notation="${notation}">${this.parseGroup()}</menclose>` };
+                }
+
+                case 'color':
+                    this.readRawGroup();
+                    return { xml: '' };
+
+                case 'textcolor':
+                case 'colorbox':
+                    this.readRawGroup();
+                    return { xml: this.parseGroup() };
+
+                case 'tag':
+                case 'tag*':
+                case 'label':
+                case 'ref':
+                case 'eqref':
+                    this.readRawGroup();
+                    return { xml: '' };
+
+                case 'pmod':
+                    return { xml: `<mrow>${T.mo('(')}<mi>mod</mi><mspace width="0.3333em"/>${this.parseGroup()}${T.mo(')')}</mrow>` };
+
+                case 'bmod':
+                case 'mod':
+                    return { xml: '<mo lspace="0.2222em" rspace="0.2222em">mod</mo>' };
+
+                case '{':
+                case '}':
+                    return { xml: T.mo(name, ' stretchy="false"') };
+
+                case '|':
+                    return { xml: T.mo('‖') };
+
+                case '%':
+                case '$':
+                case '#':
+                case '&':
+                case '_':
+                    return { xml: T.mo(name) };
+
+                case 'xrightarrow':
+                case 'xleftarrow': {
+                    this.readOptional();
+                    const arrow = name === 'xrightarrow' ? '→' : '←';
+                    return { xml: `<mover>${T.mo(arrow, ' stretchy="true"')}${this.parseGroup()}</mover>` };
+                }
+            }
+
+            if (T.ACCENTS[name]) {
+                const stretchy = /^(wide|over)/.test(name) ? 'true' : 'false';
+                return {
+                    xml: `<mover accent="true">${this.parseGroup()}${T.mo(T.ACCENTS[name], ` stretchy="${stretchy}"`)}</mover>`,
+                    limits: name === 'overbrace'
+                };
+            }
+            if (T.UNDER_ACCENTS[name]) {
+                return {
+                    xml: `<munder accentunder="true">${this.parseGroup()}${T.mo(T.UNDER_ACCENTS[name], ' stretchy="true"')}</munder>`,
+                    limits: name === 'underbrace'
+                };
+            }
+            if (T.FONTS[name]) {
+                const previous = this.variant;
+                this.variant = T.FONTS[name];
+                const xml = this.parseGroup();
+                this.variant = previous;
+                return { xml };
+            }
+            if (T.TEXT_COMMANDS.includes(name)) {
+                const text = this.readRawGroup().replace(/\\([{}%$&#_ ])/g, '$1');
+                return { xml: `<mtext>${T.escape(text)}</mtext>` };
+            }
+
+            // Unknown command: keep it visible rather than dropping content
+            Logger.debug('Unsupported LaTeX command:', name);
+            return { xml: `<mtext>${T.escape('\\' + name)}</mtext>` };
+        }
+
+        parseEnvironment(name) {
+            const T = LatexToMathML;
+            const env = T.ENVIRONMENTS[name];
+            if (!env) {
+                // Unknown environment: keep the source visible as an error rather than guess a layout
+                Logger.debug('Unsupported LaTeX environment:', name);
+                const source = `\\begin{${name}}${this.readEnvironmentBody(name)}\\end{${name}}`;
+                return `<merror><mtext>${T.escape(source)}</mtext></merror>`;
+            }
+            if (env.spec) {
+                // Column specification ({cc|l}) or alignat column count
+                this.readRawGroup();
+            }
+
+            const rows = [];
+            let cells = [];
+            let current = [];
+            while (this.pos < this.source.length) {
+                current.push(...this.parseExpression());
+                const command = this.peekCommand();
+                if (this.peek() === '&') {
+                    this.pos++;
+                    cells.push(current);
+                    current = [];
+                } else if (command === '\\' || command === 'cr') {
+                    this.readCommand();
+                    this.readOptional();
+                    cells.push(current);
+                    rows.push(cells);
+                    cells = [];
+                    current = [];
+                } else if (command === 'end') {
+                    this.readCommand();
+                    this.readRawGroup();
+                    break;
+                } else if (this.pos < this.source.length) {
+                    // Stray '}' or \right without a matching \left inside the environment
+                    this.skipUnmatched();
+                } else {
+                    break;
+                }
+            }
+            cells.push(current);
+            if (cells.some(cell => cell.length > 0)) {
+                rows.push(cells);
+            }
+
+            const columnAlign = env.align ? ` columnalign="${env.align}"` : '';
+            const table = `<mtable${columnAlign}>${rows.map(row =>
+                `<mtr>${row.map(cell => `<mtd>${T.row(cell) || ''}</mtd>`).join('')}</mtr>`
+            ).join('')}</mtable>`;
+
+            if (!env.open && !env.close) return table;
+            const open = env.open ? T.mo(env.open, ' fence="true"') : '';
+            const close = env.close ? T.mo(env.close, ' fence="true"') : '';
+            return `<mrow>${open}${table}${close}</mrow>`;
+        }
+
+        // Raw source up to the \end matching this \begin{name}, which is consumed too
+        readEnvironmentBody(name) {
+            const start = this.pos;
+            const pattern = /\\(begin|end)\s*\{([^}]*)\}/g;
+            pattern.lastIndex = start;
+            let depth = 1;
+            let match;
+            while ((match = pattern.exec(this.source))) {
+                if (match[2].trim() !== name) continue;
+                depth += match[1] === 'begin' ? 1 : -1;
+                if (depth === 0) {
+                    this.pos = match.index + match[0].length;
+                    return this.source.slice(start, match.index);
+                }
+            }
+            this.pos = this.source.length;
+            return this.source.slice(start);
+        }
+    }
+
+    /**
+     * MathML to LaTeX serializer, the inverse of LatexToMathML, used when the page
+     * does not expose the original TeX source
+     */
+    class LatexSerializer {
+        // Characters whose inverse lookup in LatexToMathML is ambiguous or unwanted
+        static PREFERRED = {
+            '|': '|', '[': '[', ']': ']', ':': ':', '∣': '\\mid', '−': '-', '∗': '\\ast',
+            '⋅': '\\cdot', '…': '\\ldots', '→': '\\to', '←': '\\leftarrow', '∅': '\\emptyset',
+            '⊥': '\\perp', '∧': '\\wedge', '∨': '\\vee', '¬': '\\neg', '∋': '\\ni',
+            '⟹': '\\implies', '⟸': '\\impliedby', '⟺': '\\iff', '≤': '\\leq', '≥': '\\geq',
+            '≠': '\\neq', '{': '\\{', '}': '\\}', '□': '\\square', 'ℏ': '\\hbar',
+            '&': '\\&', '%': '\\%', '#': '\\#', '$': '\\$', '_': '\\_', '∖': '\\setminus',
+            '′': '\\prime', '\u2061': '', '\u2062': '', '\u2063': '', '\u2064': '',
+            '\u00A0': '~'
+        };
+
+        static EXTRA_ACCENTS = {
+            '\u20D7': 'vec', '˜': 'tilde', '¯': 'bar', 'ˆ': 'hat', '\u0302': 'hat',
+            '\u0303': 'tilde', '\u0304': 'bar', '\u0305': 'overline', '\u0307': 'dot', '\u0308': 'ddot'
+        };
+
+        static FENCE_ENVIRONMENTS = {
+            '(': 'pmatrix', '[': 'bmatrix', '{': 'Bmatrix', '|': 'vmatrix', '‖': 'Vmatrix'
+        };
+
+        static commands = null;
+
+        /**
+         * Build the character -> command tables by inverting LatexToMathML's tables;
+         * the first command listed for a character wins
+         */
+        static tables() {
+            if (this.commands) return this.commands;
+            const invert = (...maps) => {
+                const result = {};
+                for (const map of maps) {
+                    for (const [command, char] of Object.entries(map)) {
+                        if (!(char in result)) result[char] = command;
+                    }
+                }
+                return result;
+            };
+            const fonts = invert(LatexToMathML.FONTS);
+            fonts['double-struck'] = 'mathbb';
+            fonts['bold'] = 'mathbf';
+            fonts['bold-italic'] = 'boldsymbol';
+            fonts['normal'] = 'mathrm';
+            this.commands = {
+                symbols: invert(LatexToMathML.GREEK, LatexToMathML.IDENTIFIERS,
+                    LatexToMathML.SYMBOLS, LatexToMathML.LARGE_OPERATORS),
+                accents: { ...invert(LatexToMathML.ACCENTS), ...this.EXTRA_ACCENTS },
+                underAccents: { ...invert(LatexToMathML.UNDER_ACCENTS), '_': 'underline', '\u0332': 'underline' },
+                fonts
+            };
+            return this.commands;
+        }
+
+        static serialize(mathElement) {
+            if (!mathElement) return null;
+            const result = this.node(mathElement).replace(/\s+/g, ' ').trim();
+            return result.length > 0 ? result : null;
+        }
+
+        static symbol(char) {
+            if (char in this.PREFERRED) return this.PREFERRED[char];
+            const command = this.tables().symbols[char];
+            return command ? `\\${command}` : char;
+        }
+
+        static symbols(text) {
+            let out = '';
+            for (const char of text) {
+                out = this.append(out, this.symbol(char));
+            }
+            return out;
+        }
+
+        /**
+         * Concatenate TeX fragments, separating a control word or an unbraced script
+         * from a following letter
+         */
+        static append(out, part) {
+            if (!part) return out;
+            if (/(\\[A-Za-z]+|[_^][A-Za-z0-9])$/.test(out) && /^[A-Za-z0-9]/.test(part)) return `${out} ${part}`;
+            return out + part;
+        }
+
+        static braced(text) {
+            return Array.from(text).length === 1 || /^\\[A-Za-z]+$/.test(text) ? text : `{${text}}`;
+        }
+
+        static node(node) {
+            const name = MathMLTree.name(node);
+            const kids = MathMLTree.children(node);
+
+            switch (name) {
+                case 'math':
+                case 'mrow':
+                case 'mpadded':
+                case 'merror':
+                    return this.row(kids);
+                case 'semantics':
+                    return kids.length > 0 ? this.node(kids[0]) : '';
+                case 'mstyle': {
+                    const color = node.getAttribute('mathcolor');
+                    const body = this.row(kids);
+                    return color ? `{\\color{${color}}${body}}` : body;
+                }
+                case 'mi':
+                    return this.identifier(node);
+                case 'mn':
+                    return MathMLTree.text(node);
+                case 'mo':
+                    return this.symbols(MathMLTree.text(node));
+                case 'mtext':
+                case 'ms': {
+                    const text = node.textContent || '';
+                    if (text.trim().length === 0) return text.length > 0 ? '\\ ' : '';
+                    return `\\text{${text.replace(/([{}\\])/g, '\\$1')}}`;
+                }
+                case 'mspace':
+                    return this.space(node);
+                case 'mphantom':
+                    return `\\phantom{${this.row(kids)}}`;
+                case 'menclose': {
+                    const notation = node.getAttribute('notation') || '';
+                    if (/box|roundedbox/.test(notation)) return `\\boxed{${this.row(kids)}}`;
+                    if (/updiagonalstrike/.test(notation)) return `\\cancel{${this.row(kids)}}`;
+                    return this.row(kids);
+                }
+                case 'mfrac':
+                    if (/^0(\.0*)?[a-z]*$/.test(node.getAttribute('linethickness') || '')) {
+                        return `{${this.node(kids[0])} \\atop ${this.node(kids[1])}}`;
+                    }
+                    return `\\frac{${this.node(kids[0])}}{${this.node(kids[1])}}`;
+                case 'msqrt':
+                    return `\\sqrt{${this.row(kids)}}`;
+                case 'mroot':
+                    return `\\sqrt[${this.node(kids[1])}]{${this.node(kids[0])}}`;
+                case 'msub':
+                    return `${this.base(kids[0])}_${this.braced(this.node(kids[1]))}`;
+                case 'msup':
+                    return this.superscript(kids[0], kids[1]);
+                case 'msubsup':
+                    return `${this.base(kids[0])}_${this.braced(this.node(kids[1]))}^${this.braced(this.node(kids[2]))}`;
+                case 'munder':
+                    return this.under(kids[0], kids[1]);
+                case 'mover':
+                    return this.over(kids[0], kids[1]);
+                case 'munderover':
+                    if (this.isLimitBase(kids[0])) {
+                        return `${this.node(kids[0])}_${this.braced(this.node(kids[1]))}^${this.braced(this.node(kids[2]))}`;
+                    }
+                    return `\\overset{${this.node(kids[2])}}{${this.under(kids[0], kids[1])}}`;
+                case 'mmultiscripts':
+                    return this.multiscripts(kids);
+                case 'mtable':
+                    return this.environment(node, null, null);
+                case 'mfenced': {
+                    const open = node.getAttribute('open') ?? '(';
+                    const close = node.getAttribute('close') ?? ')';
+                    const separator = ((node.getAttribute('separators') ?? ',').trim()[0]) || '';
+                    const body = kids.map(kid => this.node(kid)).join(separator);
+                    return `\\left${this.delimiter(open)}${body}\\right${this.delimiter(close)}`;
+                }
+                default:
+                    return this.row(kids);
+            }
+        }
+
+        static identifier(node) {
+            const text = MathMLTree.text(node);
+            const variant = node.getAttribute('mathvariant');
+            const chars = Array.from(text);
+
+            if (chars.length > 1 && LatexToMathML.FUNCTIONS.includes(text)) return `\\${text}`;
+
+            let body = this.symbols(text);
+            if (chars.length > 1 && !variant) {
+                const next = node.nextElementSibling;
+                const isFunction = next && MathMLTree.name(next) === 'mo' && MathMLTree.text(next) === '\u2061';
+                return isFunction ? `\\operatorname{${body}}` : `\\mathrm{${body}}`;
+            }
+            if (variant && variant !== 'italic' && !(variant === 'normal' && chars.length > 1 && /^\\/.test(body))) {
+                const font = this.tables().fonts[variant];
+                if (font) body = `\\${font}{${body}}`;
+            }
+            return body;
+        }
+
+        static space(node) {
+            if (node.getAttribute('linebreak') === 'newline') return ' \\\\ ';
+            const width = parseFloat(node.getAttribute('width') || '0');
+            if (width < 0) return '\\!';
+            if (width === 0) return '';
+            if (width < 0.2) return '\\,';
+            if (width < 0.25) return '\\:';
+            if (width < 0.5) return '\\;';
+            if (width < 1.5) return '\\quad ';
+            return '\\qquad ';
+        }
+
+        static delimiter(char) {
+            if (!char) return '.';
+            return this.symbol(char);
+        }
+
+        static isFence(node) {
+            return node && MathMLTree.name(node) === 'mo' && node.getAttribute('fence') === 'true';
+        }
+
+        static isOpenFence(node) {
+            return this.isFence(node) && node.getAttribute('form') !== 'postfix' &&
+                ['(', '[', '{', '|', '‖', '⟨', '⌊', '⌈', ''].includes(MathMLTree.text(node));
+        }
+
+        static row(nodes) {
+            const items = nodes.filter(Boolean);
+
+            // \left( ... \right) around a matrix or cases table becomes an environment
+            const table = items.findIndex(item => MathMLTree.name(MathMLTree.content(item)) === 'mtable');
+            if (table > 0 && this.isOpenFence(items[table - 1]) && items.length <= 3 &&
+                (table === items.length - 1 || this.isFence(items[table + 1]))) {
+                return this.environment(MathMLTree.content(items[table]),
+                    MathMLTree.text(items[table - 1]), items[table + 1] ? MathMLTree.text(items[table + 1]) : '');
+            }
+
+            // (n \atop k) inside parentheses is a binomial coefficient
+            if (items.length === 3 && MathMLTree.name(items[1]) === 'mfrac' &&
+                MathMLTree.text(items[0]) === '(' && MathMLTree.text(items[2]) === ')' &&
+                /^0(\.0*)?[a-z]*$/.test(items[1].getAttribute('linethickness') || '')) {
+                const [top, bottom] = MathMLTree.children(items[1]);
+                return `\\binom{${this.node(top)}}{${this.node(bottom)}}`;
+            }
+
+            const stretchy = items.length >= 2 && this.isFence(items[0]) && this.isFence(items[items.length - 1]);
+            let out = '';
+            items.forEach((item, index) => {
+                if (stretchy && (index === 0 || index === items.length - 1)) {
+                    const side = index === 0 ? '\\left' : '\\right';
+                    out = this.append(out, `${side}${this.delimiter(MathMLTree.text(item))}`);
+                } else {
+                    out = this.append(out, this.node(item));
+                }
+            });
+            return out;
+        }
+
+        static base(node) {
+            const text = this.node(node);
+            const name = MathMLTree.name(node);
+            if (['msub', 'msup', 'msubsup'].includes(name)) return `{${text}}`;
+            if (['mi', 'mn', 'mo', 'mtext'].includes(name) || Array.from(text).length === 1) return text;
+            return /^\\[A-Za-z]+(\{.*\})?$/.test(text) || MathMLTree.isWrapped(text) ? text : `{${text}}`;
+        }
+
+        static superscript(base, script) {
+            const text = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && /^[′″‴]+$/.test(text)) {
+                const primes = Array.from(text).map(char => ({ '′': 1, '″': 2, '‴': 3 })[char]);
+                return this.base(base) + "'".repeat(primes.reduce((a, b) => a + b, 0));
+            }
+            return `${this.base(base)}^${this.braced(this.node(script))}`;
+        }
+
+        static isLimitBase(node) {
+            const text = MathMLTree.text(MathMLTree.content(node));
+            return Object.values(LatexToMathML.LARGE_OPERATORS).includes(text) ||
+                LatexToMathML.LIMIT_FUNCTIONS.includes(text);
+        }
+
+        static under(base, script) {
+            const mark = MathMLTree.text(script);
+            const underAccents = this.tables().underAccents;
+            if (MathMLTree.name(script) === 'mo' && underAccents[mark]) {
+                return `\\${underAccents[mark]}{${this.node(base)}}`;
+            }
+            // \underbrace{x}_{label} nests the brace inside another munder
+            if (MathMLTree.name(base) === 'munder' && MathMLTree.text(MathMLTree.children(base)[1]) === '⏟') {
+                return `${this.node(base)}_${this.braced(this.node(script))}`;
+            }
+            if (this.isLimitBase(base)) {
+                return `${this.node(base)}_${this.braced(this.node(script))}`;
+            }
+            return `\\underset{${this.node(script)}}{${this.node(base)}}`;
+        }
+
+        static over(base, script) {
+            const mark = MathMLTree.text(script);
+            const accents = this.tables().accents;
+            if (MathMLTree.name(script) === 'mo' && accents[mark]) {
+                return `\\${accents[mark]}{${this.node(base)}}`;
+            }
+            if (MathMLTree.name(base) === 'mover' && MathMLTree.text(MathMLTree.children(base)[1]) === '⏞') {
+                return `${this.node(base)}^${this.braced(this.node(script))}`;
+            }
+            if (this.isLimitBase(base)) {
+                return `${this.node(base)}^${this.braced(this.node(script))}`;
+            }
+            return `\\overset{${this.node(script)}}{${this.node(base)}}`;
+        }
+
+        static multiscripts(kids) {
+            let post = '';
+            let pre = '';
+            let target = 'post';
+            for (let i = 1; i < kids.length; i += 2) {
+                if (MathMLTree.name(kids[i]) === 'mprescripts') {
+                    target = 'pre';
+                    i--;
+                    continue;
+                }
+                const sub = kids[i] && MathMLTree.name(kids[i]) !== 'none' ? `_${this.braced(this.node(kids[i]))}` : '';
+                const sup = kids[i + 1] && MathMLTree.name(kids[i + 1]) !== 'none' ? `^${this.braced(this.node(kids[i + 1]))}` : '';
+                if (target === 'pre') pre += sub + sup;
+                else post += sub + sup;
+            }
+            return `${pre ? `{}${pre}` : ''}${this.base(kids[0])}${post}`;
+        }
+
+        /**
+         * Serialize an mtable as a matrix, cases or aligned environment depending on
+         * the fences around it and its column alignment
+         */
+        static environment(table, open, close) {
+            const rows = MathMLTree.children(table)
+                .filter(row => ['mtr', 'mlabeledtr'].includes(MathMLTree.name(row)))
+                .map(row => {
+                    let cells = MathMLTree.children(row);
+                    if (MathMLTree.name(row) === 'mlabeledtr') cells = cells.slice(1);
+                    return cells.map(cell => this.node(cell)).join(' & ');
+                });
+            const body = rows.join(' \\\\ ');
+
+            let name;
+            if (open === '{' && !close) {
+                name = 'cases';
+            } else if (open !== null && this.FENCE_ENVIRONMENTS[open] && (!close || close === open ||
+                LatexToMathML.ENVIRONMENTS[this.FENCE_ENVIRONMENTS[open]].close === close)) {
+                name = this.FENCE_ENVIRONMENTS[open];
+            } else if (/^right left/.test(table.getAttribute('columnalign') || '')) {
+                name = 'aligned';
+            } else {
+                name = 'matrix';
+            }
+
+            const environment = `\\begin{${name}} ${body} \\end{${name}}`;
+            if (open === null || LatexToMathML.ENVIRONMENTS[name].open === open) return environment;
+            return `\\left${this.delimiter(open)}${environment}\\right${this.delimiter(close)}`;
+        }
+    }
+
+    /**
+     * MathML to linear Unicode serializer in the style of UnicodeMath
+     * (a+b)/c, √(x+1), ∑_(i=1)^n, x², with parenthesized scripts when a character
+     * has no superscript or subscript form
+     */
+    class UnicodeMathSerializer {
+        static SUPERSCRIPTS = {
+            '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷',
+            '8': '⁸', '9': '⁹', '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾',
+            'a': 'ᵃ', 'b': 'ᵇ', 'c': 'ᶜ', 'd': 'ᵈ', 'e': 'ᵉ', 'f': 'ᶠ', 'g': 'ᵍ', 'h': 'ʰ',
+            'i': 'ⁱ', 'j': 'ʲ', 'k': 'ᵏ', 'l': 'ˡ', 'm': 'ᵐ', 'n': 'ⁿ', 'o': 'ᵒ', 'p': 'ᵖ',
+            'r': 'ʳ', 's': 'ˢ', 't': 'ᵗ', 'u': 'ᵘ', 'v': 'ᵛ', 'w': 'ʷ', 'x': 'ˣ', 'y': 'ʸ',
+            'z': 'ᶻ', 'A': 'ᴬ', 'B': 'ᴮ', 'D': 'ᴰ', 'E': 'ᴱ', 'G': 'ᴳ', 'H': 'ᴴ', 'I': 'ᴵ',
+            'J': 'ᴶ', 'K': 'ᴷ', 'L': 'ᴸ', 'M': 'ᴹ', 'N': 'ᴺ', 'O': 'ᴼ', 'P': 'ᴾ', 'R': 'ᴿ',
+            'T': 'ᵀ', 'U': 'ᵁ', 'V': 'ⱽ', 'W': 'ᵂ', 'α': 'ᵅ', 'β': 'ᵝ', 'γ': 'ᵞ', 'δ': 'ᵟ',
+            'ε': 'ᵋ', 'θ': 'ᶿ', 'ι': 'ᶥ', 'ϕ': 'ᶲ', 'φ': 'ᵠ', 'χ': 'ᵡ', '′': '′', '″': '″',
+            '‴': '‴', '∘': '°'
+        };
+
+        static SUBSCRIPTS = {
+            '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇',
+            '8': '₈', '9': '₉', '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎',
+            'a': 'ₐ', 'e': 'ₑ', 'h': 'ₕ', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'l': 'ₗ', 'm': 'ₘ',
+            'n': 'ₙ', 'o': 'ₒ', 'p': 'ₚ', 'r': 'ᵣ', 's': 'ₛ', 't': 'ₜ', 'u': 'ᵤ', 'v': 'ᵥ',
+            'x': 'ₓ', 'ə': 'ₔ', 'β': 'ᵦ', 'γ': 'ᵧ', 'ρ': 'ᵨ', 'φ': 'ᵩ', 'χ': 'ᵪ'
+        };
+
+        // Combining marks placed after the accented character
+        static ACCENTS = {
+            '^': '\u0302', 'ˆ': '\u0302', 'ˉ': '\u0304', '¯': '\u0305', '‾': '\u0305',
+            '→': '\u20D7', '\u20D7': '\u20D7', '~': '\u0303', '˜': '\u0303', '˙': '\u0307',
+            '¨': '\u0308', 'ˇ': '\u030C', '˘': '\u0306', '´': '\u0301', '`': '\u0300',
+            '˚': '\u030A', '←': '\u20D6', '↔': '\u20E1', '\u20DB': '\u20DB'
+        };
+
+        static UNDER_ACCENTS = {
+            '‾': '\u0332', '_': '\u0332', '¯': '\u0332', '\u0332': '\u0332'
+        };
+
+        // Mathematical Alphanumeric Symbols: [uppercase A, lowercase a, digit 0] and letters
+        // that live in the Letterlike Symbols block instead
+        static VARIANTS = {
+            'bold': { upper: 0x1D400, lower: 0x1D41A, digit: 0x1D7CE },
+            'italic': { upper: 0x1D434, lower: 0x1D44E, exceptions: { h: 'ℎ' } },
+            'bold-italic': { upper: 0x1D468, lower: 0x1D482 },
+            'double-struck': {
+                upper: 0x1D538, lower: 0x1D552, digit: 0x1D7D8,
+                exceptions: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }
+            },
+            'script': {
+                upper: 0x1D49C, lower: 0x1D4B6,
+                exceptions: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' }
+            },
+            'fraktur': {
+                upper: 0x1D504, lower: 0x1D51E,
+                exceptions: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' }
+            },
+            'sans-serif': { upper: 0x1D5A0, lower: 0x1D5BA, digit: 0x1D7E2 },
+            'monospace': { upper: 0x1D670, lower: 0x1D68A, digit: 0x1D7F6 }
+        };
+
+        static LARGE_OPERATORS = ['∑', '∏', '∐', '∫', '∬', '∭', '∮', '⋃', '⋂', '⋀', '⋁', '⨁', '⨂', '⨀',
+            'lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf', 'det', 'gcd', 'Pr'];
+
+        static serialize(mathElement) {
+            if (!mathElement) return null;
+            const result = this.node(mathElement).replace(/ {2,}/g, ' ').trim();
+            return result.length > 0 ? result : null;
+        }
+
+        static toScript(text, map) {
+            let result = '';
+            for (const char of text) {
+                if (!map[char]) return null;
+                result += map[char];
+            }
+            return result;
+        }
+
+        static styled(text, variant) {
+            const table = this.VARIANTS[variant];
+            if (!table) return text;
+            return Array.from(text).map(char => {
+                if (table.exceptions && table.exceptions[char]) return table.exceptions[char];
+                const code = char.charCodeAt(0);
+                if (char >= 'A' && char <= 'Z') return String.fromCodePoint(table.upper + code - 65);
+                if (char >= 'a' && char <= 'z') return String.fromCodePoint(table.lower + code - 97);
+                if (char >= '0' && char <= '9' && table.digit) return String.fromCodePoint(table.digit + code - 48);
+                return char;
+            }).join('');
+        }
+
+        static node(node) {
+            const name = MathMLTree.name(node);
+            const kids = MathMLTree.children(node);
+
+            switch (name) {
+                case 'math':
+                case 'mrow':
+                case 'mstyle':
+                case 'mpadded':
+                case 'menclose':
+                case 'merror':
+                    return this.row(kids);
+                case 'semantics':
+                    return kids.length > 0 ? this.node(kids[0]) : '';
+                case 'mi': {
+                    const variant = node.getAttribute('mathvariant');
+                    return this.styled(MathMLTree.text(node), variant);
+                }
+                case 'mn':
+                    return MathMLTree.text(node);
+                case 'mo': {
+                    const text = MathMLTree.text(node);
+                    return /^[\u2061-\u2064]$/.test(text) ? '' : text;
+                }
+                case 'mtext':
+                case 'ms':
+                    return (node.textContent || '').replace(/\s+/g, ' ');
+                case 'mspace': {
+                    const width = parseFloat(node.getAttribute('width') || '0');
+                    return width > 0 ? ' ' : '';
+                }
+                case 'mphantom':
+                    return '';
+                case 'mfrac':
+                    if (/^0(\.0*)?[a-z]*$/.test(node.getAttribute('linethickness') || '')) {
+                        return `${this.node(kids[0])}¦${this.node(kids[1])}`;
+                    }
+                    return `${this.operand(kids[0])}/${this.operand(kids[1])}`;
+                case 'msqrt':
+                    return `√${this.operand(kids.length === 1 ? kids[0] : node, kids.length !== 1)}`;
+                case 'mroot': {
+                    const index = MathMLTree.text(kids[1]);
+                    if (index === '3') return `∛${this.operand(kids[0])}`;
+                    if (index === '4') return `∜${this.operand(kids[0])}`;
+                    return `√(${this.node(kids[1])}&${this.node(kids[0])})`;
+                }
+                case 'msub':
+                    return this.base(kids[0]) + this.script(kids[1], this.SUBSCRIPTS, '_');
+                case 'msup':
+                    return this.base(kids[0]) + this.script(kids[1], this.SUPERSCRIPTS, '^');
+                case 'msubsup':
+                    if (this.isLargeOperator(kids[0])) {
+                        return `${this.node(kids[0])}_${this.group(kids[1])}^${this.group(kids[2])} `;
+                    }
+                    return this.base(kids[0]) +
+                        this.script(kids[1], this.SUBSCRIPTS, '_') +
+                        this.script(kids[2], this.SUPERSCRIPTS, '^');
+                case 'munder':
+                    return this.under(kids[0], kids[1]);
+                case 'mover':
+                    return this.over(kids[0], kids[1]);
+                case 'munderover':
+                    if (this.isLargeOperator(kids[0])) {
+                        return `${this.node(kids[0])}_${this.group(kids[1])}^${this.group(kids[2])} `;
+                    }
+                    return `${this.under(kids[0], kids[1])}┴${this.group(kids[2])}`;
+                case 'mmultiscripts':
+                    return this.multiscripts(kids);
+                case 'mtable':
+                    return this.table(node);
+                case 'mfenced': {
+                    const open = node.getAttribute('open') ?? '(';
+                    const close = node.getAttribute('close') ?? ')';
+                    const separator = ((node.getAttribute('separators') ?? ',').trim()[0]) || '';
+                    return `${open}${kids.map(kid => this.node(kid)).join(separator)}${close}`;
+                }
+                default:
+                    return this.row(kids);
+            }
+        }
+
+        static row(nodes) {
+            let out = '';
+            let previous = null;
+            for (const node of nodes) {
+                const part = this.node(node);
+                if (!part) continue;
+                const last = out[out.length - 1];
+                // Keep adjacent names apart: "sin x", not "sinx"
+                if (last && /[A-Za-z]/.test(last) && /^[A-Za-z]/.test(part) &&
+                    (MathMLTree.text(node).length > 1 || /[A-Za-z]{2}$/.test(out))) {
+                    out += ' ';
+                } else if (previous === 'mfrac' && /^[\p{L}\p{N}(√]/u.test(part)) {
+                    // "1/2 a", not "1/2a", which reads as 1/(2a)
+                    out += ' ';
+                }
+                out += part;
+                previous = MathMLTree.name(node);
+            }
+            return out;
+        }
+
+        static isAtomic(text) {
+            const chars = Array.from(text);
+            if (chars.length <= 1) return true;
+            if (/^\d+(\.\d+)?$/.test(text)) return true;
+            // A single letter carrying scripts or accents, e.g. x², xᵢ, x\u0302
+            if (/^\p{L}[\p{M}⁰-₟ᴬ-ᵿ²³¹ʰ-˿ⱼⱽ]*$/u.test(text)) return true;
+            return MathMLTree.isWrapped(text);
+        }
+
+        static operand(node, forceGroup = false) {
+            const text = forceGroup ? this.row(MathMLTree.children(node)) : this.node(node);
+            return !forceGroup && this.isAtomic(text) ? text : `(${text})`;
+        }
+
+        static group(node) {
+            const text = this.node(node);
+            return this.isAtomic(text) ? text : `(${text})`;
+        }
+
+        static base(node) {
+            const text = this.node(node);
+            if (this.isAtomic(text) || /^[A-Za-z]+$/.test(text)) return text;
+            return `(${text})`;
+        }
+
+        static script(node, map, marker) {
+            const text = this.node(node);
+            const converted = this.toScript(text, map);
+            if (converted !== null) return converted;
+            // Parenthesize when any character has no superscript/subscript form
+            return `${marker}${this.isAtomic(text) ? text : `(${text})`}`;
+        }
+
+        static isLargeOperator(node) {
+            const text = MathMLTree.text(MathMLTree.content(node)).replace(/[\s\u2061]/g, '');
+            return this.LARGE_OPERATORS.includes(text);
+        }
+
+        static accent(base, mark) {
+            const text = this.node(base);
+            return Array.from(text).length === 1 ? text + mark : `(${text})${mark}`;
+        }
+
+        static under(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && this.UNDER_ACCENTS[mark]) {
+                return this.accent(base, this.UNDER_ACCENTS[mark]);
+            }
+            if (MathMLTree.name(script) === 'mo' && mark === '⏟') {
+                return `⏟(${this.node(base)})`;
+            }
+            if (this.isLargeOperator(base) || /^[⏞⏟]/.test(this.node(base))) {
+                return `${this.node(base)}_${this.group(script)} `;
+            }
+            return `${this.node(base)}┬${this.group(script)}`;
+        }
+
+        static over(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && this.ACCENTS[mark]) {
+                return this.accent(base, this.ACCENTS[mark]);
+            }
+            if (MathMLTree.name(script) === 'mo' && mark === '⏞') {
+                return `⏞(${this.node(base)})`;
+            }
+            if (this.isLargeOperator(base) || /^[⏞⏟]/.test(this.node(base))) {
+                return `${this.node(base)}^${this.group(script)} `;
+            }
+            return `${this.node(base)}┴${this.group(script)}`;
+        }
+
+        static multiscripts(kids) {
+            let post = '';
+            let pre = '';
+            let target = 'post';
+            for (let i = 1; i < kids.length; i += 2) {
+                if (MathMLTree.name(kids[i]) === 'mprescripts') {
+                    target = 'pre';
+                    i--;
+                    continue;
+                }
+                const sub = kids[i] && MathMLTree.name(kids[i]) !== 'none' ? this.script(kids[i], this.SUBSCRIPTS, '_') : '';
+                const sup = kids[i + 1] && MathMLTree.name(kids[i + 1]) !== 'none' ? this.script(kids[i + 1], this.SUPERSCRIPTS, '^') : '';
+                if (target === 'pre') pre += sub + sup;
+                else post += sub + sup;
+            }
+            return `${pre}${this.base(kids[0])}${post}`;
+        }
+
+        static table(table) {
+            const rows = MathMLTree.children(table)
+                .filter(row => ['mtr', 'mlabeledtr'].includes(MathMLTree.name(row)))
+                .map(row => {
+                    let cells = MathMLTree.children(row);
+                    if (MathMLTree.name(row) === 'mlabeledtr') cells = cells.slice(1);
+                    return cells.map(cell => this.node(cell)).join('&');
+                });
+            return `■(${rows.join('@')})`;
+        }
+    }
+
+    /**
+     * MathML to Typst math serializer: frac(a, b), sqrt(x), sum_(i=1)^n, mat(a, b; c, d)
+     */
+    class TypstSerializer {
+        static SYMBOLS = {
+            'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'ϵ': 'epsilon.alt',
+            'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'ϑ': 'theta.alt', 'ι': 'iota', 'κ': 'kappa',
+            'ϰ': 'kappa.alt', 'λ': 'lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'ο': 'omicron',
+            'π': 'pi', 'ϖ': 'pi.alt', 'ρ': 'rho', 'ϱ': 'rho.alt', 'σ': 'sigma', 'ς': 'sigma.alt',
+            'τ': 'tau', 'υ': 'upsilon', 'φ': 'phi', 'ϕ': 'phi.alt', 'χ': 'chi', 'ψ': 'psi',
+            'ω': 'omega', 'Γ': 'Gamma', 'Δ': 'Delta', 'Θ': 'Theta', 'Λ': 'Lambda', 'Ξ': 'Xi',
+            'Π': 'Pi', 'Σ': 'Sigma', 'Υ': 'Upsilon', 'Φ': 'Phi', 'Ψ': 'Psi', 'Ω': 'Omega',
+            '±': 'plus.minus', '∓': 'minus.plus', '×': 'times', '÷': 'div', '⋅': 'dot', '·': 'dot',
+            '∗': 'ast', '∘': 'compose', '∙': 'bullet', '⊕': 'plus.circle', '⊗': 'times.circle',
+            '≤': '<=', '≥': '>=', '≠': '!=', '≈': 'approx', '≡': 'equiv', '∼': 'tilde.op',
+            '≃': 'tilde.eq', '≅': 'tilde.equiv', '∝': 'prop', '≪': '<<', '≫': '>>',
+            '∈': 'in', '∉': 'in.not', '∋': 'in.rev', '⊂': 'subset', '⊃': 'supset',
+            '⊆': 'subset.eq', '⊇': 'supset.eq', '⊊': 'subset.neq', '∪': 'union', '∩': 'sect',
+            '∖': 'without', '∅': 'emptyset', '→': '->', '←': '<-', '↔': '<->', '⇒': '=>',
+            '⇐': 'arrow.l.double', '⇔': '<=>', '⟹': '==>', '⟸': '<==', '⟺': '<==>',
+            '↦': '|->', '⟶': '-->', '⟵': '<--', '↑': 'arrow.t', '↓': 'arrow.b',
+            '∀': 'forall', '∃': 'exists', '∄': 'exists.not', '¬': 'not', '∧': 'and', '∨': 'or',
+            '∴': 'therefore', '∵': 'because', '∞': 'oo', '∂': 'partial', '∇': 'nabla',
+            'ℏ': 'planck.reduce', 'ℓ': 'ell', 'ℵ': 'aleph', '…': 'dots', '⋯': 'dots.c',
+            '⋮': 'dots.v', '⋱': 'dots.down', '⟨': 'angle.l', '⟩': 'angle.r', '⌊': 'floor.l',
+            '⌋': 'floor.r', '⌈': 'ceil.l', '⌉': 'ceil.r', '‖': '||', '∣': 'mid(|)',
+            '⊥': 'perp', '∥': 'parallel', '−': '-', '′': "'", '∑': 'sum', '∏': 'product',
+            '∐': 'product.co', '∫': 'integral', '∬': 'integral.double', '∭': 'integral.triple',
+            '∮': 'integral.cont', '⋃': 'union.big', '⋂': 'sect.big', '⨁': 'plus.circle.big',
+            '⨂': 'times.circle.big',
+            // Characters with a meaning of their own in Typst math
+            '/': '\\/', '_': '\\_', '^': '\\^', '&': '\\&', '#': '\\#', '$': '\\$', '"': '\\"',
+            '\\': 'backslash', '\u2061': '', '\u2062': '', '\u2063': '', '\u2064': ''
+        };
+
+        // Text operators Typst predefines; other multi-letter names need op("...")
+        static OPERATORS = ['arccos', 'arcsin', 'arctan', 'arg', 'cos', 'cosh', 'cot', 'coth', 'csc',
+            'csch', 'ctg', 'deg', 'det', 'dim', 'exp', 'gcd', 'lcm', 'hom', 'id', 'im', 'inf', 'ker',
+            'lg', 'lim', 'liminf', 'limsup', 'ln', 'log', 'max', 'min', 'mod', 'Pr', 'sec', 'sech',
+            'sin', 'sinc', 'sinh', 'sup', 'tan', 'tanh', 'tg'];
+
+        static LARGE_OPERATORS = ['∑', '∏', '∐', '∫', '∬', '∭', '∮', '⋃', '⋂', '⋀', '⋁', '⨁', '⨂', '⨀',
+            'lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf', 'det', 'gcd', 'Pr'];
+
+        static ACCENTS = {
+            '^': 'hat', 'ˆ': 'hat', '\u0302': 'hat', '~': 'tilde', '˜': 'tilde', '\u0303': 'tilde',
+            '→': 'arrow', '\u20D7': 'arrow', '←': 'arrow.l', '↔': 'arrow.l.r', 'ˉ': 'macron',
+            '\u0304': 'macron', '‾': 'overline', '¯': 'overline', '\u0305': 'overline',
+            '˙': 'dot', '\u0307': 'dot', '¨': 'dot.double', '\u0308': 'dot.double',
+            '\u20DB': 'dot.triple', 'ˇ': 'caron', '˘': 'breve', '´': 'acute', '`': 'grave',
+            '˚': 'circle', '⏞': 'overbrace'
+        };
+
+        static UNDER_ACCENTS = {
+            '‾': 'underline', '_': 'underline', '¯': 'underline', '\u0332': 'underline', '⏟': 'underbrace'
+        };
+
+        static VARIANTS = {
+            'double-struck': 'bb', 'bold': 'bold', 'bold-italic': 'bold', 'script': 'cal',
+            'fraktur': 'frak', 'sans-serif': 'sans', 'monospace': 'mono', 'normal': 'upright'
+        };
+
+        // Matrix delimiters keyed by opening fence; '{' without a closing fence is cases()
+        static MATRIX_DELIMITERS = { '(': null, '[': '"["', '{': '"{"', '|': '"|"', '‖': '"||"' };
+
+        static serialize(mathElement) {
+            if (!mathElement) return null;
+            const result = this.node(mathElement).replace(/ {2,}/g, ' ').trim();
+            return result.length > 0 ? result : null;
+        }
+
+        static symbols(text) {
+            let out = '';
+            for (const char of text) {
+                out = this.join(out, char in this.SYMBOLS ? this.SYMBOLS[char] : char);
+            }
+            return out;
+        }
+
+        /**
+         * Concatenate Typst fragments, spacing apart anything that would otherwise merge
+         * into one identifier (a b, x 2, alpha x), one shorthand (< -) or one call
+         */
+        static join(out, part) {
+            if (!part) return out;
+            if (!out) return part;
+            const last = out[out.length - 1];
+            const first = part[0];
+            if (/[A-Za-z.]/.test(last) && /[A-Za-z0-9]/.test(first) && !/\d\.$/.test(out)) return `${out} ${part}`;
+            if (/\d/.test(last) && /\d/.test(first)) return `${out} ${part}`;
+            if (/[<>=\-|!:~]/.test(last) && /[<>=\-|~]/.test(first)) return `${out} ${part}`;
+            // Keep a function form such as op("tr") or upright(d) from taking the next group as arguments
+            if (/[A-Za-z]\([^()]*\)$/.test(out) && /[A-Za-z(]/.test(first)) return `${out} ${part}`;
+            const word = out.match(/[A-Za-z.]{2,}$/);
+            if (word && first === '(' && !this.OPERATORS.includes(word[0])) {
+                // A symbol name followed by ( would read as a function call
+                return `${out} ${part}`;
+            }
+            return out + part;
+        }
+
+        /**
+         * Escape top-level commas and semicolons so text survives as one function argument
+         */
+        static arg(text) {
+            let depth = 0;
+            let quoted = false;
+            let out = '';
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (char === '\\') {
+                    out += char + (text[i + 1] || '');
+                    i++;
+                    continue;
+                }
+                if (char === '"') quoted = !quoted;
+                if (!quoted && '([{'.includes(char)) depth++;
+                if (!quoted && ')]}'.includes(char)) depth--;
+                out += !quoted && depth <= 0 && (char === ',' || char === ';') ? `\\${char}` : char;
+            }
+            return out;
+        }
+
+        static isAtomic(text) {
+            if (Array.from(text).length <= 1) return true;
+            if (/^\d+(\.\d+)?$/.test(text)) return true;
+            if (/^[A-Za-z]+(\.[A-Za-z]+)*$/.test(text)) return true;
+            if (/^"[^"]*"$/.test(text)) return true;
+            // Function forms such as bb(R) or hat(x)
+            if (/^[A-Za-z.]+\(.*\)$/.test(text) && MathMLTree.isWrapped(text.slice(text.indexOf('(')))) return true;
+            return MathMLTree.isWrapped(text) && text[0] === '(';
+        }
+
+        static group(node) {
+            const text = this.node(node);
+            return this.isAtomic(text) ? text : `(${text})`;
+        }
+
+        static node(node) {
+            const name = MathMLTree.name(node);
+            const kids = MathMLTree.children(node);
+
+            switch (name) {
+                case 'math':
+                case 'mrow':
+                case 'mstyle':
+                case 'mpadded':
+                case 'merror':
+                    return this.row(kids);
+                case 'semantics':
+                    return kids.length > 0 ? this.node(kids[0]) : '';
+                case 'mi':
+                    return this.identifier(node);
+                case 'mn':
+                    return MathMLTree.text(node);
+                case 'mo':
+                    return this.symbols(MathMLTree.text(node));
+                case 'mtext':
+                case 'ms': {
+                    const text = node.textContent || '';
+                    if (text.trim().length === 0) return text.length > 0 ? ' space ' : '';
+                    return `"${text.replace(/(["\\])/g, '\\$1')}"`;
+                }
+                case 'mspace':
+                    return this.space(node);
+                case 'mphantom':
+                    return '';
+                case 'menclose': {
+                    const notation = node.getAttribute('notation') || '';
+                    return /updiagonalstrike/.test(notation) ? `cancel(${this.arg(this.row(kids))})` : this.row(kids);
+                }
+                case 'mfrac':
+                    if (/^0(\.0*)?[a-z]*$/.test(node.getAttribute('linethickness') || '')) {
+                        return `mat(delim: #none, ${this.arg(this.node(kids[0]))}; ${this.arg(this.node(kids[1]))})`;
+                    }
+                    return `frac(${this.arg(this.node(kids[0]))}, ${this.arg(this.node(kids[1]))})`;
+                case 'msqrt':
+                    return `sqrt(${this.arg(this.row(kids))})`;
+                case 'mroot':
+                    return `root(${this.arg(this.node(kids[1]))}, ${this.arg(this.node(kids[0]))})`;
+                case 'msub':
+                    return `${this.base(kids[0])}_${this.group(kids[1])}`;
+                case 'msup':
+                    return this.superscript(kids[0], kids[1]);
+                case 'msubsup':
+                    return `${this.base(kids[0])}_${this.group(kids[1])}^${this.group(kids[2])}`;
+                case 'munder':
+                    return this.under(kids[0], kids[1]);
+                case 'mover':
+                    return this.over(kids[0], kids[1]);
+                case 'munderover':
+                    if (this.isLargeOperator(kids[0])) {
+                        return `${this.node(kids[0])}_${this.group(kids[1])}^${this.group(kids[2])} `;
+                    }
+                    return `limits(${this.arg(this.node(kids[0]))})_${this.group(kids[1])}^${this.group(kids[2])}`;
+                case 'mmultiscripts':
+                    return this.multiscripts(kids);
+                case 'mtable':
+                    return this.table(node, null, null);
+                case 'mfenced': {
+                    const open = node.getAttribute('open') ?? '(';
+                    const close = node.getAttribute('close') ?? ')';
+                    const separator = ((node.getAttribute('separators') ?? ',').trim()[0]) || '';
+                    return `${this.symbols(open)}${kids.map(kid => this.node(kid)).join(separator)}${this.symbols(close)}`;
+                }
+                default:
+                    return this.row(kids);
+            }
+        }
+
+        static identifier(node) {
+            const text = MathMLTree.text(node);
+            const variant = node.getAttribute('mathvariant');
+
+            if (Array.from(text).length > 1) {
+                if (this.OPERATORS.includes(text)) return text;
+                const next = node.nextElementSibling;
+                const isFunction = next && MathMLTree.name(next) === 'mo' && MathMLTree.text(next) === '\u2061';
+                const quoted = `"${text.replace(/(["\\])/g, '\\$1')}"`;
+                return isFunction ? `op(${quoted})` : quoted;
+            }
+
+            const symbol = this.symbols(text);
+            if (variant && this.VARIANTS[variant] && !(variant === 'normal' && !/^[A-Za-z]$/.test(text))) {
+                return `${this.VARIANTS[variant]}(${symbol})`;
+            }
+            return symbol;
+        }
+
+        static space(node) {
+            if (node.getAttribute('linebreak') === 'newline') return ' \\ ';
+            const width = parseFloat(node.getAttribute('width') || '0');
+            if (width <= 0) return '';
+            if (width < 0.2) return ' thin ';
+            if (width < 0.25) return ' med ';
+            if (width < 0.5) return ' thick ';
+            if (width < 1.5) return ' quad ';
+            return ' wide ';
+        }
+
+        static isFence(node) {
+            return node && MathMLTree.name(node) === 'mo' &&
+                (node.getAttribute('fence') === 'true' || node.getAttribute('stretchy') !== 'false');
+        }
+
+        static row(nodes) {
+            const items = nodes.filter(Boolean);
+
+            // Fences around a table become mat(delim: ...) or cases(...)
+            const table = items.findIndex(item => MathMLTree.name(MathMLTree.content(item)) === 'mtable');
+            if (table > 0 && items.length <= 3 && this.isFence(items[table - 1]) &&
+                (table === items.length - 1 || this.isFence(items[table + 1]))) {
+                return this.table(MathMLTree.content(items[table]), MathMLTree.text(items[table - 1]),
+                    items[table + 1] ? MathMLTree.text(items[table + 1]) : '');
+            }
+
+            // (n atop k) inside parentheses is a binomial coefficient
+            if (items.length === 3 && MathMLTree.name(items[1]) === 'mfrac' &&
+                MathMLTree.text(items[0]) === '(' && MathMLTree.text(items[2]) === ')' &&
+                /^0(\.0*)?[a-z]*$/.test(items[1].getAttribute('linethickness') || '')) {
+                const [top, bottom] = MathMLTree.children(items[1]);
+                return `binom(${this.arg(this.node(top))}, ${this.arg(this.node(bottom))})`;
+            }
+
+            let out = '';
+            for (const item of items) {
+                out = this.join(out, this.node(item));
+            }
+            return out;
+        }
+
+        static base(node) {
+            const text = this.node(node);
+            return this.isAtomic(text) ? text : `(${text})`;
+        }
+
+        static superscript(base, script) {
+            const text = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && /^[′″‴]+$/.test(text)) {
+                const primes = Array.from(text).map(char => ({ '′': 1, '″': 2, '‴': 3 })[char]);
+                return this.base(base) + "'".repeat(primes.reduce((a, b) => a + b, 0));
+            }
+            return `${this.base(base)}^${this.group(script)}`;
+        }
+
+        static isLargeOperator(node) {
+            const text = MathMLTree.text(MathMLTree.content(node)).replace(/[\s\u2061]/g, '');
+            return this.LARGE_OPERATORS.includes(text);
+        }
+
+        static under(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && this.UNDER_ACCENTS[mark]) {
+                return `${this.UNDER_ACCENTS[mark]}(${this.arg(this.node(base))})`;
+            }
+            // \underbrace{x}_{label} is an munder nested in another munder
+            if (MathMLTree.name(base) === 'munder' && MathMLTree.text(MathMLTree.children(base)[1]) === '⏟') {
+                const [inner] = MathMLTree.children(base);
+                return `underbrace(${this.arg(this.node(inner))}, ${this.arg(this.node(script))})`;
+            }
+            if (this.isLargeOperator(base)) {
+                return `${this.node(base)}_${this.group(script)} `;
+            }
+            return `limits(${this.arg(this.node(base))})_${this.group(script)}`;
+        }
+
+        static over(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && this.ACCENTS[mark]) {
+                return `${this.ACCENTS[mark]}(${this.arg(this.node(base))})`;
+            }
+            if (MathMLTree.name(base) === 'mover' && MathMLTree.text(MathMLTree.children(base)[1]) === '⏞') {
+                const [inner] = MathMLTree.children(base);
+                return `overbrace(${this.arg(this.node(inner))}, ${this.arg(this.node(script))})`;
+            }
+            if (this.isLargeOperator(base)) {
+                return `${this.node(base)}^${this.group(script)} `;
+            }
+            return `limits(${this.arg(this.node(base))})^${this.group(script)}`;
+        }
+
+        static multiscripts(kids) {
+            const attachments = [];
+            let pre = false;
+            for (let i = 1; i < kids.length; i += 2) {
+                if (MathMLTree.name(kids[i]) === 'mprescripts') {
+                    pre = true;
+                    i--;
+                    continue;
+                }
+                if (kids[i] && MathMLTree.name(kids[i]) !== 'none') {
+                    attachments.push(`${pre ? 'bl' : 'br'}: ${this.arg(this.node(kids[i]))}`);
+                }
+                if (kids[i + 1] && MathMLTree.name(kids[i + 1]) !== 'none') {
+                    attachments.push(`${pre ? 'tl' : 'tr'}: ${this.arg(this.node(kids[i + 1]))}`);
+                }
+            }
+            return `attach(${this.arg(this.node(kids[0]))}, ${attachments.join(', ')})`;
+        }
+
+        /**
+         * Serialize an mtable as mat(), cases() or aligned rows depending on the
+         * fences around it and its column alignment
+         */
+        static table(table, open, close) {
+            const rows = MathMLTree.children(table)
+                .filter(row => ['mtr', 'mlabeledtr'].includes(MathMLTree.name(row)))
+                .map(row => {
+                    let cells = MathMLTree.children(row);
+                    if (MathMLTree.name(row) === 'mlabeledtr') cells = cells.slice(1);
+                    return cells.map(cell => this.node(cell));
+                });
+
+            if (open === '{' && !close) {
+                return `cases(${rows.map(cells => cells.map(cell => this.arg(cell)).join(' & ')).join(', ')})`;
+            }
+
+            if (open === null && /^right left/.test(table.getAttribute('columnalign') || '')) {
+                return rows.map(cells => cells.join(' &')).join(' \\ ');
+            }
+
+            const body = rows.map(cells => cells.map(cell => this.arg(cell)).join(', ')).join('; ');
+            if (open in this.MATRIX_DELIMITERS) {
+                const delimiter = this.MATRIX_DELIMITERS[open];
+                return delimiter ? `mat(delim: ${delimiter}, ${body})` : `mat(${body})`;
+            }
+            const matrix = `mat(delim: #none, ${body})`;
+            return open ? `${this.symbols(open)}${matrix}${this.symbols(close || '')}` : matrix;
+        }
+    }
+
+    /**
+     * Reads a presentation MathML tree as an expression tree (operator precedence,
+     * function application, fractions as division, scripts as powers). Shared by the
+     * Content MathML and SymPy serializers.
+     *
+     * Nodes are plain objects with a `type` of number, identifier, constant, apply,
+     * function, bigop, limit, derivative, matrix, piecewise, list, set, text or unknown.
+     * Unknown nodes keep the presentation node and a reason for callers that need
+     * an exact translation.
+     */
+    class MathSemantics {
+        static FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+            'sinh', 'cosh', 'tanh', 'coth', 'sech', 'csch', 'arsinh', 'arcosh', 'artanh', 'log', 'ln',
+            'lg', 'exp', 'det', 'gcd', 'lcm', 'max', 'min', 'arg', 'sgn', 'Re', 'Im', 'ℜ', 'ℑ'];
+
+        static RELATIONS = {
+            '=': 'eq', '≠': 'neq', '<': 'lt', '>': 'gt', '≤': 'leq', '⩽': 'leq', '≥': 'geq',
+            '⩾': 'geq', '≈': 'approx', '≡': 'equivalent', '∈': 'in', '∉': 'notin',
+            '⊂': 'prsubset', '⊆': 'subset', '→': 'tendsto', '⇒': 'implies', '⟹': 'implies'
+        };
+
+        static ADDITIVE = {
+            '+': 'plus', '−': 'minus', '±': 'plusminus', '∓': 'minusplus', '∪': 'union', '∨': 'or'
+        };
+
+        static MULTIPLICATIVE = {
+            '×': 'times', '⋅': 'times', '·': 'times', '∗': 'times', '*': 'times',
+            '/': 'divide', '÷': 'divide', '∩': 'intersect', '∧': 'and'
+        };
+
+        static CONSTANTS = { 'π': 'pi', '∞': 'infinity', 'ⅇ': 'e', 'ⅈ': 'i' };
+
+        static BIG_OPERATORS = { '∑': 'sum', '∏': 'product', '∫': 'int' };
+
+        static FENCES = { '(': ')', '[': ']', '{': '}', '|': '|', '‖': '‖', '⌊': '⌋', '⌈': '⌉' };
+
+        static FENCE_OPERATORS = { '|': 'abs', '‖': 'norm', '⌊': 'floor', '⌈': 'ceiling' };
+
+        static parse(mathElement) {
+            if (!mathElement) return null;
+            return new MathSemantics(MathMLTree.children(MathMLTree.content(mathElement))).parseDocument();
+        }
+
+        /**
+         * Parse a node as a stand-alone expression
+         */
+        static read(node) {
+            const name = MathMLTree.name(node);
+            const nodes = ['mrow', 'mstyle', 'mpadded', 'semantics', 'math', 'mtd'].includes(name)
+                ? MathMLTree.children(node) : [node];
+            return new MathSemantics(nodes).parseDocument();
+        }
+
+        static unknown(node, reason) {
+            return { type: 'unknown', node, reason };
+        }
+
+        static apply(op, ...args) {
+            return { type: 'apply', op, args };
+        }
+
+        /**
+         * Walk an expression tree depth-first, calling visit on every node
+         */
+        static walk(tree, visit) {
+            if (!tree || typeof tree !== 'object') return;
+            visit(tree);
+            for (const value of Object.values(tree)) {
+                if (!value || typeof value !== 'object' || value.nodeType) continue;
+                if (Array.isArray(value)) {
+                    value.flat().forEach(item => this.walk(item, visit));
+                } else {
+                    this.walk(value, visit);
+                }
+            }
+        }
+
+        constructor(nodes) {
+            this.tokens = MathSemantics.tokenize(nodes);
+            this.pos = 0;
+            this.closers = [];
+        }
+
+        static tokenize(nodes) {
+            const tokens = [];
+            for (const node of nodes) {
+                const name = MathMLTree.name(node);
+                if (['mspace', 'mphantom', 'none', 'mprescripts'].includes(name)) continue;
+                if (name === 'mo') {
+                    let text = MathMLTree.text(node).trim();
+                    if (!text || text === '\u2062' || text === '\u2063') continue;
+                    if (text === '-') text = '−';
+                    tokens.push({ op: text === '\u2061' ? 'apply' : text, node });
+                } else if (name === 'mtext' && !(node.textContent || '').trim()) {
+                    continue;
+                } else if (name === 'mrow' && MathMLTree.children(node).length === 0) {
+                    continue;
+                } else if (['msup', 'msub', 'msubsup'].includes(name) && MathSemantics.isClosingFence(MathMLTree.children(node)[0])) {
+                    // (a+b)^2 puts the script on the closing parenthesis
+                    const base = MathMLTree.children(node)[0];
+                    tokens.push({ op: MathMLTree.text(base).trim(), node: base }, { script: node });
+                } else {
+                    tokens.push({ node });
+                }
+            }
+            return tokens;
+        }
+
+        static isClosingFence(node) {
+            return MathMLTree.name(node) === 'mo' && [')', ']', '}', '|', '\u2016', '\u230B', '\u2309'].includes(MathMLTree.text(node).trim());
+        }
+
+        peek(offset = 0) {
+            return this.tokens[this.pos + offset] || null;
+        }
+
+        isOp(token, ...ops) {
+            return Boolean(token && token.op && (ops.length === 0 || ops.includes(token.op)));
+        }
+
+        atCloser() {
+            const token = this.peek();
+            return !token || (token.op && this.closers.includes(token.op));
+        }
+
+        parseDocument() {
+            const items = [];
+            while (this.pos < this.tokens.length) {
+                const start = this.pos;
+                items.push(...this.parseList());
+                if (this.pos === start) {
+                    // Stray closing fence or separator
+                    items.push(MathSemantics.unknown(this.peek().node, `unexpected "${this.peek().op}"`));
+                    this.pos++;
+                }
+            }
+            if (items.length === 0) return MathSemantics.unknown(null, 'empty expression');
+            return items.length === 1 ? items[0] : { type: 'list', items };
+        }
+
+        parseList() {
+            const items = [this.parseRelation()];
+            while (this.isOp(this.peek(), ',') && !this.closers.includes(',')) {
+                this.pos++;
+                items.push(this.parseRelation());
+            }
+            return items.filter(Boolean);
+        }
+
+        // Implications bind loosest and to the right: a = b ⇒ c = d is (a = b) ⇒ (c = d)
+        parseRelation() {
+            const left = this.parseComparison();
+            if (this.peek() && MathSemantics.RELATIONS[this.peek().op] === 'implies' && !this.atCloser()) {
+                this.pos++;
+                return MathSemantics.apply('implies', left, this.parseRelation());
+            }
+            return left;
+        }
+
+        parseComparison() {
+            const operands = [this.parseAdditive()];
+            const ops = [];
+            while (this.peek() && !this.atCloser()) {
+                const op = MathSemantics.RELATIONS[this.peek().op];
+                if (!op || op === 'implies') break;
+                this.pos++;
+                ops.push(op);
+                operands.push(this.parseAdditive());
+            }
+            if (ops.length === 0) return operands[0];
+            // a < b < c stays one n-ary relation; a ≤ b ≠ c is a ≤ b and b ≠ c
+            if (ops.every(op => op === ops[0])) return MathSemantics.apply(ops[0], ...operands);
+            return MathSemantics.apply('and', ...ops.map((op, i) => MathSemantics.apply(op, operands[i], operands[i + 1])));
+        }
+
+        parseAdditive() {
+            let left;
+            const first = this.peek();
+            if (first && ['−', '+', '±', '∓'].includes(first.op)) {
+                this.pos++;
+                const operand = this.parseMultiplicative();
+                left = first.op === '+' ? operand : MathSemantics.apply(MathSemantics.ADDITIVE[first.op], operand);
+            } else {
+                left = this.parseMultiplicative();
+            }
+
+            while (this.peek() && MathSemantics.ADDITIVE[this.peek().op] && !this.atCloser()) {
+                const op = MathSemantics.ADDITIVE[this.peek().op];
+                this.pos++;
+                const right = this.parseMultiplicative();
+                if (op === 'plus' && left.type === 'apply' && left.op === 'plus' && left.nary) {
+                    left.args.push(right);
+                } else {
+                    left = { ...MathSemantics.apply(op, left, right), nary: op === 'plus' };
+                }
+            }
+            return left;
+        }
+
+        parseMultiplicative() {
+            let left = this.parseUnary();
+            while (!this.atCloser()) {
+                const token = this.peek();
+                if (token.op && MathSemantics.MULTIPLICATIVE[token.op]) {
+                    this.pos++;
+                    const op = MathSemantics.MULTIPLICATIVE[token.op];
+                    left = this.times(left, this.parseUnary(), op);
+                } else if (this.startsOperand(token)) {
+                    // Implicit multiplication: 2x, ab, x(y+1)
+                    left = this.times(left, this.parseUnary(), 'times');
+                } else {
+                    break;
+                }
+            }
+            return left;
+        }
+
+        times(left, right, op) {
+            if (op === 'times' && left.type === 'apply' && left.op === 'times' && left.nary) {
+                left.args.push(right);
+                return left;
+            }
+            return { ...MathSemantics.apply(op, left, right), nary: op === 'times' };
+        }
+
+        /**
+         * Arguments of sin 2x or a sum body: factors up to the next explicit operator
+         */
+        parseImplicitProduct() {
+            let left = this.parseUnary();
+            while (!this.atCloser() && this.startsOperand(this.peek()) && !this.startsFunction(this.peek())) {
+                left = this.times(left, this.parseUnary(), 'times');
+            }
+            return left;
+        }
+
+        startsOperand(token) {
+            if (!token || token.script) return false;
+            if (!token.op) return true;
+            if (MathSemantics.FENCES[token.op] && !(token.op === '|' && this.closers.includes('|'))) return true;
+            return Boolean(MathSemantics.BIG_OPERATORS[token.op] || MathSemantics.FUNCTIONS.includes(token.op) ||
+                token.op === 'lim' || MathSemantics.CONSTANTS[token.op]);
+        }
+
+        startsFunction(token) {
+            const node = token.node && MathMLTree.content(token.node);
+            const base = node && ['msub', 'msup', 'msubsup', 'munder', 'munderover'].includes(MathMLTree.name(node))
+                ? MathMLTree.children(node)[0] : node;
+            const text = token.op || (base ? MathMLTree.text(base) : '');
+            return MathSemantics.FUNCTIONS.includes(text) || text === 'lim' || Boolean(MathSemantics.BIG_OPERATORS[text]);
+        }
+
+        parseUnary() {
+            const token = this.peek();
+            if (this.isOp(token, '−', '±', '∓', '¬')) {
+                this.pos++;
+                const op = token.op === '¬' ? 'not' : MathSemantics.ADDITIVE[token.op];
+                return MathSemantics.apply(op, this.parseUnary());
+            }
+            let operand = this.parsePrimary();
+            while (this.isOp(this.peek(), '!') || (this.peek() && this.peek().script)) {
+                const token = this.peek();
+                this.pos++;
+                operand = token.script ? this.attachScript(operand, token.script) : MathSemantics.apply('factorial', operand);
+            }
+            return operand;
+        }
+
+        attachScript(operand, node) {
+            if (MathMLTree.name(node) !== 'msup') return MathSemantics.unknown(node, 'subscript on an expression');
+            return MathSemantics.apply('power', operand, MathSemantics.read(MathMLTree.children(node)[1]));
+        }
+
+        parsePrimary() {
+            const token = this.peek();
+            if (!token) return MathSemantics.unknown(null, 'missing operand');
+            if (token.script) {
+                this.pos++;
+                return MathSemantics.unknown(token.script, 'script without a base');
+            }
+
+            if (token.op) {
+                if (MathSemantics.FENCES[token.op]) return this.parseFenced();
+                this.pos++;
+                if (MathSemantics.CONSTANTS[token.op]) return { type: 'constant', name: MathSemantics.CONSTANTS[token.op] };
+                if (MathSemantics.FUNCTIONS.includes(token.op)) return this.parseFunction({ name: token.op });
+                if (token.op === 'lim') return this.parseLimit(null);
+                if (MathSemantics.BIG_OPERATORS[token.op]) {
+                    return this.parseBigOperator({ op: MathSemantics.BIG_OPERATORS[token.op] });
+                }
+                return MathSemantics.unknown(token.node, `operator "${token.op}"`);
+            }
+
+            this.pos++;
+            const marker = this.operand(token.node);
+            switch (marker.type) {
+                case 'function-name':
+                    return this.parseFunction(marker);
+                case 'bigop-head':
+                    return this.parseBigOperator(marker);
+                case 'limit-head':
+                    return this.parseLimit(marker.under);
+                case 'derivative-head':
+                    return { type: 'derivative', bvar: marker.bvar, order: marker.order, body: this.parseImplicitProduct() };
+                default:
+                    return this.applyCall(marker);
+            }
+        }
+
+        /**
+         * f(x) and g(x, y): a single-letter name followed directly by parentheses
+         */
+        applyCall(operand) {
+            const next = this.peek();
+            const isName = operand.type === 'identifier' && /^[fghFGH]$/.test(operand.name);
+            if (this.isOp(next, 'apply')) {
+                this.pos++;
+            } else if (!(isName && this.isOp(next, '('))) {
+                return operand;
+            }
+            if (!this.isOp(this.peek(), '(')) {
+                return { type: 'function', name: operand.name || '', args: [this.parseImplicitProduct()], callee: operand };
+            }
+            const group = this.parseFenced();
+            const args = group.type === 'list' && group.fenced ? group.items : [group];
+            return { type: 'function', name: operand.name || '', args, callee: operand };
+        }
+
+        parseFenced() {
+            const open = this.peek().op;
+            const close = MathSemantics.FENCES[open];
+            this.pos++;
+
+            // { followed by a table with no closing brace is a piecewise definition
+            const next = this.peek();
+            if (open === '{' && next && !next.op && MathMLTree.name(MathMLTree.content(next.node)) === 'mtable' &&
+                !this.isOp(this.peek(1), '}')) {
+                this.pos++;
+                return this.piecewise(MathMLTree.content(next.node));
+            }
+
+            const start = this.pos;
+            // Set-builder notation: {x ∈ ℝ : x > 0}
+            const separators = open === '{' ? [':', '\u2223'] : [];
+            this.closers.push(close, ...separators);
+            const items = this.atCloser() ? [] : this.parseList();
+            let condition = null;
+            if (separators.length > 0 && this.isOp(this.peek(), ...separators)) {
+                this.pos++;
+                this.closers.splice(-separators.length);
+                condition = this.atCloser() ? null : this.parseRelation();
+            } else {
+                this.closers.splice(-separators.length);
+            }
+            this.closers.pop();
+
+            if (this.isOp(this.peek(), close)) {
+                this.pos++;
+            } else {
+                // Half-open intervals and other unmatched fences: skip to where the group ends
+                this.pos = start;
+                let depth = 1;
+                while (this.pos < this.tokens.length && depth > 0) {
+                    const token = this.peek();
+                    if (this.isOp(token, close) && !(open === close && depth > 1)) depth--;
+                    else if (this.isOp(token, open)) depth++;
+                    this.pos++;
+                }
+                // Never closed at all: only the fence itself is lost
+                if (depth > 0) this.pos = start;
+                return MathSemantics.unknown(null, `unmatched "${open}"`);
+            }
+
+            if (MathSemantics.FENCE_OPERATORS[open]) {
+                return MathSemantics.apply(MathSemantics.FENCE_OPERATORS[open], items[0]);
+            }
+            if (open === '{' && condition && items.length === 1) {
+                const [member] = items;
+                if (member.type === 'apply' && member.op === 'in' && member.args[0].type === 'identifier') {
+                    return { type: 'set', items: [member.args[0]], bvar: member.args[0], condition: MathSemantics.apply('and', member, condition) };
+                }
+                return { type: 'set', items: [member], bvar: member, condition };
+            }
+            if (open === '{') return { type: 'set', items };
+            if (items.length === 1 && items[0].type === 'matrix') return items[0];
+            if (items.length === 1 && open === '(') return items[0];
+            return { type: 'list', items, fenced: open };
+        }
+
+        parseFunction(head) {
+            if (this.isOp(this.peek(), 'apply')) this.pos++;
+            let args;
+            if (this.isOp(this.peek(), '(')) {
+                const group = this.parseFenced();
+                args = group.type === 'list' && group.fenced ? group.items : [group];
+            } else {
+                args = [this.parseImplicitProduct()];
+            }
+            const call = { type: 'function', name: head.name, args };
+            if (head.base) call.base = head.base;
+            // sin^2 x is (sin x)^2
+            return head.power ? MathSemantics.apply('power', call, head.power) : call;
+        }
+
+        parseBigOperator(head) {
+            if (this.isOp(this.peek(), 'apply')) this.pos++;
+            const result = { type: 'bigop', op: head.op, bvar: null, lower: null, upper: head.upper || null };
+            if (head.lower) {
+                if (head.lower.type === 'apply' && head.lower.op === 'eq' && head.lower.args[0].type === 'identifier') {
+                    result.bvar = head.lower.args[0];
+                    result.lower = head.lower.args[1];
+                } else if (head.op === 'int') {
+                    result.lower = head.lower;
+                } else {
+                    result.condition = head.lower;
+                }
+            }
+
+            if (head.op === 'int') {
+                // The integrand runs up to the differential: ∫ f(x) dx
+                const end = this.tokens.findIndex((token, index) => index >= this.pos && this.isDifferential(token, this.tokens[index + 1]));
+                if (end >= 0) {
+                    const body = new MathSemantics(this.tokens.slice(this.pos, end).map(token => token.node));
+                    result.body = end > this.pos ? body.parseDocument() : { type: 'number', value: '1' };
+                    result.bvar = this.operand(this.tokens[end + 1].node);
+                    this.pos = end + 2;
+                    return result;
+                }
+                result.body = this.parseImplicitProduct();
+                return result;
+            }
+
+            result.body = this.parseImplicitProduct();
+            return result;
+        }
+
+        isDifferential(token, next) {
+            if (!token || !next || token.op || next.op) return false;
+            const text = MathMLTree.text(token.node);
+            return (text === 'd' || text === 'ⅆ') && MathMLTree.name(token.node) === 'mi' &&
+                MathMLTree.name(next.node) === 'mi';
+        }
+
+        parseLimit(under) {
+            if (this.isOp(this.peek(), 'apply')) this.pos++;
+            const result = { type: 'limit', bvar: null, to: null };
+            if (under && under.type === 'apply' && under.op === 'tendsto') {
+                [result.bvar, result.to] = under.args;
+            } else if (under) {
+                result.condition = under;
+            }
+            result.body = this.parseImplicitProduct();
+            return result;
+        }
+
+        piecewise(table) {
+            const pieces = [];
+            let otherwise = null;
+            for (const row of MathMLTree.children(table)) {
+                const cells = MathMLTree.children(row).filter(cell => MathMLTree.name(cell) === 'mtd');
+                if (cells.length === 0) continue;
+                const value = MathSemantics.read(cells[0]);
+                const conditionText = cells[1] ? (cells[1].textContent || '').trim() : '';
+                if (!cells[1] || /^(otherwise|else|sonst)$/i.test(conditionText.replace(/[,.]/g, '').trim())) {
+                    otherwise = value;
+                    continue;
+                }
+                // Drop the words around the condition: "if x > 0", "for x < 0"
+                let conditionNodes = MathMLTree.children(cells[1]);
+                if (conditionNodes.length === 1 && MathMLTree.name(conditionNodes[0]) === 'mrow') {
+                    conditionNodes = MathMLTree.children(conditionNodes[0]);
+                }
+                conditionNodes = conditionNodes.filter(node =>
+                    !(MathMLTree.name(node) === 'mtext' && /^\s*(if|for|when|,)?\s*$/i.test(node.textContent || '')));
+                pieces.push({ value, condition: new MathSemantics(conditionNodes).parseDocument() });
+            }
+            return { type: 'piecewise', pieces, otherwise };
+        }
+
+        /**
+         * Interpret one presentation node. Function names, big operators, limits and
+         * d/dx come back as heads that parsePrimary completes with the following tokens.
+         */
+        operand(node) {
+            const name = MathMLTree.name(node);
+            const kids = MathMLTree.children(node);
+
+            switch (name) {
+                case 'mn': {
+                    const value = MathMLTree.text(node).replace(/[\s,\u2009]/g, '');
+                    return /^\d*\.?\d+$/.test(value) ? { type: 'number', value } : MathSemantics.unknown(node, `number "${value}"`);
+                }
+                case 'mi':
+                case 'mo': {
+                    const text = MathMLTree.text(node).trim();
+                    if (MathSemantics.CONSTANTS[text]) return { type: 'constant', name: MathSemantics.CONSTANTS[text] };
+                    if (MathSemantics.FUNCTIONS.includes(text)) return { type: 'function-name', name: text };
+                    if (text === 'lim') return { type: 'limit-head', under: null };
+                    if (MathSemantics.BIG_OPERATORS[text]) return { type: 'bigop-head', op: MathSemantics.BIG_OPERATORS[text] };
+                    if (name === 'mo') return MathSemantics.unknown(node, `operator "${text}"`);
+                    // ℝ and 𝐯 name different things than R and v
+                    const variant = node.getAttribute('mathvariant');
+                    const styled = variant && !['normal', 'italic'].includes(variant)
+                        ? UnicodeMathSerializer.styled(text, variant) : text;
+                    return { type: 'identifier', name: styled, variant: variant || null };
+                }
+                case 'mrow':
+                case 'mstyle':
+                case 'mpadded':
+                case 'semantics':
+                    return MathSemantics.read(node);
+                case 'mfrac':
+                    return this.fraction(node, kids);
+                case 'msqrt':
+                    return MathSemantics.apply('root', new MathSemantics(kids).parseDocument());
+                case 'mroot':
+                    return { ...MathSemantics.apply('root', MathSemantics.read(kids[0])), degree: MathSemantics.read(kids[1]) };
+                case 'msup':
+                    return this.scripted(node, kids[0], null, kids[1]);
+                case 'msub':
+                    return this.scripted(node, kids[0], kids[1], null);
+                case 'msubsup':
+                    return this.scripted(node, kids[0], kids[1], kids[2]);
+                case 'munder':
+                case 'munderover':
+                case 'mover': {
+                    const base = MathMLTree.text(MathMLTree.content(kids[0])).trim();
+                    const under = name === 'mover' ? null : kids[1];
+                    const over = name === 'mover' ? kids[1] : kids[2] || null;
+                    if (base === 'lim' && under) return { type: 'limit-head', under: MathSemantics.read(under) };
+                    if (MathSemantics.BIG_OPERATORS[base] || MathSemantics.FUNCTIONS.includes(base)) {
+                        return this.scripted(node, kids[0], under, over);
+                    }
+                    return MathSemantics.unknown(node, name === 'mover' ? 'accent or overscript' : 'underscript');
+                }
+                case 'mtable':
+                    return {
+                        type: 'matrix',
+                        rows: MathMLTree.children(node)
+                            .filter(row => ['mtr', 'mlabeledtr'].includes(MathMLTree.name(row)))
+                            .map(row => MathMLTree.children(row).slice(MathMLTree.name(row) === 'mlabeledtr' ? 1 : 0)
+                                .map(cell => MathSemantics.read(cell)))
+                    };
+                case 'mtext':
+                    return { type: 'text', value: (node.textContent || '').trim() };
+                case 'menclose':
+                    return MathSemantics.read(node);
+                default:
+                    return MathSemantics.unknown(node, `<${name}>`);
+            }
+        }
+
+        fraction(node, kids) {
+            const numerator = (kids[0].textContent || '').replace(/\s/g, '');
+            const denominator = (kids[1].textContent || '').replace(/\s/g, '');
+
+            if (/^0(\.0*)?[a-z]*$/.test(node.getAttribute('linethickness') || '')) {
+                return MathSemantics.apply('binomial', MathSemantics.read(kids[0]), MathSemantics.read(kids[1]));
+            }
+
+            // Leibniz notation: d/dx f, dy/dx, d²y/dx²
+            const wrt = denominator.match(/^([dⅆ∂])([A-Za-zα-ω])(\d|²|³)?$/);
+            const top = numerator.match(/^([dⅆ∂])(\d|²|³)?(.*)$/);
+            if (wrt && top && top[1] === wrt[1]) {
+                const order = { '2': 2, '²': 2, '3': 3, '³': 3 }[top[2]] || 1;
+                const bvar = { type: 'identifier', name: wrt[2] };
+                if (!top[3]) return { type: 'derivative-head', bvar, order };
+                return { type: 'derivative', bvar, order, body: { type: 'identifier', name: top[3] } };
+            }
+
+            return MathSemantics.apply('divide', MathSemantics.read(kids[0]), MathSemantics.read(kids[1]));
+        }
+
+        scripted(node, baseNode, subNode, supNode) {
+            const baseText = MathMLTree.text(MathMLTree.content(baseNode)).trim();
+            const sub = subNode ? MathSemantics.read(subNode) : null;
+            const sup = supNode ? MathSemantics.read(supNode) : null;
+
+            if (MathSemantics.BIG_OPERATORS[baseText]) {
+                return { type: 'bigop-head', op: MathSemantics.BIG_OPERATORS[baseText], lower: sub, upper: sup };
+            }
+            if (MathSemantics.FUNCTIONS.includes(baseText)) {
+                return { type: 'function-name', name: baseText, base: sub, power: sup };
+            }
+            if (supNode && /^[′″‴']+$/.test(MathMLTree.text(supNode).trim())) {
+                return MathSemantics.unknown(node, 'prime notation');
+            }
+
+            let base = MathSemantics.read(baseNode);
+            if (sub) {
+                // x_1, a_{ij}: subscripts name a variable
+                if (base.type !== 'identifier') return MathSemantics.unknown(node, 'subscript on an expression');
+                const subscript = MathMLTree.text(subNode).replace(/\s/g, '');
+                base = { type: 'identifier', name: `${base.name}_${subscript}`, variant: base.variant };
+            }
+            if (!sup) return base;
+            // e^x is the exponential function
+            if (base.type === 'identifier' && base.name === 'e') return { type: 'function', name: 'exp', args: [sup] };
+            return MathSemantics.apply('power', base, sup);
+        }
+    }
+
+    /**
+     * Expression tree to Content MathML (<apply><plus/>...</apply>), optionally wrapped
+     * in <semantics> next to the presentation form and its TeX source. Throws
+     * UNTRANSLATABLE for what the semantics parser could not read.
+     */
+    class ContentMathMLSerializer {
+        static NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+        static CONSTANTS = { pi: '<pi/>', infinity: '<infinity/>', e: '<exponentiale/>', i: '<imaginaryi/>' };
+
+        // Operators without a Content MathML element of their own
+        static CSYMBOLS = {
+            plusminus: '<csymbol cd="arith3">plusminus</csymbol>',
+            minusplus: '<csymbol cd="arith3">minusplus</csymbol>',
+            binomial: '<csymbol cd="combinat1">binomial</csymbol>',
+            norm: '<csymbol cd="linalg1">norm</csymbol>',
+            sgn: '<csymbol cd="arith1">sign</csymbol>'
+        };
+
+        // Function names that map onto a Content MathML element
+        static FUNCTIONS = {
+            sin: 'sin', cos: 'cos', tan: 'tan', cot: 'cot', sec: 'sec', csc: 'csc',
+            arcsin: 'arcsin', arccos: 'arccos', arctan: 'arctan', sinh: 'sinh', cosh: 'cosh',
+            tanh: 'tanh', coth: 'coth', sech: 'sech', csch: 'csch', arsinh: 'arcsinh',
+            arcosh: 'arccosh', artanh: 'arctanh', log: 'log', lg: 'log', ln: 'ln', exp: 'exp',
+            det: 'determinant', gcd: 'gcd', lcm: 'lcm', max: 'max', min: 'min', arg: 'arg',
+            Re: 'real', Im: 'imaginary', 'ℜ': 'real', 'ℑ': 'imaginary'
+        };
+
+        static serialize(mathElement, latexSource = null) {
+            if (!mathElement) return null;
+            const tree = MathSemantics.parse(mathElement);
+            const content = this.node(tree);
+            const display = mathElement.getAttribute('display') === 'block' ? ' display="block"' : '';
+
+            if (!latexSource) {
+                return `<math xmlns="${this.NAMESPACE}"${display}>${content}</math>`;
+            }
+
+            return `<math xmlns="${this.NAMESPACE}"${display}><semantics>${this.presentation(mathElement)}` +
+                `<annotation-xml encoding="MathML-Content">${content}</annotation-xml>` +
+                `<annotation encoding="application/x-tex">${LatexToMathML.escape(latexSource.trim())}</annotation>` +
+                '</semantics></math>';
+        }
+
+        /**
+         * The presentation tree without any annotations already attached to it
+         */
+        static presentation(mathElement) {
+            let nodes = MathMLTree.children(mathElement);
+            if (nodes.length === 1 && MathMLTree.name(nodes[0]) === 'semantics') {
+                nodes = MathMLTree.children(nodes[0]).slice(0, 1);
+            }
+            return nodes.length === 1 ? nodes[0].outerHTML : `<mrow>${nodes.map(node => node.outerHTML).join('')}</mrow>`;
+        }
+
+        static fail(reason) {
+            throw new ExtensionError(`Can't copy as Content MathML: ${reason}`, 'UNTRANSLATABLE', 'MEDIUM');
+        }
+
+        static apply(head, ...parts) {
+            return `<apply>${head}${parts.join('')}</apply>`;
+        }
+
+        static node(tree) {
+            if (!tree) return '';
+            switch (tree.type) {
+                case 'number':
+                    return `<cn>${tree.value}</cn>`;
+                case 'identifier':
+                    return `<ci>${LatexToMathML.escape(tree.name)}</ci>`;
+                case 'constant':
+                    return this.CONSTANTS[tree.name];
+                case 'text':
+                    return `<cs>${LatexToMathML.escape(tree.value)}</cs>`;
+                case 'apply': {
+                    const head = this.CSYMBOLS[tree.op] || `<${tree.op}/>`;
+                    const degree = tree.degree ? `<degree>${this.node(tree.degree)}</degree>` : '';
+                    return this.apply(head, degree, ...tree.args.map(arg => this.node(arg)));
+                }
+                case 'function':
+                    return this.func(tree);
+                case 'bigop': {
+                    const parts = [];
+                    if (tree.bvar) parts.push(`<bvar>${this.node(tree.bvar)}</bvar>`);
+                    if (tree.lower) parts.push(`<lowlimit>${this.node(tree.lower)}</lowlimit>`);
+                    if (tree.upper) parts.push(`<uplimit>${this.node(tree.upper)}</uplimit>`);
+                    if (tree.condition) parts.push(`<condition>${this.node(tree.condition)}</condition>`);
+                    return this.apply(`<${tree.op}/>`, ...parts, this.node(tree.body));
+                }
+                case 'limit': {
+                    const parts = [];
+                    if (tree.bvar) parts.push(`<bvar>${this.node(tree.bvar)}</bvar>`);
+                    if (tree.to) parts.push(`<lowlimit>${this.node(tree.to)}</lowlimit>`);
+                    if (tree.condition) parts.push(`<condition>${this.node(tree.condition)}</condition>`);
+                    return this.apply('<limit/>', ...parts, this.node(tree.body));
+                }
+                case 'derivative': {
+                    const degree = tree.order > 1 ? `<degree><cn>${tree.order}</cn></degree>` : '';
+                    return this.apply('<diff/>', `<bvar>${this.node(tree.bvar)}${degree}</bvar>`, this.node(tree.body));
+                }
+                case 'matrix':
+                    return `<matrix>${tree.rows.map(row => `<matrixrow>${row.map(cell => this.node(cell)).join('')}</matrixrow>`).join('')}</matrix>`;
+                case 'piecewise': {
+                    const pieces = tree.pieces.map(piece => `<piece>${this.node(piece.value)}${this.node(piece.condition)}</piece>`);
+                    const otherwise = tree.otherwise ? `<otherwise>${this.node(tree.otherwise)}</otherwise>` : '';
+                    return `<piecewise>${pieces.join('')}${otherwise}</piecewise>`;
+                }
+                case 'list':
+                    return `<list>${tree.items.map(item => this.node(item)).join('')}</list>`;
+                case 'set': {
+                    const builder = tree.bvar
+                        ? `<bvar>${this.node(tree.bvar)}</bvar><condition>${this.node(tree.condition)}</condition>`
+                        : '';
+                    return `<set>${builder}${tree.items.map(item => this.node(item)).join('')}</set>`;
+                }
+                case 'unknown':
+                default:
+                    return this.fail(tree.reason || 'this construct');
+            }
+        }
+
+        static func(tree) {
+            const args = tree.args.map(arg => this.node(arg));
+            if (this.CSYMBOLS[tree.name]) return this.apply(this.CSYMBOLS[tree.name], ...args);
+            const element = this.FUNCTIONS[tree.name];
+            if (element) {
+                const base = tree.base ? `<logbase>${this.node(tree.base)}</logbase>` : '';
+                return this.apply(`<${element}/>`, base, ...args);
+            }
+            const callee = tree.callee && tree.callee.type !== 'identifier'
+                ? this.node(tree.callee)
+                : `<ci type="function">${LatexToMathML.escape(tree.name)}</ci>`;
+            return this.apply(callee, ...args);
+        }
+    }
+
+    /**
+     * Expression tree to an evaluable SymPy expression, e.g.
+     * Integral(exp(-x**2), (x, -oo, oo)), after a symbols() line declaring its names.
+     * Throws UNTRANSLATABLE rather than guessing.
+     */
+    class SympySerializer {
+        // Operator precedence, loosest first; relations are emitted as Eq(), Lt(), ...
+        static PRECEDENCE = { add: 1, mul: 2, unary: 3, power: 4, atom: 5 };
+
+        static CONSTANTS = { pi: 'pi', infinity: 'oo', e: 'E', i: 'I' };
+
+        static RELATIONS = { eq: 'Eq', neq: 'Ne', lt: 'Lt', gt: 'Gt', leq: 'Le', geq: 'Ge' };
+
+        static LOGIC = { and: 'And', or: 'Or', implies: 'Implies', union: 'Union', intersect: 'Intersection' };
+
+        static FUNCTIONS = {
+            sin: 'sin', cos: 'cos', tan: 'tan', cot: 'cot', sec: 'sec', csc: 'csc',
+            arcsin: 'asin', arccos: 'acos', arctan: 'atan', sinh: 'sinh', cosh: 'cosh',
+            tanh: 'tanh', coth: 'coth', sech: 'sech', csch: 'csch', arsinh: 'asinh',
+            arcosh: 'acosh', artanh: 'atanh', exp: 'exp', ln: 'log', log: 'log', det: 'det',
+            gcd: 'gcd', lcm: 'lcm', max: 'Max', min: 'Min', arg: 'arg', sgn: 'sign',
+            Re: 're', Im: 'im', 'ℜ': 're', 'ℑ': 'im'
+        };
+
+        static UNARY = { factorial: 'factorial', abs: 'Abs', floor: 'floor', ceiling: 'ceiling' };
+
+        static SETS = { 'ℝ': 'S.Reals', 'ℤ': 'S.Integers', 'ℕ': 'S.Naturals0', 'ℚ': 'S.Rationals', 'ℂ': 'S.Complexes' };
+
+        static GREEK = {
+            'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'ϵ': 'epsilon',
+            'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'ϑ': 'theta', 'ι': 'iota', 'κ': 'kappa',
+            'λ': 'lamda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'ο': 'omicron', 'ρ': 'rho', 'σ': 'sigma',
+            'τ': 'tau', 'υ': 'upsilon', 'φ': 'phi', 'ϕ': 'phi', 'χ': 'chi', 'ψ': 'psi', 'ω': 'omega',
+            'Γ': 'Gamma', 'Δ': 'Delta', 'Θ': 'Theta', 'Λ': 'Lamda', 'Ξ': 'Xi', 'Π': 'Pi',
+            'Σ': 'Sigma', 'Υ': 'Upsilon', 'Φ': 'Phi', 'Ψ': 'Psi', 'Ω': 'Omega'
+        };
+
+        // Names that already mean something in the SymPy namespace or in Python; their
+        // variables get a trailing underscore: beta_ = symbols('beta')
+        static RESERVED = ['E', 'I', 'N', 'O', 'Q', 'S', 'pi', 'oo', 'beta', 'gamma', 'zeta', 'Lambda',
+            'and', 'as', 'assert', 'def', 'del', 'elif', 'else', 'for', 'from', 'if', 'in', 'is',
+            'not', 'or', 'pass', 'with'];
+
+        static serialize(mathElement) {
+            if (!mathElement) return null;
+            const tree = MathSemantics.parse(mathElement);
+            // Filled in by symbol() and func() as the expression is built
+            this.declared = { symbols: new Map(), functions: new Map() };
+            const text = this.expr(tree).text;
+            return [...this.declarations(), text].join('\n');
+        }
+
+        // One symbols() line per kind, e.g. alpha, x = symbols('alpha x')
+        static declarations() {
+            const lines = [];
+            const kinds = [[this.declared.symbols, ''], [this.declared.functions, ', cls=Function']];
+            for (const [declared, options] of kinds) {
+                const names = [...declared.keys()]
+                    .filter(name => declared === this.declared.functions || !this.declared.functions.has(name))
+                    .sort();
+                if (names.length === 0) continue;
+                lines.push(`${names.map(name => declared.get(name)).join(', ')} = symbols('${names.join(' ')}'${options})`);
+            }
+            return lines;
+        }
+
+        static fail(reason) {
+            throw new ExtensionError(`Can't copy as SymPy: ${reason}`, 'UNTRANSLATABLE', 'MEDIUM');
+        }
+
+        static atom(text) {
+            return { text, prec: this.PRECEDENCE.atom };
+        }
+
+        static wrap(result, minimum) {
+            return result.prec < minimum ? `(${result.text})` : result.text;
+        }
+
+        static call(name, ...args) {
+            return this.atom(`${name}(${args.join(', ')})`);
+        }
+
+        // The SymPy name for an identifier and the Python variable it is declared as
+        static declare(declared, name) {
+            const python = Array.from(name).map(char => this.GREEK[char] || char).join('');
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(python)) this.fail(`symbol "${name}"`);
+            const variable = this.RESERVED.includes(python) ? `${python}_` : python;
+            declared.set(python, variable);
+            return variable;
+        }
+
+        static symbol(name) {
+            return this.declare(this.declared.symbols, name);
+        }
+
+        static func(name) {
+            return this.declare(this.declared.functions, name);
+        }
+
+        static isInteger(tree) {
+            return tree && tree.type === 'number' && /^\d+$/.test(tree.value);
+        }
+
+        static expr(tree) {
+            if (!tree) this.fail('empty expression');
+
+            switch (tree.type) {
+                case 'number':
+                    return this.atom(tree.value);
+                case 'identifier':
+                    if (this.SETS[tree.name]) return this.atom(this.SETS[tree.name]);
+                    return this.atom(this.symbol(tree.name));
+                case 'constant':
+                    return this.atom(this.CONSTANTS[tree.name]);
+                case 'apply':
+                    return this.apply(tree);
+                case 'function': {
+                    const args = tree.args.map(arg => this.expr(arg).text);
+                    if (tree.base) {
+                        if (!['log', 'lg', 'ln'].includes(tree.name)) this.fail(`subscript on ${tree.name}`);
+                        return this.call('log', ...args, this.expr(tree.base).text);
+                    }
+                    if (tree.name === 'lg') return this.call('log', ...args, '10');
+                    if (this.FUNCTIONS[tree.name]) return this.call(this.FUNCTIONS[tree.name], ...args);
+                    if (tree.callee && tree.callee.type !== 'identifier') this.fail('expression used as a function');
+                    return this.call(this.func(tree.name), ...args);
+                }
+                case 'bigop': {
+                    const names = { sum: 'Sum', product: 'Product', int: 'Integral' };
+                    if (!tree.bvar) this.fail(tree.op === 'int' ? 'integral without dx' : `${tree.op} without an index`);
+                    if (tree.condition) this.fail(`${tree.op} over a condition`);
+                    const bvar = this.expr(tree.bvar).text;
+                    const limits = tree.lower || tree.upper
+                        ? `(${bvar}, ${tree.lower ? this.expr(tree.lower).text : '-oo'}, ${tree.upper ? this.expr(tree.upper).text : 'oo'})`
+                        : bvar;
+                    return this.call(names[tree.op], this.expr(tree.body).text, limits);
+                }
+                case 'limit':
+                    if (!tree.bvar || !tree.to) this.fail('limit without "x → a"');
+                    return this.call('Limit', this.expr(tree.body).text, this.expr(tree.bvar).text, this.expr(tree.to).text);
+                case 'derivative': {
+                    const bvar = this.expr(tree.bvar).text;
+                    return this.call('Derivative', this.expr(tree.body).text, tree.order > 1 ? `(${bvar}, ${tree.order})` : bvar);
+                }
+                case 'matrix':
+                    return this.call('Matrix', `[${tree.rows.map(row => `[${row.map(cell => this.expr(cell).text).join(', ')}]`).join(', ')}]`);
+                case 'piecewise': {
+                    const pieces = tree.pieces.map(piece => `(${this.expr(piece.value).text}, ${this.expr(piece.condition).text})`);
+                    if (tree.otherwise) pieces.push(`(${this.expr(tree.otherwise).text}, True)`);
+                    return this.call('Piecewise', ...pieces);
+                }
+                case 'list': {
+                    const items = tree.items.map(item => this.expr(item).text);
+                    return this.atom(items.length === 1 ? `(${items[0]},)` : `(${items.join(', ')})`);
+                }
+                case 'set': {
+                    if (!tree.bvar) return this.call('FiniteSet', ...tree.items.map(item => this.expr(item).text));
+                    // {x ∈ ℝ : x > 0} comes in as x ∈ ℝ ∧ x > 0
+                    const condition = tree.condition;
+                    const [membership, rest] = condition.op === 'and' && condition.args.length === 2 && condition.args[0].op === 'in' && condition.args[0].args[0] === tree.bvar
+                        ? condition.args
+                        : [null, condition];
+                    const args = [this.expr(tree.bvar).text, this.expr(rest).text];
+                    if (membership) args.push(this.expr(membership.args[1]).text);
+                    return this.call('ConditionSet', ...args);
+                }
+                case 'text':
+                    return this.fail(`text "${tree.value}"`);
+                case 'unknown':
+                default:
+                    return this.fail(tree.reason || 'this construct');
+            }
+        }
+
+        static apply(tree) {
+            const P = this.PRECEDENCE;
+            const args = tree.args;
+
+            if (this.RELATIONS[tree.op]) {
+                const pairs = [];
+                for (let i = 0; i < args.length - 1; i++) {
+                    pairs.push(`${this.RELATIONS[tree.op]}(${this.expr(args[i]).text}, ${this.expr(args[i + 1]).text})`);
+                }
+                // a < b < c is two relations
+                return pairs.length === 1 ? this.atom(pairs[0]) : this.call('And', ...pairs);
+            }
+            if (this.LOGIC[tree.op]) return this.call(this.LOGIC[tree.op], ...args.map(arg => this.expr(arg).text));
+            if (this.UNARY[tree.op]) return this.call(this.UNARY[tree.op], this.expr(args[0]).text);
+
+            switch (tree.op) {
+                case 'plus': {
+                    let text = this.wrap(this.expr(args[0]), P.add);
+                    for (const arg of args.slice(1)) {
+                        if (arg.type === 'apply' && arg.op === 'minus' && arg.args.length === 1) {
+                            text += ` - ${this.wrap(this.expr(arg.args[0]), P.mul)}`;
+                        } else {
+                            text += ` + ${this.wrap(this.expr(arg), P.add)}`;
+                        }
+                    }
+                    return { text, prec: P.add };
+                }
+                case 'minus':
+                    if (args.length === 1) return { text: `-${this.wrap(this.expr(args[0]), P.mul)}`, prec: P.unary };
+                    return { text: `${this.wrap(this.expr(args[0]), P.add)} - ${this.wrap(this.expr(args[1]), P.mul)}`, prec: P.add };
+                case 'times':
+                    return { text: args.map(arg => this.wrap(this.expr(arg), P.mul)).join('*'), prec: P.mul };
+                case 'divide':
+                    if (this.isInteger(args[0]) && this.isInteger(args[1])) {
+                        // 1/2 would be a Python float
+                        return this.call('Rational', args[0].value, args[1].value);
+                    }
+                    return { text: `${this.wrap(this.expr(args[0]), P.mul)}/${this.wrap(this.expr(args[1]), P.unary)}`, prec: P.mul };
+                case 'power':
+                    return { text: `${this.wrap(this.expr(args[0]), P.atom)}**${this.wrap(this.expr(args[1]), P.unary)}`, prec: P.power };
+                case 'root':
+                    if (tree.degree) return this.call('root', this.expr(args[0]).text, this.expr(tree.degree).text);
+                    return this.call('sqrt', this.expr(args[0]).text);
+                case 'not':
+                    return this.call('Not', this.expr(args[0]).text);
+                case 'in':
+                    return this.call('Contains', this.expr(args[0]).text, this.expr(args[1]).text);
+                case 'notin':
+                    return this.call('Not', `Contains(${this.expr(args[0]).text}, ${this.expr(args[1]).text})`);
+                case 'binomial':
+                    return this.call('binomial', this.expr(args[0]).text, this.expr(args[1]).text);
+                case 'plusminus':
+                case 'minusplus':
+                    return this.fail('"±" has no single value');
+                default:
+                    return this.fail(`no equivalent for "${tree.op}"`);
+            }
+        }
+    }
+
+    /**
+     * MathML to Office Math Markup (OMML) converter
+     * Word pastes OMML natively, which avoids the MathML import issues of some Word builds
+     */
+    class OMMLConverter {
+        static NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/math';
+
+        static NARY_OPERATORS = ['∑', '∏', '∐', '∫', '∬', '∭', '∮', '∯', '∰', '⋃', '⋂', '⋀', '⋁', '⨁', '⨂', '⨀', '⨆', '⨄'];
+
+        static INTEGRALS = ['∫', '∬', '∭', '∮', '∯', '∰'];
+
+        // Spacing accents in MathML map to combining characters in OMML
+        static ACCENTS = {
+            '^': '\u0302', 'ˆ': '\u0302', 'ˉ': '\u0305', '¯': '\u0305', '→': '\u20D7',
+            '\u20D7': '\u20D7', '~': '\u0303', '˜': '\u0303', '˙': '\u0307', '¨': '\u0308',
+            'ˇ': '\u030C', '˘': '\u0306', '´': '\u0301', '`': '\u0300', '˚': '\u030A',
+            '←': '\u20D6', '↔': '\u20E1', '\u20DB': '\u20DB'
+        };
+
+        static BARS = ['‾', '_', '\u0332', '\u0305'];
+
+        static GROUP_CHARACTERS = ['⏞', '⏟', '⏜', '⏝', '⎴', '⎵'];
+
+        static FENCE_PAIRS = { '(': ')', '[': ']', '{': '}', '⟨': '⟩', '⌊': '⌋', '⌈': '⌉', '|': '|', '‖': '‖' };
+
+        static SCRIPTS = {
+            'double-struck': 'double-struck', 'script': 'script', 'bold-script': 'script',
+            'fraktur': 'fraktur', 'bold-fraktur': 'fraktur', 'sans-serif': 'sans-serif',
+            'bold-sans-serif': 'sans-serif', 'monospace': 'monospace'
+        };
+
+        static convert(mathElement) {
+            if (!mathElement) return null;
+            const body = this.node(mathElement);
+            if (!body) return null;
+            const ns = `xmlns:m="${this.NAMESPACE}"`;
+            if (mathElement.getAttribute && mathElement.getAttribute('display') === 'block') {
+                return `<m:oMathPara ${ns}><m:oMath>${body}</m:oMath></m:oMathPara>`;
+            }
+            return `<m:oMath ${ns}>${body}</m:oMath>`;
+        }
+
+        /**
+         * Wrap OMML in the HTML fragment Word produces for equations, so that pasting
+         * text/html into Word yields a native equation object
+         */
+        static toHtmlFragment(omml) {
+            const inner = omml.replace(/\sxmlns:m="[^"]*"/, '');
+            // Word's HTML form keeps run text directly inside <m:r>, styled by a span
+            const wordRuns = inner.replace(/<m:r>(<m:rPr>[\s\S]*?<\/m:rPr>)?<m:t(?: [^>]*)?>([\s\S]*?)<\/m:t><\/m:r>/g,
+                (match, rPr, text) => `<span style='font-family:"Cambria Math"'><m:r>${rPr || ''}${text}</m:r></span>`);
+            const fallback = Array.from(omml.matchAll(/<m:t(?: [^>]*)?>([\s\S]*?)<\/m:t>/g)).map(match => match[1]).join('');
+            return '<html xmlns:o="urn:schemas-microsoft-com:office:office" ' +
+                'xmlns:w="urn:schemas-microsoft-com:office:word" ' +
+                'xmlns:m="http://schemas.microsoft.com/office/2004/12/omml" ' +
+                'xmlns="http://www.w3.org/TR/REC-html40">' +
+                '<head><meta charset="utf-8"></head><body><!--StartFragment-->' +
+                `<p class="MsoNormal"><!--[if gte msEquation 12]>${wordRuns}<![endif]-->` +
+                `<![if !msEquation]><span>${fallback}</span><![endif]></p>` +
+                '<!--EndFragment--></body></html>';
+        }
+
+        static escape(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        }
+
+        static run(text, properties = '') {
+            if (!text) return '';
+            const rPr = properties ? `<m:rPr>${properties}</m:rPr>` : '';
+            const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+            return `<m:r>${rPr}<m:t${space}>${this.escape(text)}</m:t></m:r>`;
+        }
+
+        static identifier(node) {
+            const text = MathMLTree.text(node);
+            const variant = node.getAttribute('mathvariant');
+            const properties = [];
+            if (this.SCRIPTS[variant]) {
+                properties.push(`<m:scr m:val="${this.SCRIPTS[variant]}"/>`);
             }
-            this.tooltip = null;
-            this.activeWrapper = null;
-            if (this.hideTimeout) {
-                clearTimeout(this.hideTimeout);
-                this.hideTimeout = null;
+            if (variant === 'normal' || (!variant && Array.from(text).length > 1)) {
+                properties.push('<m:sty m:val="p"/>');
+            } else if (variant && variant.startsWith('bold')) {
+                properties.push(`<m:sty m:val="${variant === 'bold-italic' ? 'bi' : 'b'}"/>`);
+            }
+            return this.run(text, properties.join(''));
+        }
+
+        static node(node) {
+            const name = MathMLTree.name(node);
+            const kids = MathMLTree.children(node);
+
+            switch (name) {
+                case 'math':
+                case 'mrow':
+                case 'mstyle':
+                case 'mpadded':
+                case 'merror':
+                    return this.row(kids);
+                case 'semantics':
+                    return kids.length > 0 ? this.node(kids[0]) : '';
+                case 'mi':
+                    return this.identifier(node);
+                case 'mn':
+                    return this.run(MathMLTree.text(node));
+                case 'mo': {
+                    const text = MathMLTree.text(node);
+                    return /^[\u2061-\u2064]$/.test(text) ? '' : this.run(text);
+                }
+                case 'mtext':
+                case 'ms':
+                    return this.run((node.textContent || '').replace(/\s+/g, ' '), '<m:nor/>');
+                case 'mspace':
+                    return '';
+                case 'mphantom':
+                    return `<m:phant><m:e>${this.row(kids)}</m:e></m:phant>`;
+                case 'menclose':
+                    return `<m:borderBox><m:e>${this.row(kids)}</m:e></m:borderBox>`;
+                case 'mfrac': {
+                    const thickness = node.getAttribute('linethickness') || '';
+                    let type = '';
+                    if (/^0(\.0*)?[a-z]*$/.test(thickness)) {
+                        type = '<m:fPr><m:type m:val="noBar"/></m:fPr>';
+                    } else if (node.getAttribute('bevelled') === 'true') {
+                        type = '<m:fPr><m:type m:val="skw"/></m:fPr>';
+                    }
+                    return `<m:f>${type}<m:num>${this.node(kids[0])}</m:num><m:den>${this.node(kids[1])}</m:den></m:f>`;
+                }
+                case 'msqrt':
+                    return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${this.row(kids)}</m:e></m:rad>`;
+                case 'mroot':
+                    return `<m:rad><m:deg>${this.node(kids[1])}</m:deg><m:e>${this.node(kids[0])}</m:e></m:rad>`;
+                case 'msub':
+                    return `<m:sSub><m:e>${this.node(kids[0])}</m:e><m:sub>${this.node(kids[1])}</m:sub></m:sSub>`;
+                case 'msup':
+                    return `<m:sSup><m:e>${this.node(kids[0])}</m:e><m:sup>${this.node(kids[1])}</m:sup></m:sSup>`;
+                case 'msubsup':
+                    return `<m:sSubSup><m:e>${this.node(kids[0])}</m:e><m:sub>${this.node(kids[1])}</m:sub><m:sup>${this.node(kids[2])}</m:sup></m:sSubSup>`;
+                case 'munder':
+                    return this.under(kids[0], kids[1]);
+                case 'mover':
+                    return this.over(kids[0], kids[1]);
+                case 'munderover':
+                    return `<m:limUpp><m:e>${this.under(kids[0], kids[1])}</m:e><m:lim>${this.node(kids[2])}</m:lim></m:limUpp>`;
+                case 'mmultiscripts':
+                    return this.multiscripts(kids);
+                case 'mtable':
+                    return this.table(node);
+                case 'mfenced':
+                    return this.fenced(node, kids);
+                default:
+                    return this.row(kids);
+            }
+        }
+
+        static under(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo' && this.BARS.includes(mark)) {
+                return `<m:bar><m:barPr><m:pos m:val="bot"/></m:barPr><m:e>${this.node(base)}</m:e></m:bar>`;
+            }
+            if (MathMLTree.name(script) === 'mo' && this.GROUP_CHARACTERS.includes(mark)) {
+                return `<m:groupChr><m:groupChrPr><m:chr m:val="${mark}"/><m:pos m:val="bot"/><m:vertJc m:val="top"/></m:groupChrPr><m:e>${this.node(base)}</m:e></m:groupChr>`;
+            }
+            return `<m:limLow><m:e>${this.node(base)}</m:e><m:lim>${this.node(script)}</m:lim></m:limLow>`;
+        }
+
+        static over(base, script) {
+            const mark = MathMLTree.text(script);
+            if (MathMLTree.name(script) === 'mo') {
+                if (mark === '‾') {
+                    return `<m:bar><m:barPr><m:pos m:val="top"/></m:barPr><m:e>${this.node(base)}</m:e></m:bar>`;
+                }
+                if (this.ACCENTS[mark]) {
+                    return `<m:acc><m:accPr><m:chr m:val="${this.ACCENTS[mark]}"/></m:accPr><m:e>${this.node(base)}</m:e></m:acc>`;
+                }
+                if (this.GROUP_CHARACTERS.includes(mark)) {
+                    return `<m:groupChr><m:groupChrPr><m:chr m:val="${mark}"/><m:pos m:val="top"/><m:vertJc m:val="bot"/></m:groupChrPr><m:e>${this.node(base)}</m:e></m:groupChr>`;
+                }
+            }
+            return `<m:limUpp><m:e>${this.node(base)}</m:e><m:lim>${this.node(script)}</m:lim></m:limUpp>`;
+        }
+
+        static multiscripts(kids) {
+            const sub = [];
+            const sup = [];
+            const preSub = [];
+            const preSup = [];
+            let pre = false;
+            for (let i = 1; i < kids.length; i += 2) {
+                if (MathMLTree.name(kids[i]) === 'mprescripts') {
+                    pre = true;
+                    i--;
+                    continue;
+                }
+                const subNode = kids[i] && MathMLTree.name(kids[i]) !== 'none' ? this.node(kids[i]) : '';
+                const supNode = kids[i + 1] && MathMLTree.name(kids[i + 1]) !== 'none' ? this.node(kids[i + 1]) : '';
+                (pre ? preSub : sub).push(subNode);
+                (pre ? preSup : sup).push(supNode);
+            }
+            let result = `<m:sSubSup><m:e>${this.node(kids[0])}</m:e><m:sub>${sub.join('')}</m:sub><m:sup>${sup.join('')}</m:sup></m:sSubSup>`;
+            if (pre) {
+                result = `<m:sPre><m:sub>${preSub.join('')}</m:sub><m:sup>${preSup.join('')}</m:sup><m:e>${result}</m:e></m:sPre>`;
+            }
+            return result;
+        }
+
+        static table(table) {
+            const rows = MathMLTree.children(table)
+                .filter(row => ['mtr', 'mlabeledtr'].includes(MathMLTree.name(row)))
+                .map(row => {
+                    const cells = MathMLTree.children(row);
+                    return MathMLTree.name(row) === 'mlabeledtr' ? cells.slice(1) : cells;
+                });
+            // Word requires every matrix row to have the same number of cells
+            const columns = Math.max(1, ...rows.map(cells => cells.length));
+            return `<m:m>${rows.map(cells => {
+                const entries = cells.map(cell => `<m:e>${this.node(cell)}</m:e>`);
+                while (entries.length < columns) entries.push('<m:e/>');
+                return `<m:mr>${entries.join('')}</m:mr>`;
+            }).join('')}</m:m>`;
+        }
+
+        static delimiter(open, close, elements, separator = '') {
+            const props = [`<m:begChr m:val="${this.escape(open)}"/>`];
+            if (separator) props.push(`<m:sepChr m:val="${this.escape(separator)}"/>`);
+            props.push(`<m:endChr m:val="${this.escape(close)}"/>`);
+            return `<m:d><m:dPr>${props.join('')}</m:dPr>${elements.map(e => `<m:e>${e}</m:e>`).join('')}</m:d>`;
+        }
+
+        static fenced(node, kids) {
+            const open = node.getAttribute('open') ?? '(';
+            const close = node.getAttribute('close') ?? ')';
+            const separators = (node.getAttribute('separators') ?? ',').replace(/\s/g, '');
+            return this.delimiter(open, close, kids.map(kid => this.node(kid)), separators[0] || '');
+        }
+
+        static naryOperator(node) {
+            const name = MathMLTree.name(node);
+            if (name === 'mo') {
+                const text = MathMLTree.text(node);
+                return this.NARY_OPERATORS.includes(text) ? text : null;
+            }
+            if (['munderover', 'msubsup', 'munder', 'mover', 'msub', 'msup'].includes(name)) {
+                const base = MathMLTree.content(MathMLTree.children(node)[0]);
+                if (MathMLTree.name(base) === 'mo' && this.NARY_OPERATORS.includes(MathMLTree.text(base))) {
+                    return MathMLTree.text(base);
+                }
+            }
+            return null;
+        }
+
+        static nary(node, operand) {
+            const operator = this.naryOperator(node);
+            const name = MathMLTree.name(node);
+            const kids = MathMLTree.children(node);
+            let sub = '';
+            let sup = '';
+            if (['munderover', 'msubsup'].includes(name)) {
+                sub = this.node(kids[1]);
+                sup = this.node(kids[2]);
+            } else if (['munder', 'msub'].includes(name)) {
+                sub = this.node(kids[1]);
+            } else if (['mover', 'msup'].includes(name)) {
+                sup = this.node(kids[1]);
+            }
+            const props = [`<m:chr m:val="${operator}"/>`];
+            props.push(`<m:limLoc m:val="${this.INTEGRALS.includes(operator) ? 'subSup' : 'undOvr'}"/>`);
+            if (!sub) props.push('<m:subHide m:val="1"/>');
+            if (!sup) props.push('<m:supHide m:val="1"/>');
+            return `<m:nary><m:naryPr>${props.join('')}</m:naryPr><m:sub>${sub}</m:sub><m:sup>${sup}</m:sup><m:e>${operand}</m:e></m:nary>`;
+        }
+
+        /**
+         * Group a row's children into fenced runs: matching open/close operators become one item
+         */
+        static groupFences(nodes) {
+            const items = [];
+            let i = 0;
+            while (i < nodes.length) {
+                const node = nodes[i];
+                const text = MathMLTree.name(node) === 'mo' ? MathMLTree.text(node) : null;
+                const close = text !== null ? this.FENCE_PAIRS[text] : undefined;
+                if (close !== undefined) {
+                    let depth = 0;
+                    let end = -1;
+                    for (let j = i + 1; j < nodes.length; j++) {
+                        const candidate = this.fenceText(nodes[j]);
+                        if (candidate === null) continue;
+                        if (candidate === close && depth === 0) {
+                            end = j;
+                            break;
+                        }
+                        if (candidate === text && text !== close) depth++;
+                        else if (candidate === close) depth--;
+                    }
+                    if (end !== -1) {
+                        const scripts = MathMLTree.name(nodes[end]) === 'mo' ? null : nodes[end];
+                        items.push({ open: text, close, inner: this.groupFences(nodes.slice(i + 1, end)), scripts });
+                        i = end + 1;
+                        continue;
+                    }
+                    // Cases-style brace with no closing fence
+                    if (text === '{' && i + 1 < nodes.length && MathMLTree.name(MathMLTree.content(nodes[i + 1])) === 'mtable') {
+                        items.push({ open: '{', close: '', inner: this.groupFences(nodes.slice(i + 1)) });
+                        break;
+                    }
+                }
+                items.push({ node });
+                i++;
+            }
+            return items;
+        }
+
+        // An operator's text, looking through scripts on it: the closing fence of (x)^2
+        static fenceText(node) {
+            const name = MathMLTree.name(node);
+            if (name === 'mo') return MathMLTree.text(node);
+            if (['msub', 'msup', 'msubsup'].includes(name)) {
+                const base = MathMLTree.content(MathMLTree.children(node)[0]);
+                if (MathMLTree.name(base) === 'mo') return MathMLTree.text(base);
+            }
+            return null;
+        }
+
+        // Scripts written on a closing fence belong to the whole group
+        static scriptFence(fenced, scripts) {
+            const kids = MathMLTree.children(scripts);
+            switch (MathMLTree.name(scripts)) {
+                case 'msub':
+                    return `<m:sSub><m:e>${fenced}</m:e><m:sub>${this.node(kids[1])}</m:sub></m:sSub>`;
+                case 'msup':
+                    return `<m:sSup><m:e>${fenced}</m:e><m:sup>${this.node(kids[1])}</m:sup></m:sSup>`;
+                default:
+                    return `<m:sSubSup><m:e>${fenced}</m:e><m:sub>${this.node(kids[1])}</m:sub><m:sup>${this.node(kids[2])}</m:sup></m:sSubSup>`;
+            }
+        }
+
+        static row(nodes) {
+            return this.emit(this.groupFences(nodes));
+        }
+
+        static emit(items) {
+            let out = '';
+            for (let i = 0; i < items.length; i++) {
+                const item = items[i];
+                if (!item.node) {
+                    const fenced = this.delimiter(item.open, item.close, [this.emit(item.inner)]);
+                    out += item.scripts ? this.scriptFence(fenced, item.scripts) : fenced;
+                    continue;
+                }
+
+                const next = items[i + 1];
+                const isApply = next && next.node && MathMLTree.name(next.node) === 'mo' && MathMLTree.text(next.node) === '\u2061';
+                if (isApply) {
+                    // Function application (sin followed by U+2061) becomes <m:func>
+                    const argument = items[i + 2] ? this.emit([items[i + 2]]) : '';
+                    out += `<m:func><m:fName>${this.node(item.node)}</m:fName><m:e>${argument}</m:e></m:func>`;
+                    i += items[i + 2] ? 2 : 1;
+                    continue;
+                }
+
+                if (this.naryOperator(item.node)) {
+                    const operand = next ? this.emit([next]) : '';
+                    out += this.nary(item.node, operand);
+                    if (next) i++;
+                    continue;
+                }
+
+                out += this.node(item.node);
             }
+            return out;
         }
     }
 
-    const tooltipManager = new TooltipManager();
+    /**
+     * Rendered equation to SVG/PNG exporter
+     * MathJax SVG output is used as is; KaTeX, CHTML and native MathML are wrapped in a
+     * foreignObject with computed styles and the page's math fonts inlined
+     */
+    class ImageExporter {
+        static SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+        static XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+        // Enough to reproduce KaTeX and CHTML layout without the page's stylesheets
+        static STYLE_PROPERTIES = [
+            'display', 'position', 'top', 'right', 'bottom', 'left', 'width', 'height',
+            'min-width', 'min-height', 'max-width', 'margin-top', 'margin-right', 'margin-bottom',
+            'margin-left', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+            'border-top-style', 'border-top-width', 'border-top-color', 'border-right-style',
+            'border-right-width', 'border-right-color', 'border-bottom-style', 'border-bottom-width',
+            'border-bottom-color', 'border-left-style', 'border-left-width', 'border-left-color',
+            'box-sizing', 'vertical-align', 'text-align', 'white-space', 'font-family', 'font-size',
+            'font-style', 'font-weight', 'line-height', 'letter-spacing', 'color', 'fill', 'stroke',
+            'transform', 'transform-origin', 'overflow', 'opacity', 'table-layout', 'border-collapse',
+            'border-spacing', 'math-style', 'math-depth'
+        ];
+
+        static fontCache = new Map();
+
+        static async toSVG(equation) {
+            const node = this.renderedNode(equation);
+            if (!node) {
+                throw new ExtensionError('No rendered equation to export', 'NO_RENDERED_EQUATION', 'MEDIUM');
+            }
+
+            const svg = node.localName === 'svg' ? node : node.querySelector('svg');
+            if (svg && svg.hasAttribute('viewBox') && svg.closest('mjx-container, .MathJax_SVG')) {
+                return this.fromMathJaxSVG(svg);
+            }
+            return this.fromForeignObject(node);
+        }
+
+        static renderedNode(equation) {
+            const katex = equation.closest('.katex') || equation.querySelector('.katex');
+            if (katex) {
+                return katex.querySelector('.katex-html') || katex;
+            }
+
+            const mathjax = equation.closest('mjx-container, .MathJax, .MathJax_SVG, .MathJax_CHTML') ||
+                equation.querySelector('mjx-container, .MathJax, .MathJax_SVG, .MathJax_CHTML');
+            if (mathjax) {
+                return mathjax;
+            }
+
+            return equation.closest('math') || equation;
+        }
+
+        static fromMathJaxSVG(svg) {
+            const rect = svg.getBoundingClientRect();
+            const clone = svg.cloneNode(true);
+            clone.setAttribute('width', Math.ceil(rect.width));
+            clone.setAttribute('height', Math.ceil(rect.height));
+            clone.style.color = getComputedStyle(svg).color;
+
+            // With the global font cache, glyph paths live in a shared <defs> elsewhere on the page
+            const missing = new Set();
+            clone.querySelectorAll('use').forEach(use => {
+                const href = use.getAttribute('href') || use.getAttributeNS(this.XLINK_NAMESPACE, 'href') || '';
+                if (href.startsWith('#')) missing.add(href.slice(1));
+            });
+            const defs = document.createElementNS(this.SVG_NAMESPACE, 'defs');
+            missing.forEach(id => {
+                if (clone.querySelector(`#${CSS.escape(id)}`)) return;
+                const glyph = document.getElementById(id);
+                if (glyph) defs.appendChild(glyph.cloneNode(true));
+            });
+            if (defs.childNodes.length) {
+                clone.insertBefore(defs, clone.firstChild);
+            }
+
+            return new XMLSerializer().serializeToString(clone);
+        }
+
+        static async fromForeignObject(node) {
+            const rect = node.getBoundingClientRect();
+            const width = Math.ceil(rect.width) + 2;
+            const height = Math.ceil(rect.height) + 2;
+            if (!rect.width || !rect.height) {
+                throw new ExtensionError('Equation is not visible', 'NO_RENDERED_EQUATION', 'MEDIUM');
+            }
+
+            const clone = node.cloneNode(true);
+            const families = new Set();
+            this.inlineStyles(node, clone, families);
+            clone.style.margin = '0';
+            clone.style.position = 'static';
+            clone.style.display = 'inline-block';
+            clone.querySelectorAll('mjx-assistive-mml').forEach(el => el.remove());
+
+            const wrapper = document.createElement('div');
+            wrapper.style.cssText = 'margin:0;padding:1px;display:inline-block';
+            const fonts = await this.fontFaceCSS(families);
+            if (fonts) {
+                const style = document.createElement('style');
+                style.textContent = fonts;
+                wrapper.appendChild(style);
+            }
+            wrapper.appendChild(clone);
+
+            const svg = document.createElementNS(this.SVG_NAMESPACE, 'svg');
+            svg.setAttribute('width', width);
+            svg.setAttribute('height', height);
+            svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+            const foreignObject = document.createElementNS(this.SVG_NAMESPACE, 'foreignObject');
+            foreignObject.setAttribute('width', '100%');
+            foreignObject.setAttribute('height', '100%');
+            foreignObject.appendChild(wrapper);
+            svg.appendChild(foreignObject);
+
+            return new XMLSerializer().serializeToString(svg);
+        }
+
+        static inlineStyles(source, clone, families) {
+            if (source.nodeType !== Node.ELEMENT_NODE) return;
+
+            const sourceChildren = Array.from(source.children);
+            const cloneChildren = Array.from(clone.children);
+            sourceChildren.forEach((child, i) => {
+                if (cloneChildren[i]) this.inlineStyles(child, cloneChildren[i], families);
+            });
+
+            const computed = getComputedStyle(source);
+            clone.removeAttribute('class');
+            clone.setAttribute('style', this.styleText(computed));
+            computed.getPropertyValue('font-family').split(',').forEach(family => {
+                families.add(family.trim().replace(/^["']|["']$/g, ''));
+            });
+
+            // CHTML draws its glyphs through ::before content, which the clone loses with its classes
+            ['::before', '::after'].forEach(pseudo => {
+                const pseudoStyle = getComputedStyle(source, pseudo);
+                const content = this.pseudoContent(pseudoStyle.getPropertyValue('content'));
+                if (content === null) return;
+
+                const span = document.createElement('span');
+                span.textContent = content;
+                span.setAttribute('style', this.styleText(pseudoStyle));
+                pseudoStyle.getPropertyValue('font-family').split(',').forEach(family => {
+                    families.add(family.trim().replace(/^["']|["']$/g, ''));
+                });
+                if (pseudo === '::before') {
+                    clone.insertBefore(span, clone.firstChild);
+                } else {
+                    clone.appendChild(span);
+                }
+            });
+        }
+
+        static styleText(computed) {
+            return this.STYLE_PROPERTIES
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value !== '')
+                .map(([property, value]) => `${property}:${value}`)
+                .join(';');
+        }
+
+        static pseudoContent(value) {
+            // Only literal strings; counters and attr() never appear in rendered math
+            const match = /^"((?:[^"\\]|\\.)*)"$/.exec(value || '');
+            return match ? match[1].replace(/\\(.)/g, '$1') : null;
+        }
+
+        static async fontFaceCSS(families) {
+            const rules = [];
+
+            for (const sheet of Array.from(document.styleSheets)) {
+                let faces;
+                try {
+                    faces = Array.from(sheet.cssRules)
+                        .filter(rule => rule.type === CSSRule.FONT_FACE_RULE)
+                        .map(rule => rule.cssText);
+                } catch (error) {
+                    // Cross-origin sheets (e.g. KaTeX from a CDN) hide their rules; read the file instead
+                    if (!sheet.href) continue;
+                    try {
+                        const response = await fetch(sheet.href);
+                        faces = (await response.text()).match(/@font-face\s*\{[^}]*\}/g) || [];
+                    } catch (fetchError) {
+                        Logger.debug('Could not read stylesheet for fonts:', sheet.href);
+                        continue;
+                    }
+                }
+
+                for (const face of faces) {
+                    const family = /font-family\s*:\s*["']?([^"';}]+)/.exec(face);
+                    if (!family || !families.has(family[1].trim())) continue;
+                    const rule = await this.inlineFontFace(face, sheet.href || location.href);
+                    if (rule) rules.push(rule);
+                }
+            }
+
+            return rules.join('\n');
+        }
+
+        static async inlineFontFace(face, baseHref) {
+            const sources = Array.from(face.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)).map(match => match[2]);
+            const source = sources.find(url => /\.woff2(\?|#|$)/.test(url)) || sources[0];
+            if (!source) return null;
+            if (source.startsWith('data:')) return face;
+
+            let dataUrl;
+            try {
+                const url = new URL(source, baseHref).href;
+                if (!this.fontCache.has(url)) {
+                    this.fontCache.set(url, fetch(url)
+                        .then(response => response.blob())
+                        .then(blob => new Promise((resolve, reject) => {
+                            const reader = new FileReader();
+                            reader.onload = () => resolve(reader.result);
+                            reader.onerror = () => reject(reader.error);
+                            reader.readAsDataURL(blob);
+                        })));
+                }
+                dataUrl = await this.fontCache.get(url);
+            } catch (error) {
+                Logger.debug('Could not inline font:', source);
+                return null;
+            }
+
+            const descriptors = face
+                .replace(/^@font-face\s*\{|\}\s*$/g, '')
+                .split(';')
+                .filter(part => part.trim() && !/^\s*src\s*:/.test(part));
+            return `@font-face { ${descriptors.join(';')}; src: url("${dataUrl}"); }`;
+        }
+
+        static async toPNG(svg, scale = Math.max(2, window.devicePixelRatio || 1)) {
+            const root = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+            const width = parseFloat(root.getAttribute('width'));
+            const height = parseFloat(root.getAttribute('height'));
+            if (!width || !height) {
+                throw new ExtensionError('Equation image has no size', 'IMAGE_EXPORT_FAILED', 'HIGH');
+            }
+
+            // A data URL keeps the canvas untainted even with a foreignObject inside
+            const image = new Image();
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+            await image.decode();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+            context.drawImage(image, 0, 0, width, height);
+
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob
+                    ? resolve(blob)
+                    : reject(new ExtensionError('PNG encoding failed', 'IMAGE_EXPORT_FAILED', 'HIGH')), 'image/png');
+            });
+        }
+    }
+
+    /**
+     * Whole-page equation collector
+     * Walks every wrapped equation in document order and writes them out as one
+     * document, keeping equation numbers and the heading each one sits under
+     */
+    class PageHarvester {
+        static FORMATS = ['latex', 'markdown', 'html', 'json'];
+
+        static async collect(format = 'latex') {
+            if (!this.FORMATS.includes(format)) {
+                throw new ExtensionError(`Unknown collection format: ${format}`, 'INVALID_FORMAT', 'MEDIUM');
+            }
+
+            const equations = await this.harvest();
+            if (equations.length === 0) {
+                throw new ExtensionError('No equations found on this page', 'NO_EQUATIONS', 'MEDIUM');
+            }
+
+            const page = {
+                url: window.location.href,
+                title: (document.title || '').trim() || window.location.href,
+                collectedAt: new Date().toISOString()
+            };
+            const builders = {
+                latex: () => this.toLatex(page, equations),
+                markdown: () => this.toMarkdown(page, equations),
+                html: () => this.toHTML(page, equations),
+                json: () => JSON.stringify({ ...page, equations }, null, 2)
+            };
+            return { content: builders[format](), count: equations.length };
+        }
+
+        static async harvest() {
+            const equations = [];
+            const seenLabels = new Set();
+            let previous = null;
+            let previousKey = null;
+
+            for (const element of document.querySelectorAll('.math-copy-element')) {
+                // Wrappers nested in one already taken are the same equation (e.g. KaTeX display and inline box)
+                if (previous && previous.contains(element)) continue;
+
+                const representations = await DOMProcessor.getRepresentations(element);
+                const latex = representations.latex || null;
+                const mathml = representations.mathml || null;
+                if (!latex && !mathml) continue;
+
+                const label = DOMProcessor.getEquationLabel(element);
+                const key = latex || mathml;
+                // A label appears once per equation, and a repeat right after the last one is a duplicate render
+                if ((label && seenLabels.has(label)) || key === previousKey) continue;
+                if (label) seenLabels.add(label);
+
+                previous = element;
+                previousKey = key;
+                equations.push({
+                    index: equations.length + 1,
+                    label,
+                    heading: DOMProcessor.getNearestHeading(element),
+                    latex,
+                    mathml,
+                    unicode: representations.unicode || null,
+                    asciimath: representations.asciimath || null
+                });
+            }
+
+            return equations;
+        }
+
+        // "(3.2)" on the page becomes \tag{3.2} unless the source already carries a tag
+        static taggedLatex(equation) {
+            const tex = equation.latex.trim();
+            if (!equation.label || /\\tag\*?\{/.test(tex)) return tex;
+            return `${tex} \\tag{${equation.label.replace(/^\((.*)\)$/, '$1')}}`;
+        }
+
+        static toLatex(page, equations) {
+            const lines = [
+                `% Equations collected by Math Copy from ${page.url} on ${page.collectedAt}`,
+                '\\documentclass{article}',
+                '\\usepackage{amsmath,amssymb}',
+                `\\title{${this.escapeLatex(page.title)}}`,
+                '\\begin{document}',
+                '\\maketitle',
+                ''
+            ];
+            let heading = null;
+
+            equations.forEach(equation => {
+                if (equation.heading !== heading) {
+                    heading = equation.heading;
+                    if (heading) lines.push(`\\section*{${this.escapeLatex(heading)}}`, '');
+                }
+                if (!equation.latex) {
+                    lines.push(`% Equation ${equation.index}${equation.label ? ` ${equation.label}` : ''} has no TeX form`, '');
+                    return;
+                }
+                lines.push('\\begin{equation*}', this.taggedLatex(equation), '\\end{equation*}', '');
+            });
+
+            lines.push('\\end{document}', '');
+            return lines.join('\n');
+        }
+
+        static toMarkdown(page, equations) {
+            const lines = [`# ${page.title.replace(/\s+/g, ' ')}`, '', `Collected from <${page.url}> on ${page.collectedAt}`, ''];
+            let heading = null;
+
+            equations.forEach(equation => {
+                if (equation.heading !== heading) {
+                    heading = equation.heading;
+                    if (heading) lines.push(`## ${heading}`, '');
+                }
+                if (equation.latex) {
+                    lines.push('$$', this.taggedLatex(equation), '$$', '');
+                } else {
+                    // No TeX: keep the MathML, which most Markdown renderers pass through as HTML
+                    lines.push(equation.mathml, '');
+                    if (equation.label) lines.push(equation.label, '');
+                }
+            });
+
+            return lines.join('\n');
+        }
+
+        static toHTML(page, equations) {
+            const escape = text => DOMProcessor.escapeHtml(text);
+            const lines = [
+                '<!DOCTYPE html>',
+                '<html>',
+                '<head>',
+                '<meta charset="utf-8">',
+                `<title>${escape(page.title)}</title>`,
+                '<style>.equation{display:flex;align-items:center;gap:2em;margin:1em 0}.equation math{flex:1}.label{color:#555}</style>',
+                '</head>',
+                '<body>',
+                `<h1>${escape(page.title)}</h1>`,
+                `<p>Collected from <a href="${escape(page.url)}">${escape(page.url)}</a> on ${escape(page.collectedAt)}</p>`
+            ];
+            let heading = null;
+
+            equations.forEach(equation => {
+                if (equation.heading !== heading) {
+                    heading = equation.heading;
+                    if (heading) lines.push(`<h2>${escape(heading)}</h2>`);
+                }
+                const math = equation.mathml || `<pre>${escape(equation.latex)}</pre>`;
+                const label = equation.label ? `<span class="label">${escape(equation.label)}</span>` : '';
+                lines.push(`<div class="equation">${math}${label}</div>`);
+            });
+
+            lines.push('</body>', '</html>', '');
+            return lines.join('\n');
+        }
+
+        static escapeLatex(text) {
+            return String(text).replace(/[\\{}$&#^_%~]/g, char => ({
+                '\\': '\\textbackslash{}',
+                '~': '\\textasciitilde{}',
+                '^': '\\textasciicircum{}'
+            })[char] || `\\${char}`);
+        }
+    }
 
     class EquationProcessor {
         static async getEquationContent(equation, format = state.currentFormat) {
@@ -214,6 +5149,11 @@
                     format = CONFIG.defaultFormat;
                 }
 
+                // MathML is the primary flavor of 'all'; DOMProcessor adds the text and image flavors
+                if (format === 'all') {
+                    format = 'mathml';
+                }
+
                 let content = null;
                 let katexContainer = null;
                 if (equation.classList && equation.classList.contains('katex')) {
@@ -233,10 +5173,22 @@
                     content = this.extractFromMathML(equation, format);
                 } else if (equation.closest('[data-math]') || equation.hasAttribute('data-math')) {
                     content = this.extractFromDataAttribute(equation, format);
-                } else {
+                } else if (!CONFIG.structuredFormats.includes(format)) {
                     content = this.extractGeneric(equation);
                 }
 
+                // No original TeX source anywhere: convert the rendered MathML tree
+                if (!content && format === 'latex') {
+                    const source = katexContainer || equation.closest('.MathJax, .mjx-chtml, .mjx-container') || equation;
+                    content = this.serializeMathML(this.findMathMLElement(source), 'latex');
+                }
+
+                // Rendered text is never a valid expression; say so instead of copying it
+                if (!content && CONFIG.structuredFormats.includes(format)) {
+                    const name = format === 'content-mathml' ? 'Content MathML' : PreviewPanel.LABELS[format];
+                    throw new ExtensionError(`No equation structure found to translate to ${name}`, 'UNTRANSLATABLE', 'MEDIUM');
+                }
+
                 // If no content found, try fallback methods
                 if (!content) {
                     content = this.convertToUnicode(equation);
@@ -265,6 +5217,11 @@
                 Logger.debug('No content extracted from equation');
                 return null;
             } catch (error) {
+                // The copy handlers show this message in the tooltip
+                if (error instanceof ExtensionError && error.code === 'UNTRANSLATABLE') {
+                    Logger.warn('Untranslatable equation:', error.message);
+                    throw error;
+                }
                 if (error instanceof ExtensionError) {
                     Logger.error('Extension error extracting equation:', error.message, error.code);
                 } else {
@@ -311,7 +5268,7 @@
                         }
 
                         // Don't fallback to text content for LaTeX - that would give rendered output
-                        // If no LaTeX source found, return null
+                        // If no LaTeX source found, return null and let getEquationContent convert the MathML
                         Logger.debug('No LaTeX source found in KaTeX container');
                         return null;
 
@@ -346,8 +5303,23 @@
                         
                         return mathmlString;
 
+                    case 'asciimath':
+                    case 'omml':
+                    case 'typst':
+                    case 'sympy':
+                        return this.serializeMathML(this.findMathMLElement(container), format);
+
+                    case 'content-mathml': {
+                        const annotation = container.querySelector('annotation[encoding="application/x-tex"]');
+                        const tex = annotation ? annotation.textContent : container.getAttribute('data-latex');
+                        return this.serializeMathML(this.findMathMLElement(container), format, tex);
+                    }
+
                     case 'unicode':
                     default:
+                        const unicode = this.serializeMathML(this.findMathMLElement(container), 'unicode');
+                        if (unicode) return unicode;
+
                         // Use the stored .katex-html element if available, otherwise search in container
                         const htmlElement = container._katexHtmlElement || container.querySelector('.katex-html');
                         if (htmlElement) {
@@ -356,6 +5328,7 @@
                         return null;
                 }
             } catch (error) {
+                if (error.code === 'UNTRANSLATABLE') throw error;
                 Logger.error('KaTeX extraction error:', error);
                 return null;
             }
@@ -386,9 +5359,9 @@
                             return this.cleanLatex(latex);
                         }
                         
-                        // Last resort: Extract from rendered text (lossy but better than nothing)
-                        Logger.warn('Could not find original LaTeX source for MathJax equation, using rendered text');
-                        return this.extractTextContent(container);
+                        // No source on the page; getEquationContent converts the rendered MathML instead
+                        Logger.debug('No LaTeX source found for MathJax equation');
+                        return null;
 
                     case 'mathml':
                         // Try to get MathML directly from MathJax rendered output
@@ -443,11 +5416,22 @@
                         
                         return mathmlString;
 
+                    case 'asciimath':
+                    case 'omml':
+                    case 'typst':
+                    case 'sympy':
+                        return this.serializeMathML(this.getMathMLElement(container, originalLatex), format);
+
+                    case 'content-mathml':
+                        return this.serializeMathML(this.getMathMLElement(container, originalLatex), format, originalLatex);
+
                     case 'unicode':
                     default:
-                        return this.extractTextContent(container);
+                        return this.serializeMathML(this.getMathMLElement(container, originalLatex), 'unicode') ||
+                               this.extractTextContent(container);
                 }
             } catch (error) {
+                if (error.code === 'UNTRANSLATABLE') throw error;
                 Logger.error('MathJax extraction error:', error);
                 return null;
             }
@@ -597,12 +5581,34 @@
                         }
                         return mathmlString;
 
-                    case 'latex':
+                    case 'asciimath':
+                    case 'omml':
+                    case 'typst':
+                    case 'sympy':
+                        return this.serializeMathML(mathElement, format);
+
+                    case 'content-mathml': {
+                        const annotation = mathElement.querySelector('annotation[encoding="application/x-tex"]');
+                        return this.serializeMathML(mathElement, format, annotation ? annotation.textContent : null);
+                    }
+
                     case 'unicode':
+                        return this.serializeMathML(mathElement, 'unicode') || this.extractTextContent(mathElement);
+
+                    case 'latex': {
+                        // Wikipedia and MathJax-generated MathML often carry the TeX source
+                        const annotation = mathElement.querySelector('annotation[encoding="application/x-tex"]');
+                        if (annotation && annotation.textContent.trim()) {
+                            return this.cleanLatex(annotation.textContent);
+                        }
+                        return null;
+                    }
+
                     default:
                         return this.extractTextContent(mathElement);
                 }
             } catch (error) {
+                if (error.code === 'UNTRANSLATABLE') throw error;
                 Logger.error('MathML extraction error:', error);
                 return null;
             }
@@ -614,33 +5620,104 @@
 
             try {
                 switch (format) {
-                    case 'latex':
-                        return this.cleanLatex(dataMath);
-                    case 'mathml':
-                        // Only attempt LaTeX->MathML if this looks like LaTeX
-                        if (/\\[a-zA-Z]+|\$.*\$/.test(dataMath)) {
-                            let mathml = this.convertLatexToMathML(dataMath);
-                            // Clean spacing if conversion succeeded
-                            if (mathml) {
-                                mathml = this.cleanMathMLSpacing(mathml);
-                            }
-                            return mathml;
-                        }
-                        // Already MathML? ensure namespace and clean spacing
-                        if (dataMath.trim().startsWith('<math')) {
-                            let mathml = this.ensureMathMLNamespace(dataMath.trim());
-                            // Clean spacing elements that Word interprets as visible spaces
-                            mathml = this.cleanMathMLSpacing(mathml);
-                            return mathml;
-                        }
-                        return null;
+                    case 'latex':
+                        if (dataMath.trim().startsWith('<math')) {
+                            return this.serializeMathML(MathMLTree.parse(this.ensureMathMLNamespace(dataMath.trim())), 'latex');
+                        }
+                        return this.cleanLatex(dataMath);
+                    case 'mathml':
+                        // Already MathML? ensure namespace and clean spacing
+                        if (dataMath.trim().startsWith('<math')) {
+                            let mathml = this.ensureMathMLNamespace(dataMath.trim());
+                            // Clean spacing elements that Word interprets as visible spaces
+                            mathml = this.cleanMathMLSpacing(mathml);
+                            return mathml;
+                        }
+                        // Otherwise treat the attribute as TeX source
+                        let mathml = this.convertLatexToMathML(dataMath);
+                        // Clean spacing if conversion succeeded
+                        if (mathml) {
+                            mathml = this.cleanMathMLSpacing(mathml);
+                        }
+                        return mathml;
+                    case 'asciimath':
+                    case 'omml':
+                    case 'typst':
+                    case 'content-mathml':
+                    case 'sympy':
+                    case 'unicode': {
+                        const isMathML = dataMath.trim().startsWith('<math');
+                        const mathElement = isMathML
+                            ? MathMLTree.parse(this.ensureMathMLNamespace(dataMath.trim()))
+                            : MathMLTree.parse(this.convertLatexToMathML(dataMath));
+                        const serialized = this.serializeMathML(mathElement, format, isMathML ? null : dataMath);
+                        return serialized || (CONFIG.structuredFormats.includes(format) ? null : dataMath);
+                    }
+                    default:
+                        return dataMath;
+                }
+            } catch (error) {
+                if (error.code === 'UNTRANSLATABLE') throw error;
+                Logger.warn('Error processing data-math attribute:', error);
+                // Raw TeX is no substitute for a structured format
+                return CONFIG.structuredFormats.includes(format) ? null : dataMath;
+            }
+        }
+
+        /**
+         * Find the MathML tree rendered alongside an equation (KaTeX .katex-mathml,
+         * MathJax assistive MathML, or native <math>)
+         */
+        static findMathMLElement(container) {
+            if (!container) return null;
+            if (MathMLTree.name(container) === 'math') return container;
+            return container.querySelector('.katex-mathml math') ||
+                   container.querySelector('mjx-assistive-mml math') ||
+                   container.querySelector('math') ||
+                   container.closest('math');
+        }
+
+        /**
+         * Like findMathMLElement, but converts the TeX source when the page has no MathML
+         */
+        static getMathMLElement(container, latexSource = null) {
+            const mathElement = this.findMathMLElement(container);
+            if (mathElement) return mathElement;
+            if (latexSource) {
+                return MathMLTree.parse(this.convertLatexToMathML(latexSource));
+            }
+            return null;
+        }
+
+        /**
+         * Convert a MathML element tree into one of the text output formats. The TeX
+         * source, when known, is kept as an annotation in Content MathML output.
+         */
+        static serializeMathML(mathElement, format, latexSource = null) {
+            if (!mathElement) return null;
+            try {
+                switch (format) {
+                    case 'asciimath':
+                        return AsciiMathSerializer.serialize(mathElement);
+                    case 'omml':
+                        return OMMLConverter.convert(mathElement);
                     case 'unicode':
+                        return UnicodeMathSerializer.serialize(mathElement);
+                    case 'latex':
+                        return LatexSerializer.serialize(mathElement);
+                    case 'typst':
+                        return TypstSerializer.serialize(mathElement);
+                    case 'content-mathml':
+                        return ContentMathMLSerializer.serialize(mathElement, latexSource);
+                    case 'sympy':
+                        return SympySerializer.serialize(mathElement);
                     default:
-                        return dataMath;
+                        return null;
                 }
             } catch (error) {
-                Logger.warn('Error processing data-math attribute:', error);
-                return dataMath;
+                if (error.code === 'UNTRANSLATABLE') throw error;
+                Logger.warn(`Error serializing MathML as ${format}:`, error);
+                return null;
             }
         }
 
@@ -652,7 +5729,8 @@
         }
 
         static convertToUnicode(element) {
-            return this.extractTextContent(element);
+            return this.serializeMathML(this.findMathMLElement(element), 'unicode') ||
+                   this.extractTextContent(element);
         }
 
         static extractTextContent(element) {
@@ -684,21 +5762,13 @@
         }
 
         static toSuperscript(text) {
-            const map = {
-                '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵',
-                '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '+': '⁺', '-': '⁻',
-                '=': '⁼', '(': '⁽', ')': '⁾', 'n': 'ⁿ', 'i': 'ⁱ'
-            };
-            return text.split('').map(char => map[char] || char).join('');
+            const script = UnicodeMathSerializer.toScript(text, UnicodeMathSerializer.SUPERSCRIPTS);
+            return script !== null ? script : `^(${text})`;
         }
 
         static toSubscript(text) {
-            const map = {
-                '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅',
-                '6': '₆', '7': '₇', '8': '₈', '9': '₉', '+': '₊', '-': '₋',
-                '=': '₌', '(': '₍', ')': '₎'
-            };
-            return text.split('').map(char => map[char] || char).join('');
+            const script = UnicodeMathSerializer.toScript(text, UnicodeMathSerializer.SUBSCRIPTS);
+            return script !== null ? script : `_(${text})`;
         }
 
         static cleanLatex(latex) {
@@ -727,11 +5797,7 @@
         static cleanMathMLSpacing(mathmlString) {
             if (typeof mathmlString !== 'string') return mathmlString;
             
-            let cleaned = mathmlString;
-            
-            // Remove ALL <mspace/> elements - they often cause Word to add unwanted visible spaces
-            // Word interprets these spacing elements as requiring visible spaces in text conversion
-            cleaned = cleaned.replace(/<mspace[^>]*\/?>/gi, '');
+            let cleaned = this.removeSpacingElements(mathmlString);
             
             // Remove <mtext> elements that contain only whitespace or invisible characters
             // These can cause Word to insert spaces when converting to text
@@ -742,17 +5808,6 @@
             // U+FEFF (zero-width no-break space), U+2009 (thin space), U+200A (hair space)
             cleaned = cleaned.replace(/[\u200B-\u200D\uFEFF\u2009\u200A]/g, '');
             
-            // Remove <mpadded> elements with zero or very small widths that might cause spacing issues
-            cleaned = cleaned.replace(/<mpadded[^>]*width\s*=\s*["']0[^"']*["'][^>]*>/gi, '');
-            cleaned = cleaned.replace(/<mpadded[^>]*width\s*=\s*["']([0-9.]+)em["'][^>]*>/gi, (match, width) => {
-                const widthValue = parseFloat(width);
-                // Remove if width is very small (less than 0.05em) - Word might render these as visible spaces
-                if (widthValue < 0.05) {
-                    return '';
-                }
-                return match;
-            });
-            
             // Clean up whitespace in text content of <mo> (operator) elements
             // Operators like ∫ and ∑ should not have trailing spaces that Word converts to visible spaces
             cleaned = cleaned.replace(/(<mo[^>]*>)([^<]+)(<\/mo>)/gi, (match, openTag, content, closeTag) => {
@@ -781,35 +5836,32 @@
             return cleaned;
         }
 
+        /**
+         * Drop <mspace> elements and unwrap <mpadded> with zero or very small widths, both of
+         * which Word renders as visible spaces. This works on the parsed tree so that whole
+         * elements go, close tags included; markup that doesn't parse only loses its mspaces.
+         */
+        static removeSpacingElements(mathmlString) {
+            const root = MathMLTree.parse(mathmlString);
+            if (!root) {
+                return mathmlString.replace(/<mspace\b[^>]*?(?:\/>|>\s*<\/mspace>)/gi, '');
+            }
+
+            root.querySelectorAll('mspace').forEach(node => node.remove());
+            root.querySelectorAll('mpadded').forEach(node => {
+                const width = (node.getAttribute('width') || '').trim();
+                const value = parseFloat(width);
+                if (width && (value === 0 || (/em$/.test(width) && value < 0.05))) {
+                    node.replaceWith(...node.childNodes);
+                }
+            });
+            return root.outerHTML;
+        }
+
         static convertLatexToMathML(latex) {
-            // Basic LaTeX to MathML conversion for common patterns
-            // This is a simplified converter - for production, consider using a proper library
             try {
-                let mathml = latex;
-                
-                // Common LaTeX patterns
-                mathml = mathml.replace(/\\frac\{([^}]+)\}\{([^}]+)\}/g, '<mfrac><mrow>$1</mrow><mrow>$2</mrow></mfrac>');
-                mathml = mathml.replace(/\\sqrt\{([^}]+)\}/g, '<msqrt><mrow>$1</mrow></msqrt>');
-                mathml = mathml.replace(/\\sum/g, '<mo>∑</mo>');
-                mathml = mathml.replace(/\\int/g, '<mo>∫</mo>');
-                mathml = mathml.replace(/\\infty/g, '<mo>∞</mo>');
-                mathml = mathml.replace(/\\alpha/g, '<mi>α</mi>');
-                mathml = mathml.replace(/\\beta/g, '<mi>β</mi>');
-                mathml = mathml.replace(/\\gamma/g, '<mi>γ</mi>');
-                mathml = mathml.replace(/\\pi/g, '<mi>π</mi>');
-                mathml = mathml.replace(/\\theta/g, '<mi>θ</mi>');
-                mathml = mathml.replace(/\\lambda/g, '<mi>λ</mi>');
-                mathml = mathml.replace(/\\mu/g, '<mi>μ</mi>');
-                mathml = mathml.replace(/\\sigma/g, '<mi>σ</mi>');
-                mathml = mathml.replace(/\\phi/g, '<mi>φ</mi>');
-                mathml = mathml.replace(/\\omega/g, '<mi>ω</mi>');
-                
-                // Wrap in math tags if not already present
-                if (!mathml.includes('<math')) {
-                    mathml = `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${mathml}</mrow></math>`;
-                }
-                
-                return this.ensureMathMLNamespace(mathml);
+                const mathml = LatexToMathML.convert(latex);
+                return mathml ? this.ensureMathMLNamespace(mathml) : null;
             } catch (error) {
                 Logger.warn('Error converting LaTeX to MathML:', error);
                 return null;
@@ -923,6 +5975,9 @@
                 if (e.key === 'Shift') {
                     state.isShiftPressed = true;
                 }
+                if (state.settings.keyboardShortcuts === false) {
+                    return;
+                }
                 if (e.key === 'Escape') {
                     this.clearSelection();
                     tooltipManager.hide();
@@ -938,6 +5993,8 @@
                     state.isShiftPressed = false;
                 }
             });
+
+            document.addEventListener('mousedown', (e) => this.startRubberBand(e), true);
         }
 
         static processExistingEquations() {
@@ -1315,8 +6372,9 @@
             const handlers = {
                 mouseenter: () => {
                     equation.classList.add('math-copy-hover');
-                    const tooltipText = this.getTooltipText(equation);
-                    tooltipManager.show(equation, tooltipText);
+                    if (state.settings.showTooltips !== false) {
+                        tooltipManager.show(equation, this.getTooltipText(equation));
+                    }
                 },
                 mouseleave: () => {
                     equation.classList.remove('math-copy-hover');
@@ -1325,13 +6383,24 @@
                     tooltipManager.scheduleHide(CONFIG.TOOLTIP_HIDE_DELAY);
                 },
                 click: async (e) => {
+                    const targetEquation = equation;
+                    const selecting = state.settings.multiSelection !== false &&
+                        (e.shiftKey || state.isShiftPressed || e.ctrlKey || e.metaKey);
+
+                    // With auto-copy off a plain click belongs to the page; the context menu and Enter still copy
+                    if (!selecting && !state.settings.previewMode && state.settings.autoCopy === false) {
+                        return;
+                    }
+
                     e.preventDefault();
                     e.stopPropagation();
 
-                    const targetEquation = equation;
-
-                    if (state.isShiftPressed) {
+                    if (selecting && (e.shiftKey || state.isShiftPressed)) {
+                        this.selectRange(targetEquation);
+                    } else if (selecting) {
                         this.toggleEquationSelection(targetEquation);
+                    } else if (state.settings.previewMode) {
+                        await previewPanel.open(targetEquation);
                     } else {
                         await this.copyEquation(targetEquation);
                     }
@@ -1339,7 +6408,11 @@
                 keydown: async (e) => {
                     if (e.key === 'Enter' || e.key === ' ') {
                         e.preventDefault();
-                        await this.copyEquation(equation);
+                        if (state.settings.previewMode) {
+                            await previewPanel.open(equation);
+                        } else {
+                            await this.copyEquation(equation);
+                        }
                     }
                 },
                 contextmenu: (e) => {
@@ -1373,10 +6446,12 @@
         static getTooltipText(equation) {
             if (state.selectedEquations.has(equation)) {
                 return 'Selected - Click to deselect';
-            } else if (state.isShiftPressed) {
-                return 'Shift+Click to select';
+            } else if (state.isShiftPressed && state.settings.multiSelection !== false) {
+                return state.selectionAnchor ? 'Shift+Click to select range' : 'Shift+Click to select';
+            } else if (state.settings.previewMode) {
+                return 'Click to preview';
             } else {
-                return 'Click to copy';
+                return state.settings.autoCopy === false ? 'Right-click to copy' : 'Click to copy';
             }
         }
 
@@ -1388,38 +6463,158 @@
                 state.selectedEquations.add(equation);
                 equation.classList.add('math-copy-selected');
             }
+            state.selectionAnchor = equation;
 
             tooltipManager.updateContent(this.getTooltipText(equation));
             this.notifySelectionChange();
         }
 
+        // Adds equations to the selection, keeping the ones already selected
+        static selectEquations(equations) {
+            let added = 0;
+            equations.forEach(equation => {
+                if (!state.selectedEquations.has(equation)) {
+                    state.selectedEquations.add(equation);
+                    equation.classList.add('math-copy-selected');
+                    added++;
+                }
+            });
+            if (added > 0) {
+                this.notifySelectionChange();
+            }
+            return added;
+        }
+
+        // Everything from the anchor to this equation in document order; the anchor stays put
+        static selectRange(equation) {
+            const anchor = state.selectionAnchor;
+            const equations = Array.from(document.querySelectorAll('.math-copy-element'));
+            const from = anchor && anchor.isConnected ? equations.indexOf(anchor) : -1;
+            const to = equations.indexOf(equation);
+
+            if (from < 0 || to < 0 || from === to) {
+                this.toggleEquationSelection(equation);
+                return;
+            }
+
+            this.selectEquations(equations.slice(Math.min(from, to), Math.max(from, to) + 1));
+            tooltipManager.updateContent(this.getTooltipText(equation));
+        }
+
+        static selectEquationsInTextSelection() {
+            const selection = window.getSelection();
+            if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return 0;
+
+            const ranges = Array.from({ length: selection.rangeCount }, (_, i) => selection.getRangeAt(i));
+            const equations = Array.from(document.querySelectorAll('.math-copy-element'))
+                .filter(equation => ranges.some(range => range.intersectsNode(equation)));
+            this.selectEquations(equations);
+            return equations.length;
+        }
+
+        /**
+         * Alt+drag draws a rectangle and selects every equation it touches.
+         * Nothing is drawn until the pointer has moved a few pixels, so Alt+click still
+         * reaches the page.
+         */
+        static startRubberBand(e) {
+            if (e.button !== 0 || !e.altKey || state.settings.multiSelection === false) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"], .math-copy-tray')) return;
+
+            const band = { x: e.clientX, y: e.clientY, element: null };
+            state.rubberBand = band;
+
+            const onMove = (moveEvent) => {
+                const width = Math.abs(moveEvent.clientX - band.x);
+                const height = Math.abs(moveEvent.clientY - band.y);
+                if (!band.element) {
+                    if (width < 4 && height < 4) return;
+                    band.element = document.createElement('div');
+                    band.element.className = 'math-copy-rubber-band';
+                    document.body.appendChild(band.element);
+                    // Dragging would otherwise select page text as well
+                    document.documentElement.classList.add('math-copy-rubber-banding');
+                    window.getSelection()?.removeAllRanges();
+                }
+                moveEvent.preventDefault();
+                band.rect = {
+                    left: Math.min(moveEvent.clientX, band.x),
+                    top: Math.min(moveEvent.clientY, band.y),
+                    right: Math.max(moveEvent.clientX, band.x),
+                    bottom: Math.max(moveEvent.clientY, band.y)
+                };
+                Object.assign(band.element.style, {
+                    left: `${band.rect.left}px`,
+                    top: `${band.rect.top}px`,
+                    width: `${width}px`,
+                    height: `${height}px`
+                });
+            };
+
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove, true);
+                document.removeEventListener('mouseup', onUp, true);
+                state.rubberBand = null;
+                if (!band.element) return;
+
+                band.element.remove();
+                document.documentElement.classList.remove('math-copy-rubber-banding');
+                const equations = Array.from(document.querySelectorAll('.math-copy-element')).filter(equation => {
+                    const rect = equation.getBoundingClientRect();
+                    return rect.width > 0 && rect.left < band.rect.right && rect.right > band.rect.left
+                        && rect.top < band.rect.bottom && rect.bottom > band.rect.top;
+                });
+                this.selectEquations(equations);
+
+                // The mouseup may land on an equation; its click must not copy it
+                const swallowClick = (clickEvent) => {
+                    clickEvent.stopPropagation();
+                    clickEvent.preventDefault();
+                };
+                document.addEventListener('click', swallowClick, true);
+                setTimeout(() => document.removeEventListener('click', swallowClick, true), 0);
+            };
+
+            document.addEventListener('mousemove', onMove, true);
+            document.addEventListener('mouseup', onUp, true);
+        }
+
         static async copyEquation(equation) {
             try {
                 equation.classList.add('math-copy-copying');
                 tooltipManager.updateContent('Copying...');
 
                 const format = window.mathCopyOverrideFormat || state.currentFormat;
-                const content = await EquationProcessor.getEquationContent(equation, format);
+                let content = await EquationProcessor.getEquationContent(equation, format);
+                let notice = null;
 
                 if (content) {
-                    await this.copyToClipboard(content, format);
+                    ({ content, notice } = this.checkMathML(content, format));
+                    const flavors = format === 'all' ? await this.getAllFormatsFlavors(equation) : null;
+                    await this.copyToClipboard(content, format, flavors);
 
                     this.addToClipboardHistory(content, format);
 
                     equation.classList.remove('math-copy-copying');
                     equation.classList.add('math-copy-success');
-                    tooltipManager.updateContent('Copied');
+                    if (notice) {
+                        tooltipManager.report(equation, `Copied · ${notice}`, CONFIG.VALIDATION_NOTICE_DURATION);
+                    } else {
+                        tooltipManager.updateContent('Copied');
+                    }
 
-                    this.notifyBackground('equationCopied', {
+                    this.recordCopy({
                         formula: content,
                         format: format,
-                        source: this.getMathSource(equation)
+                        source: this.getMathSource(equation),
+                        representations: await this.getRepresentations(equation, format, content),
+                        location: this.getEquationLocation(equation)
                     });
 
                     setTimeout(() => {
                         equation.classList.remove('math-copy-success');
                         tooltipManager.updateContent('Click to copy');
-                    }, CONFIG.SUCCESS_FEEDBACK_DURATION);
+                    }, notice ? CONFIG.VALIDATION_NOTICE_DURATION : CONFIG.SUCCESS_FEEDBACK_DURATION);
 
                 } else {
                     throw new Error('Failed to extract equation content');
@@ -1430,7 +6625,7 @@
 
                 equation.classList.remove('math-copy-copying');
                 equation.classList.add('math-copy-error');
-                tooltipManager.updateContent('Error');
+                tooltipManager.report(equation, this.describeError(error), CONFIG.ERROR_FEEDBACK_DURATION);
 
                 setTimeout(() => {
                     equation.classList.remove('math-copy-error');
@@ -1445,25 +6640,57 @@
             try {
                 const equations = Array.from(state.selectedEquations);
                 const contents = [];
+                const plainTexts = [];
+                const representations = [];
+                const sources = [];
+                let noticed = null;
 
                 for (const equation of equations) {
-                    const content = await EquationProcessor.getEquationContent(equation, state.currentFormat);
+                    let content;
+                    try {
+                        content = await EquationProcessor.getEquationContent(equation, state.currentFormat);
+                        if (content) {
+                            let notice;
+                            ({ content, notice } = this.checkMathML(content, state.currentFormat));
+                            if (notice && !noticed) noticed = { equation, notice };
+                        }
+                    } catch (error) {
+                        // Point at the equation that can't be copied and copy nothing
+                        if (error.code === 'UNTRANSLATABLE' || error.code === 'INVALID_MATHML') {
+                            equation.classList.add('math-copy-error');
+                            tooltipManager.show(equation, error.message);
+                            setTimeout(() => equation.classList.remove('math-copy-error'), CONFIG.ERROR_FEEDBACK_DURATION);
+                        }
+                        throw error;
+                    }
                     if (content) {
                         contents.push(content);
+                        sources.push(this.getMathSource(equation));
+                        representations.push(await this.getRepresentations(equation, state.currentFormat, content));
+                        if (state.currentFormat === 'all') {
+                            const { plainText } = await this.getAllFormatsFlavors(equation, false);
+                            if (plainText) plainTexts.push(plainText);
+                        }
                     }
                 }
 
                 if (contents.length > 0) {
-                    const combinedContent = contents.join('\n\n');
-                    await this.copyToClipboard(combinedContent, state.currentFormat);
+                    const combinedContent = this.joinEquations(contents, state.currentFormat, sources);
+                    // One image can't stand for several equations, so a selection gets HTML and text only
+                    const flavors = state.currentFormat === 'all'
+                        ? { plainText: this.joinEquations(plainTexts, state.settings.plainTextFormat === 'unicode' ? 'unicode' : 'latex', sources) }
+                        : null;
+                    await this.copyToClipboard(combinedContent, state.currentFormat, flavors);
 
                     this.addToClipboardHistory(combinedContent, state.currentFormat);
 
-                    this.notifyBackground('equationCopied', {
+                    this.recordCopy({
                         formula: combinedContent,
                         format: state.currentFormat,
                         source: 'Multiple Selection',
-                        count: contents.length
+                        count: contents.length,
+                        representations: this.joinRepresentations(representations, sources),
+                        location: this.getEquationLocation(equations[0])
                     });
 
                     equations.forEach(equation => {
@@ -1473,6 +6700,11 @@
                         }, 1000);
                     });
 
+                    if (noticed) {
+                        tooltipManager.show(noticed.equation, `Copied · ${noticed.notice}`);
+                        tooltipManager.scheduleHide(CONFIG.VALIDATION_NOTICE_DURATION);
+                    }
+
                     this.clearSelection();
                 }
 
@@ -1486,6 +6718,7 @@
                 equation.classList.remove('math-copy-selected');
             });
             state.selectedEquations.clear();
+            state.selectionAnchor = null;
             this.notifySelectionChange();
         }
 
@@ -1501,7 +6734,14 @@
                 { id: 'mathml', label: 'Copy as MathML', desc: 'For Word' },
                 { id: 'latex', label: 'Copy as LaTeX', desc: 'For documents' },
                 { id: 'unicode', label: 'Copy as Unicode', desc: 'Plain text' },
-                { id: 'asciimath', label: 'Copy as AsciiMath', desc: 'Simple format' }
+                { id: 'asciimath', label: 'Copy as AsciiMath', desc: 'Simple format' },
+                { id: 'omml', label: 'Copy as OMML', desc: 'Native Word equation' },
+                { id: 'typst', label: 'Copy as Typst', desc: 'Typst math' },
+                { id: 'content-mathml', label: 'Copy as Content MathML', desc: 'For computer algebra' },
+                { id: 'sympy', label: 'Copy as SymPy', desc: 'Python expression' },
+                { id: 'svg', label: 'Copy as SVG', desc: 'Vector image' },
+                { id: 'png', label: 'Copy as PNG', desc: 'Image for chat and slides' },
+                { id: 'all', label: 'Copy all formats', desc: 'Word, TeX and image at once' }
             ];
 
             formats.forEach(format => {
@@ -1603,26 +6843,40 @@
                 equation.classList.add('math-copy-copying');
                 tooltipManager.updateContent(`Copying as ${format.toUpperCase()}...`);
 
-                const content = await EquationProcessor.getEquationContent(equation, format);
+                const isImage = CONFIG.imageFormats.includes(format);
+                let content = isImage
+                    ? await ImageExporter.toSVG(equation)
+                    : await EquationProcessor.getEquationContent(equation, format);
+                let notice = null;
 
                 if (content) {
-                    await this.copyToClipboard(content, format);
-                    this.addToClipboardHistory(content, format);
+                    ({ content, notice } = this.checkMathML(content, format));
+                    const flavors = format === 'all' ? await this.getAllFormatsFlavors(equation) : null;
+                    await this.copyToClipboard(content, format, flavors);
 
                     equation.classList.remove('math-copy-copying');
                     equation.classList.add('math-copy-success');
-                    tooltipManager.updateContent(`Copied as ${format.toUpperCase()}`);
+                    if (notice) {
+                        tooltipManager.report(equation, `Copied · ${notice}`, CONFIG.VALIDATION_NOTICE_DURATION);
+                    } else {
+                        tooltipManager.updateContent(`Copied as ${format.toUpperCase()}`);
+                    }
 
-                    this.notifyBackground('equationCopied', {
-                        formula: content,
-                        format: format,
-                        source: this.getMathSource(equation)
-                    });
+                    if (!isImage) {
+                        this.addToClipboardHistory(content, format);
+                        this.recordCopy({
+                            formula: content,
+                            format: format,
+                            source: this.getMathSource(equation),
+                            representations: await this.getRepresentations(equation, format, content),
+                            location: this.getEquationLocation(equation)
+                        });
+                    }
 
                     setTimeout(() => {
                         equation.classList.remove('math-copy-success');
                         tooltipManager.updateContent('Click to copy');
-                    }, CONFIG.SUCCESS_FEEDBACK_DURATION);
+                    }, notice ? CONFIG.VALIDATION_NOTICE_DURATION : CONFIG.SUCCESS_FEEDBACK_DURATION);
                 } else {
                     throw new Error('Failed to extract equation content');
                 }
@@ -1630,7 +6884,7 @@
                 Logger.error('Error copying equation:', error);
                 equation.classList.remove('math-copy-copying');
                 equation.classList.add('math-copy-error');
-                tooltipManager.updateContent('Error');
+                tooltipManager.report(equation, this.describeError(error), CONFIG.ERROR_FEEDBACK_DURATION);
 
                 setTimeout(() => {
                     equation.classList.remove('math-copy-error');
@@ -1639,7 +6893,54 @@
             }
         }
 
-        static async copyToClipboard(text, format) {
+        /**
+         * With validation on, MathML copies go through MathMLValidator first. Markup that
+         * can't be read as MathML stops the copy; anything else is copied (repaired when
+         * auto-repair is on) and its problems come back as a notice for the tooltip.
+         */
+        static checkMathML(content, format) {
+            if (!state.settings.validation || (format !== 'mathml' && format !== 'all')) {
+                return { content, notice: null };
+            }
+            const result = MathMLValidator.validate(content, { repair: Boolean(state.settings.autoRepair) });
+            if (!result.valid) {
+                const error = result.issues.find(issue => issue.severity === 'error');
+                throw new ExtensionError(`Invalid MathML: ${error.message}`, 'INVALID_MATHML', 'MEDIUM');
+            }
+            return { content: result.mathml, notice: MathMLValidator.summarize(result.issues) };
+        }
+
+        // Errors with a message written for the user; anything else shows as a plain 'Error'
+        static describeError(error) {
+            return error.code === 'UNTRANSLATABLE' || error.code === 'INVALID_MATHML' ? error.message : 'Error';
+        }
+
+        /**
+         * Extra clipboard flavors for the 'all' format; the MathML itself is the main content.
+         * Either flavor may be null when it can't be produced, and the rest is still copied.
+         */
+        static async getAllFormatsFlavors(equation, includeImage = true) {
+            const plainTextFormat = state.settings.plainTextFormat === 'unicode' ? 'unicode' : 'latex';
+            const flavors = { plainText: null, svg: null };
+
+            try {
+                flavors.plainText = await EquationProcessor.getEquationContent(equation, plainTextFormat);
+            } catch (error) {
+                Logger.warn(`No ${plainTextFormat} flavor for all-formats copy:`, error.message);
+            }
+
+            if (includeImage) {
+                try {
+                    flavors.svg = await ImageExporter.toSVG(equation);
+                } catch (error) {
+                    Logger.warn('No image flavor for all-formats copy:', error.message);
+                }
+            }
+
+            return flavors;
+        }
+
+        static async copyToClipboard(text, format, flavors = null) {
             Logger.debug('Copying to clipboard:', { format, textLength: text.length });
             
             // Validate input
@@ -1652,6 +6953,27 @@
                 throw new ExtensionError('Content too large for clipboard', 'CONTENT_TOO_LARGE', 'MEDIUM');
             }
 
+            // Images have no meaningful text fallback, so failures surface instead of pasting SVG source
+            if (CONFIG.imageFormats.includes(format)) {
+                if (!navigator.clipboard || !navigator.clipboard.write) {
+                    throw new ExtensionError('Image copy needs the Clipboard API', 'CLIPBOARD_API_UNAVAILABLE', 'HIGH');
+                }
+                try {
+                    const clipboardItem = new ClipboardItem(format === 'png'
+                        ? { 'image/png': ImageExporter.toPNG(text) }
+                        : {
+                            'image/svg+xml': new Blob([text], { type: 'image/svg+xml' }),
+                            'text/plain': new Blob([text], { type: 'text/plain' })
+                        });
+                    await navigator.clipboard.write([clipboardItem]);
+                    Logger.info(`${format.toUpperCase()} image copied to clipboard successfully`);
+                    return;
+                } catch (clipboardError) {
+                    Logger.error('Image clipboard write failed:', clipboardError);
+                    throw new ExtensionError('Unable to copy image to clipboard', 'IMAGE_COPY_FAILED', 'HIGH');
+                }
+            }
+
             try {
                 // Try modern Clipboard API first (preferred method)
                 if (format === 'mathml' && navigator.clipboard && navigator.clipboard.write) {
@@ -1671,6 +6993,51 @@
                     }
                 }
                 
+                if (format === 'all' && navigator.clipboard && navigator.clipboard.write) {
+                    const items = {
+                        'text/html': new Blob([text], { type: 'text/html' }),
+                        'text/plain': new Blob([flavors?.plainText || text], { type: 'text/plain' })
+                    };
+                    try {
+                        await navigator.clipboard.write([new ClipboardItem(flavors?.svg
+                            ? { ...items, 'image/png': ImageExporter.toPNG(flavors.svg) }
+                            : items)]);
+                        Logger.info('All formats copied to clipboard successfully');
+                        return;
+                    } catch (clipboardError) {
+                        Logger.debug('Multi-flavor ClipboardItem failed:', clipboardError);
+                    }
+                    if (flavors?.svg) {
+                        // Rasterizing can fail on pages with locked-down fonts; the text flavors still matter
+                        try {
+                            await navigator.clipboard.write([new ClipboardItem(items)]);
+                            Logger.info('HTML and text copied to clipboard without image');
+                            return;
+                        } catch (clipboardError) {
+                            Logger.debug('ClipboardItem failed, trying writeText:', clipboardError);
+                        }
+                    }
+                }
+
+                if (format === 'omml' && navigator.clipboard && navigator.clipboard.write) {
+                    try {
+                        const clipboardItem = new ClipboardItem({
+                            'text/html': new Blob([OMMLConverter.toHtmlFragment(text)], { type: 'text/html' }),
+                            'text/plain': new Blob([text], { type: 'text/plain' })
+                        });
+                        await navigator.clipboard.write([clipboardItem]);
+                        Logger.info('OMML copied to clipboard successfully');
+                        return;
+                    } catch (clipboardError) {
+                        Logger.debug('ClipboardItem failed, trying writeText:', clipboardError);
+                    }
+                }
+                
+                // Plain-text targets get the chosen text flavor rather than MathML markup
+                if (format === 'all' && flavors?.plainText) {
+                    text = flavors.plainText;
+                }
+
                 // Fallback to writeText for all formats
                 if (navigator.clipboard && navigator.clipboard.writeText) {
                     await navigator.clipboard.writeText(text);
@@ -1729,8 +7096,189 @@
             return 'Generic';
         }
 
+        /**
+         * Where an equation sits on the page, recorded in history so it can be found again.
+         * index and fingerprint are only used to relocate equations that carry no label.
+         */
+        static getEquationLocation(equation) {
+            try {
+                return {
+                    url: window.location.href,
+                    title: (document.title || '').trim().slice(0, 200),
+                    heading: this.getNearestHeading(equation),
+                    label: this.getEquationLabel(equation),
+                    index: Array.from(document.querySelectorAll('.math-copy-element')).indexOf(equation),
+                    fingerprint: this.getEquationFingerprint(equation)
+                };
+            } catch (error) {
+                Logger.debug('Could not describe equation location:', error);
+                return { url: window.location.href, title: document.title || '' };
+            }
+        }
+
+        static getNearestHeading(equation) {
+            let nearest = null;
+            for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+                if (!(heading.compareDocumentPosition(equation) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+                nearest = heading;
+            }
+            return nearest ? nearest.textContent.replace(/\s+/g, ' ').trim().slice(0, 200) : '';
+        }
+
+        static getEquationLabel(equation) {
+            const root = equation.closest('.katex-display, mjx-container, .MathJax_Display') || equation;
+
+            // Tags the math library renders itself: KaTeX .tag, MathJax labels, MathML mlabeledtr
+            const rendered = root.querySelector('.tag, mjx-labels, mlabeledtr > mtd:first-child');
+            const renderedText = rendered ? rendered.textContent.replace(/\s+/g, ' ').trim() : '';
+            if (renderedText) return renderedText.slice(0, 40);
+
+            const annotation = root.querySelector('annotation[encoding="application/x-tex"]');
+            const tag = /\\tag\*?\{([^}]*)\}/.exec(annotation ? annotation.textContent : '');
+            if (tag) return `(${tag[1].trim()})`;
+
+            // Numbers printed beside the equation by the page, e.g. "(3.2)" in a sibling cell or span
+            let block = root.parentElement;
+            for (let depth = 0; block && depth < 2; depth++, block = block.parentElement) {
+                const rest = block.textContent.replace(root.textContent, '').replace(/\s+/g, ' ').trim();
+                if (/^\(\d+(?:[.-]\d+)*[a-z]?\)$/.test(rest)) return rest;
+                if (rest.length > 40) break;
+            }
+            return '';
+        }
+
+        static getEquationFingerprint(equation) {
+            return (equation.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 120);
+        }
+
+        static findEquationByLocation(location) {
+            const equations = Array.from(document.querySelectorAll('.math-copy-element'));
+
+            if (location.label) {
+                const labelled = equations.filter(el => this.getEquationLabel(el) === location.label);
+                if (labelled.length === 1) return labelled[0];
+            }
+
+            if (location.fingerprint) {
+                const matches = equations.filter(el => this.getEquationFingerprint(el) === location.fingerprint);
+                // The same formula can appear more than once; prefer the copy nearest the old position
+                if (matches.length > 0) {
+                    const index = Number.isInteger(location.index) ? location.index : 0;
+                    return matches.reduce((best, el) =>
+                        Math.abs(equations.indexOf(el) - index) < Math.abs(equations.indexOf(best) - index) ? el : best);
+                }
+            }
+
+            return Number.isInteger(location.index) && location.index >= 0 ? equations[location.index] || null : null;
+        }
+
+        static async highlightEquation(location) {
+            // Math renders after load on many pages, so retry before giving up
+            for (let attempt = 0; attempt <= CONFIG.MAX_RETRY_ATTEMPTS; attempt++) {
+                if (state.isInitialized) {
+                    this.processExistingEquations();
+                }
+                const equation = this.findEquationByLocation(location);
+                if (equation) {
+                    equation.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    equation.classList.add('math-copy-highlight');
+                    setTimeout(() => equation.classList.remove('math-copy-highlight'), CONFIG.HIGHLIGHT_DURATION);
+                    return true;
+                }
+                await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
+            }
+            return false;
+        }
+
+        /**
+         * Every representation history can re-copy, reusing the content just copied.
+         * Formats that can't be produced for this equation are left out; the MathML
+         * one also serves as the history browser's rendered preview.
+         */
+        static async getRepresentations(equation, format, content) {
+            const copiedFormat = format === 'all' ? 'mathml' : format;
+            const representations = {};
+
+            for (const representation of CONFIG.representationFormats) {
+                if (representation === copiedFormat) {
+                    representations[representation] = content;
+                    continue;
+                }
+                try {
+                    const value = await EquationProcessor.getEquationContent(equation, representation);
+                    if (value) representations[representation] = value;
+                } catch (error) {
+                    Logger.debug(`No ${representation} representation:`, error.message);
+                }
+            }
+
+            return representations;
+        }
+
+        // A selection keeps only the formats every equation in it could produce
+        static joinRepresentations(list, sources) {
+            const joined = {};
+            CONFIG.representationFormats.forEach(format => {
+                if (list.every(representations => representations[format])) {
+                    joined[format] = this.joinEquations(list.map(representations => representations[format]), format, sources);
+                }
+            });
+            return joined;
+        }
+
+        static getJoinMode(format) {
+            const mode = CONFIG.joinModes.includes(state.settings.joinMode) ? state.settings.joinMode : 'auto';
+            const isMathML = format === 'mathml' || format === 'all';
+            const fallback = isMathML ? 'mtable' : format === 'latex' ? 'align' : 'separate';
+
+            if (mode === 'auto') return fallback;
+            // Environments only mean something to TeX, and a table only to MathML
+            if ((mode === 'align' || mode === 'gather') && format !== 'latex') return fallback;
+            if (mode === 'mtable' && !isMathML) return fallback;
+            return mode;
+        }
+
+        /**
+         * Combines the equations of a multi-selection into one clipboard entry,
+         * e.g. a single align* environment for LaTeX or one <math> with an
+         * <mtable> row per equation, since several <math> roots don't paste as one
+         */
+        static joinEquations(contents, format, sources = []) {
+            if (contents.length === 1) return contents[0];
+
+            switch (this.getJoinMode(format)) {
+                case 'align':
+                    return `\\begin{align*}\n${contents.map(content => content.trim()).join(' \\\\\n')}\n\\end{align*}`;
+                case 'gather':
+                    return `\\begin{gather}\n${contents.map(content => content.trim()).join(' \\\\\n')}\n\\end{gather}`;
+                case 'list':
+                    return contents.map((content, i) => `${i + 1}. ${content}`).join('\n');
+                case 'mtable': {
+                    const rows = contents.map(content => /^<math\b[^>]*>([\s\S]*)<\/math>$/.exec(content.trim()));
+                    if (rows.some(row => !row)) break;
+                    return `<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mtable>${
+                        rows.map(row => `<mtr><mtd>${row[1]}</mtd></mtr>`).join('')}</mtable></math>`;
+                }
+                case 'template': {
+                    const template = typeof state.settings.joinTemplate === 'string' && state.settings.joinTemplate.includes('{content}')
+                        ? state.settings.joinTemplate
+                        : CONFIG.defaultJoinTemplate;
+                    // One pass, so placeholders inside an equation are left alone
+                    return contents.map((content, i) => template.replace(/\{(index|content|source)\}/g, (match, key) => ({
+                        index: String(i + 1),
+                        content,
+                        source: sources[i] || ''
+                    })[key])).join('\n');
+                }
+            }
+
+            return contents.join('\n\n');
+        }
+
         static addToClipboardHistory(content, format) {
             // This method is kept for backward compatibility but doesn't save locally
+            if (state.settings.clipboardHistory === false) return;
+
             const historyItem = {
                 content: content,
                 format: format,
@@ -1745,7 +7293,17 @@
 
         }
 
+        // With history off only the format leaves the page, for the usage statistics
+        static recordCopy(data) {
+            if (state.settings.clipboardHistory === false) {
+                this.notifyBackground('updateStats', { stats: { format: data.format, action: 'copy' } });
+                return;
+            }
+            this.notifyBackground('equationCopied', data);
+        }
+
         static notifySelectionChange() {
+            selectionTray.render();
             this.notifyBackground('selectionUpdated', {
                 count: state.selectedEquations.size
             });
@@ -1787,14 +7345,19 @@
                     autoCopy: true,
                     previewMode: false,
                     validation: true,
+                    autoRepair: false,
                     darkMode: false,
                     multiSelection: true,
                     clipboardHistory: true,
                     showTooltips: true,
                     keyboardShortcuts: true,
+                    plainTextFormat: 'latex',
+                    joinMode: 'auto',
+                    joinTemplate: CONFIG.defaultJoinTemplate,
                     ...result.mathCopySettings
                 };
 
+                state.baseSettings = state.settings;
                 state.currentFormat = state.settings.format;
                 resolve(state.settings);
             });
@@ -1810,46 +7373,50 @@
         });
     }
 
+    // The background matches this page against the block and allow lists
     async function checkIfDisabled() {
         try {
-            const currentUrl = window.location.href;
-            const result = await chrome.storage.local.get(['disabledPages', 'disabledSites']);
-            const disabledPages = result.disabledPages || [];
-            const disabledSites = result.disabledSites || [];
-            
-            if (disabledPages.includes(currentUrl)) {
-                return true;
-            }
-            
-            try {
-                const urlObj = new URL(currentUrl);
-                const siteUrl = `${urlObj.protocol}//${urlObj.host}`;
-                if (disabledSites.includes(siteUrl)) {
-                    return true;
-                }
-            } catch (e) {
-                Logger.warn('Error parsing URL:', e);
-            }
-            
-            return false;
+            const response = await chrome.runtime.sendMessage({ type: 'checkDisabled', url: window.location.href });
+            return Boolean(response && response.disabled);
         } catch (error) {
             Logger.error('Error checking disabled status:', error);
             return false;
         }
     }
 
+    // This page's overrides from the site profiles that match it
+    async function getSiteProfile() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'getSiteProfile', url: window.location.href });
+            return response && response.settings && typeof response.settings === 'object' ? response.settings : {};
+        } catch (error) {
+            Logger.warn('Error loading site profile:', error);
+            return {};
+        }
+    }
+
+    function applySettings() {
+        state.settings = { ...state.baseSettings, ...state.siteSettings };
+        if (CONFIG.validFormats.includes(state.settings.format)) {
+            state.currentFormat = state.settings.format;
+        } else {
+            Logger.warn('Invalid format in settings, using default');
+            state.currentFormat = CONFIG.defaultFormat;
+        }
+        if (state.settings.showTooltips === false) {
+            tooltipManager.hide();
+        }
+        if (state.settings.clipboardHistory === false) {
+            state.clipboardHistory = [];
+        }
+    }
+
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         switch (message.type) {
             case 'settingsUpdated':
                 try {
-                    state.settings = { ...state.settings, ...message.settings };
-                    // Validate format
-                    if (CONFIG.validFormats.includes(state.settings.format)) {
-                        state.currentFormat = state.settings.format;
-                    } else {
-                        Logger.warn('Invalid format in settings, using default');
-                        state.currentFormat = CONFIG.defaultFormat;
-                    }
+                    state.baseSettings = { ...state.baseSettings, ...message.settings };
+                    applySettings();
                     Logger.debug('Settings updated:', state.settings);
                     sendResponse({ success: true });
                 } catch (error) {
@@ -1858,6 +7425,14 @@
                 }
                 break;
 
+            case 'siteProfilesUpdated':
+                getSiteProfile().then(overrides => {
+                    state.siteSettings = overrides;
+                    applySettings();
+                    sendResponse({ success: true });
+                });
+                return true; // Async response
+
             case 'formatChanged':
                 try {
                     if (CONFIG.validFormats.includes(message.format)) {
@@ -1892,6 +7467,25 @@
                 sendResponse({ success: true });
                 break;
 
+            case 'selectInTextSelection':
+                sendResponse({
+                    success: true,
+                    count: DOMProcessor.selectEquationsInTextSelection()
+                });
+                break;
+
+            case 'collectEquations':
+                PageHarvester.collect(message.format)
+                    .then(async ({ content, count }) => {
+                        await DOMProcessor.copyToClipboard(content, message.format);
+                        sendResponse({ success: true, count });
+                    })
+                    .catch(error => {
+                        Logger.error('Error collecting equations:', error);
+                        sendResponse({ success: false, error: error.message });
+                    });
+                return true; // Async response
+
             case 'getClipboardHistory':
                 sendResponse({ 
                     success: true, 
@@ -1910,6 +7504,15 @@
                 });
                 break;
                 
+            case 'highlightEquation':
+                DOMProcessor.highlightEquation(message.location || {}).then(found => {
+                    sendResponse({ success: true, found });
+                }).catch(error => {
+                    Logger.error('Error highlighting equation:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true; // Async response
+
             case 'forceDetection':
                 try {
                     Logger.info('Manual equation detection triggered from popup');
@@ -1944,6 +7547,8 @@
             }
             
             await loadSettings();
+            state.siteSettings = await getSiteProfile();
+            applySettings();
             await loadClipboardHistory();
             DOMProcessor.initialize();
             
@@ -1992,6 +7597,8 @@
         
         try {
             tooltipManager.cleanup();
+            selectionTray.cleanup();
+            previewPanel.cleanup();
             DOMProcessor.hideContextMenu();
             
             if (state.mutationObserver) {
@@ -2,18 +2,34 @@ document.addEventListener('DOMContentLoaded', async () => {
     let settings = {};
     let stats = {};
     let selectionCount = 0;
+
+    const REPRESENTATION_LABELS = {
+        mathml: 'MathML',
+        latex: 'TeX',
+        unicode: 'Unicode',
+        asciimath: 'AsciiMath'
+    };
     
     const elements = {
         formatSelect: document.getElementById('format-select'),
         autoCopyToggle: document.getElementById('auto-copy'),
+        previewModeToggle: document.getElementById('preview-mode'),
         multiSelectionToggle: document.getElementById('multi-selection'),
         darkModeToggle: document.getElementById('dark-mode'),
+        showTooltipsToggle: document.getElementById('show-tooltips'),
+        keyboardShortcutsToggle: document.getElementById('keyboard-shortcuts'),
+        clipboardHistoryToggle: document.getElementById('clipboard-history-toggle'),
+        plainTextSelect: document.getElementById('plain-text-format'),
+        plainTextRow: document.getElementById('plain-text-row'),
         historyContainer: document.getElementById('clipboard-history'),
         clearHistoryBtn: document.getElementById('clear-history'),
+        viewAllHistoryBtn: document.getElementById('view-all-history'),
         statusBar: document.getElementById('status-bar'),
         statusText: document.getElementById('status-text'),
         selectionCount: document.getElementById('selection-count'),
         copySelectedBtn: document.getElementById('copy-selected'),
+        collectEquationsBtn: document.getElementById('collect-equations'),
+        harvestFormatSelect: document.getElementById('harvest-format'),
         clearSelectionBtn: document.getElementById('clear-selection'),
         helpBtn: document.getElementById('help-btn'),
         advancedBtn: document.getElementById('advanced-btn'),
@@ -22,9 +38,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         disablePageBtn: document.getElementById('disable-page'),
         disableSiteBtn: document.getElementById('disable-site'),
         enablePageBtn: document.getElementById('enable-page'),
-        enableSiteBtn: document.getElementById('enable-site')
+        enableSiteBtn: document.getElementById('enable-site'),
+        siteSection: document.getElementById('site-section'),
+        sitePatternInput: document.getElementById('site-pattern'),
+        siteProfileResetBtn: document.getElementById('site-profile-reset')
     };
 
+    // The profile edited under "Settings for this site": the most specific one matching the tab
+    let siteProfile = { pattern: null, settings: {} };
+    let siteOrigin = null;
+
+    // The block and allow rules matching the active tab, as reported by checkDisabled
+    let siteAccess = {};
+
     // Validate critical elements exist
     const criticalElements = ['formatSelect', 'autoCopyToggle', 'historyContainer', 'statusBar'];
     const missingElements = criticalElements.filter(key => !elements[key]);
@@ -43,17 +69,27 @@ document.addEventListener('DOMContentLoaded', async () => {
             const defaultSettings = { 
                 format: 'mathml', 
                 autoCopy: true, 
+                previewMode: false,
                 multiSelection: true,
-                darkMode: false 
+                darkMode: false,
+                showTooltips: true,
+                keyboardShortcuts: true,
+                clipboardHistory: true,
+                plainTextFormat: 'latex',
+                harvestFormat: 'latex'
             };
             settings = { ...defaultSettings, ...settings };
-            const validFormats = ['mathml', 'latex', 'unicode', 'asciimath'];
+            const validFormats = ['mathml', 'latex', 'unicode', 'asciimath', 'omml', 'typst', 'content-mathml', 'sympy', 'all'];
             if (!validFormats.includes(settings.format)) {
                 settings.format = 'mathml';
             }
             settings.autoCopy = Boolean(settings.autoCopy);
+            settings.previewMode = Boolean(settings.previewMode);
             settings.multiSelection = Boolean(settings.multiSelection);
             settings.darkMode = Boolean(settings.darkMode);
+            settings.showTooltips = Boolean(settings.showTooltips);
+            settings.keyboardShortcuts = Boolean(settings.keyboardShortcuts);
+            settings.clipboardHistory = Boolean(settings.clipboardHistory);
             
             updateUI();
         } catch (error) {
@@ -101,7 +137,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     async function saveSettings() {
         try {
-            const validFormats = ['mathml', 'latex', 'unicode', 'asciimath'];
+            const validFormats = ['mathml', 'latex', 'unicode', 'asciimath', 'omml', 'typst', 'content-mathml', 'sympy', 'all'];
             if (!validFormats.includes(settings.format)) {
                 settings.format = 'mathml';
             }
@@ -110,7 +146,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             settings.validation = Boolean(settings.validation);
             settings.multiSelection = Boolean(settings.multiSelection);
             settings.showTooltips = Boolean(settings.showTooltips);
+            settings.keyboardShortcuts = Boolean(settings.keyboardShortcuts);
+            settings.clipboardHistory = Boolean(settings.clipboardHistory);
             settings.darkMode = Boolean(settings.darkMode);
+            settings.plainTextFormat = settings.plainTextFormat === 'unicode' ? 'unicode' : 'latex';
+            settings.harvestFormat = ['latex', 'markdown', 'html', 'json'].includes(settings.harvestFormat) ? settings.harvestFormat : 'latex';
             
             const response = await chrome.runtime.sendMessage({ type: 'saveSettings', settings: settings });
             
@@ -145,9 +185,16 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     function updateUI() {
         if (elements.formatSelect) elements.formatSelect.value = settings.format || 'mathml';
+        if (elements.plainTextSelect) elements.plainTextSelect.value = settings.plainTextFormat || 'latex';
+        if (elements.plainTextRow) elements.plainTextRow.style.display = settings.format === 'all' ? '' : 'none';
+        if (elements.harvestFormatSelect) elements.harvestFormatSelect.value = settings.harvestFormat || 'latex';
         if (elements.autoCopyToggle) elements.autoCopyToggle.checked = !!settings.autoCopy;
+        if (elements.previewModeToggle) elements.previewModeToggle.checked = !!settings.previewMode;
         if (elements.multiSelectionToggle) elements.multiSelectionToggle.checked = !!settings.multiSelection;
         if (elements.darkModeToggle) elements.darkModeToggle.checked = !!settings.darkMode;
+        if (elements.showTooltipsToggle) elements.showTooltipsToggle.checked = settings.showTooltips !== false;
+        if (elements.keyboardShortcutsToggle) elements.keyboardShortcutsToggle.checked = settings.keyboardShortcuts !== false;
+        if (elements.clipboardHistoryToggle) elements.clipboardHistoryToggle.checked = settings.clipboardHistory !== false;
         document.body.setAttribute('data-theme', settings.darkMode ? 'dark' : 'light');
     }
 
@@ -168,7 +215,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const emptyState = document.createElement('div');
                 emptyState.className = 'empty-state';
                 const text = document.createElement('p');
-                text.textContent = 'No equations copied yet';
+                text.textContent = settings.clipboardHistory === false
+                    ? 'History is off; copies are not saved'
+                    : 'No equations copied yet';
                 emptyState.appendChild(text);
                 elements.historyContainer.appendChild(emptyState);
                 return;
@@ -193,6 +242,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                     historyItem.setAttribute('tabindex', '0');
                     const ariaLabel = truncate(item.formula, 30).replace(/[<>]/g, '');
                     historyItem.setAttribute('aria-label', `Copy equation: ${ariaLabel}`);
+                    const origin = [item.title, item.heading, item.label].filter(Boolean).join(' › ');
+                    if (origin) {
+                        historyItem.title = origin;
+                    }
                     
                     const historyContent = document.createElement('div');
                     historyContent.className = 'history-content';
@@ -208,6 +261,19 @@ document.addEventListener('DOMContentLoaded', async () => {
                     
                     historyContent.appendChild(formula);
                     historyContent.appendChild(format);
+
+                    // Other representations captured with the copy can be re-copied directly
+                    const copiedFormat = item.format === 'all' ? 'mathml' : item.format;
+                    Object.entries(item.representations || {}).forEach(([altFormat, value]) => {
+                        if (altFormat === copiedFormat || !REPRESENTATION_LABELS[altFormat] || typeof value !== 'string' || !value) return;
+                        const alt = document.createElement('button');
+                        alt.className = 'history-alt';
+                        alt.textContent = REPRESENTATION_LABELS[altFormat];
+                        alt.dataset.formula = value;
+                        alt.dataset.label = REPRESENTATION_LABELS[altFormat];
+                        alt.setAttribute('aria-label', `Copy as ${REPRESENTATION_LABELS[altFormat]}`);
+                        historyContent.appendChild(alt);
+                    });
                     
                     const time = document.createElement('div');
                     time.className = 'history-time';
@@ -242,11 +308,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (elements.formatSelect) {
             elements.formatSelect.addEventListener('change', () => {
                 settings.format = elements.formatSelect.value;
+                if (elements.plainTextRow) elements.plainTextRow.style.display = settings.format === 'all' ? '' : 'none';
                 saveSettings();
                 showStatus(`Format set to ${settings.format.toUpperCase()}`, 'success');
             });
         }
 
+        if (elements.plainTextSelect) {
+            elements.plainTextSelect.addEventListener('change', () => {
+                settings.plainTextFormat = elements.plainTextSelect.value;
+                saveSettings();
+            });
+        }
+
         if (elements.autoCopyToggle) {
             elements.autoCopyToggle.addEventListener('change', () => {
                 settings.autoCopy = elements.autoCopyToggle.checked;
@@ -254,6 +328,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        if (elements.previewModeToggle) {
+            elements.previewModeToggle.addEventListener('change', () => {
+                settings.previewMode = elements.previewModeToggle.checked;
+                debouncedSaveSettings();
+            });
+        }
+
         if (elements.multiSelectionToggle) {
             elements.multiSelectionToggle.addEventListener('change', () => {
                 settings.multiSelection = elements.multiSelectionToggle.checked;
@@ -269,6 +350,58 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
         
+        if (elements.showTooltipsToggle) {
+            elements.showTooltipsToggle.addEventListener('change', () => {
+                settings.showTooltips = elements.showTooltipsToggle.checked;
+                debouncedSaveSettings();
+            });
+        }
+
+        if (elements.keyboardShortcutsToggle) {
+            elements.keyboardShortcutsToggle.addEventListener('change', () => {
+                settings.keyboardShortcuts = elements.keyboardShortcutsToggle.checked;
+                debouncedSaveSettings();
+            });
+        }
+
+        if (elements.clipboardHistoryToggle) {
+            elements.clipboardHistoryToggle.addEventListener('change', () => {
+                settings.clipboardHistory = elements.clipboardHistoryToggle.checked;
+                debouncedSaveSettings();
+                if (!settings.clipboardHistory) {
+                    showStatus('History is off; new copies will not be saved', 'info');
+                }
+                loadHistory();
+            });
+        }
+
+        siteFields().forEach(field => {
+            field.addEventListener('change', saveSiteProfile);
+        });
+
+        if (elements.sitePatternInput) {
+            elements.sitePatternInput.addEventListener('change', () => {
+                // A new pattern moves the profile; with no overrides yet there is nothing to save
+                if (siteProfile.pattern || siteFields().some(field => field.value.trim() !== '')) {
+                    saveSiteProfile();
+                }
+            });
+        }
+
+        if (elements.siteProfileResetBtn) {
+            elements.siteProfileResetBtn.addEventListener('click', async () => {
+                if (!siteProfile.pattern) return;
+                try {
+                    await chrome.runtime.sendMessage({ type: 'deleteSiteProfile', pattern: siteProfile.pattern });
+                    await loadSiteProfile();
+                    showStatus('This site uses the default settings', 'success');
+                } catch (error) {
+                    console.error('Error removing site profile:', error);
+                    showStatus('Could not reset site settings', 'error');
+                }
+            });
+        }
+
         if (elements.clearHistoryBtn) {
             elements.clearHistoryBtn.addEventListener('click', async () => {
                 await chrome.runtime.sendMessage({ type: 'clearHistory' });
@@ -280,14 +413,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (elements.historyContainer) {
             // Click handler
             elements.historyContainer.addEventListener('click', async (e) => {
-                const item = e.target.closest('.history-item');
+                // A format button copies its own representation instead of the entry's formula
+                const item = e.target.closest('.history-alt, .history-item');
                 if (item && item.dataset.formula) {
                     await copyFromHistory(item);
                 }
             });
             
             elements.historyContainer.addEventListener('keydown', async (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+                if ((e.key === 'Enter' || e.key === ' ') && !e.target.closest('.history-alt')) {
                     const item = e.target.closest('.history-item');
                     if (item && item.dataset.formula) {
                         e.preventDefault();
@@ -300,6 +434,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         async function copyFromHistory(item) {
             try {
                 const formula = item.dataset.formula;
+                const message = item.dataset.label ? `Copied as ${item.dataset.label}` : "Copied from history!";
                 if (!formula || formula.length === 0) {
                     showStatus("No formula to copy", "error");
                     return;
@@ -312,7 +447,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 
                 if (navigator.clipboard && navigator.clipboard.writeText) {
                     await navigator.clipboard.writeText(formula);
-                    showStatus("Copied from history!", "success");
+                    showStatus(message, "success");
                 } else {
                     const textArea = document.createElement("textarea");
                     textArea.value = formula;
@@ -329,7 +464,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                     document.body.removeChild(textArea);
                     
                     if (success) {
-                        showStatus("Copied from history!", "success");
+                        showStatus(message, "success");
                     } else {
                         throw new Error('execCommand failed');
                     }
@@ -361,6 +496,35 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        if (elements.harvestFormatSelect) {
+            elements.harvestFormatSelect.addEventListener('change', () => {
+                settings.harvestFormat = elements.harvestFormatSelect.value;
+                saveSettings();
+            });
+        }
+
+        if (elements.collectEquationsBtn) {
+            elements.collectEquationsBtn.addEventListener('click', async () => {
+                try {
+                    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+                    if (tab && tab.id) {
+                        const response = await chrome.tabs.sendMessage(tab.id, {
+                            type: 'collectEquations',
+                            format: settings.harvestFormat || 'latex'
+                        });
+                        if (response && response.success) {
+                            showStatus(`Copied ${response.count} equations`, "success");
+                        } else {
+                            showStatus((response && response.error) || "Could not collect equations", "error");
+                        }
+                    }
+                } catch (error) {
+                    console.error("Error collecting equations:", error);
+                    showStatus("Failed to collect equations", "error");
+                }
+            });
+        }
+
         if (elements.clearSelectionBtn) {
             elements.clearSelectionBtn.addEventListener('click', async () => {
                 try {
@@ -395,6 +559,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        if (elements.viewAllHistoryBtn) {
+            elements.viewAllHistoryBtn.addEventListener('click', () => {
+                chrome.tabs.create({ 
+                    url: chrome.runtime.getURL('advanced.html#history') 
+                });
+            });
+        }
+
         if (elements.detectBtn) {
             elements.detectBtn.addEventListener('click', async () => {
                 try {
@@ -455,7 +627,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 try {
                     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
                     if (tab && tab.url) {
-                        await chrome.runtime.sendMessage({ type: 'enableOnPage', url: tab.url });
+                        await chrome.runtime.sendMessage({ type: 'enableOnPage', url: siteAccess.pageRule || tab.url });
                         updateEnableDisableButtons(false, false);
                         showStatus("Enabled on this page", "success");
                         if (tab.id) {
@@ -476,9 +648,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                     if (tab && tab.url) {
                         const url = new URL(tab.url);
                         const siteUrl = `${url.protocol}//${url.host}`;
-                        await chrome.runtime.sendMessage({ type: 'enableOnSite', url: siteUrl });
+                        // The rule that disabled the site may be a pattern covering other sites too
+                        const rule = siteAccess.siteRule || siteUrl;
+                        await chrome.runtime.sendMessage({ type: 'enableOnSite', url: rule });
+                        if (siteAccess.allowMode && !siteAccess.allowRule) {
+                            await chrome.runtime.sendMessage({ type: 'allowOnSite', url: siteUrl });
+                        }
                         updateEnableDisableButtons(false, false);
-                        showStatus("Enabled on this site", "success");
+                        showStatus(rule === siteUrl ? "Enabled on this site" : `Enabled on this site (removed ${rule})`, "success");
                         if (tab.id) {
                             chrome.tabs.reload(tab.id);
                         }
@@ -512,6 +689,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (tab && tab.url) {
                 const response = await chrome.runtime.sendMessage({ type: 'checkDisabled', url: tab.url });
                 if (response) {
+                    siteAccess = response;
                     updateEnableDisableButtons(response.pageDisabled || false, response.siteDisabled || false);
                 }
             }
@@ -520,6 +698,94 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    function siteFields() {
+        return elements.siteSection ? Array.from(elements.siteSection.querySelectorAll('[data-setting]')) : [];
+    }
+
+    async function loadSiteProfile() {
+        if (!elements.siteSection) return;
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const url = tab && tab.url ? new URL(tab.url) : null;
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                elements.siteSection.hidden = true;
+                return;
+            }
+
+            const response = await chrome.runtime.sendMessage({ type: 'getSiteProfile', url: tab.url });
+            const profiles = response && Array.isArray(response.profiles) ? response.profiles : [];
+            const profile = profiles[profiles.length - 1];
+            siteOrigin = url.origin;
+            siteProfile = profile
+                ? { pattern: profile.pattern, settings: { ...profile.settings } }
+                : { pattern: null, settings: {} };
+            renderSiteProfile();
+            elements.siteSection.hidden = false;
+        } catch (error) {
+            console.debug("Could not load site profile:", error);
+        }
+    }
+
+    function renderSiteProfile() {
+        if (elements.sitePatternInput) {
+            elements.sitePatternInput.value = siteProfile.pattern || siteOrigin || '';
+        }
+        siteFields().forEach(field => {
+            const value = siteProfile.settings[field.dataset.setting];
+            field.value = value === undefined ? '' : String(value);
+        });
+        if (elements.siteProfileResetBtn) {
+            elements.siteProfileResetBtn.hidden = !siteProfile.pattern;
+        }
+    }
+
+    async function saveSiteProfile() {
+        // Overrides this popup has no field for are kept as they are
+        const overrides = { ...siteProfile.settings };
+        siteFields().forEach(field => {
+            const key = field.dataset.setting;
+            delete overrides[key];
+            const value = field.value.trim();
+            if (value !== '') {
+                overrides[key] = field.dataset.type === 'boolean' ? value === 'true' : value;
+            }
+        });
+        if (overrides.joinTemplate !== undefined && !overrides.joinTemplate.includes('{content}')) {
+            showStatus('The join template needs a {content} placeholder', 'error');
+            return;
+        }
+        // The join mode follows the template field only when that field was edited, so
+        // a mode such as 'align' set on the options page survives other changes here
+        if (overrides.joinTemplate !== siteProfile.settings.joinTemplate) {
+            if (overrides.joinTemplate !== undefined) {
+                overrides.joinMode = 'template';
+            } else if (overrides.joinMode === 'template') {
+                delete overrides.joinMode;
+            }
+        }
+
+        const pattern = (elements.sitePatternInput && elements.sitePatternInput.value.trim()) || siteOrigin;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'saveSiteProfile',
+                pattern,
+                settings: overrides,
+                previousPattern: siteProfile.pattern || undefined
+            });
+            if (!response || response.success === false) {
+                throw new Error(response && response.error);
+            }
+            siteProfile = response.profile
+                ? { pattern: response.profile.pattern, settings: { ...response.profile.settings } }
+                : { pattern: null, settings: {} };
+            renderSiteProfile();
+            showStatus(siteProfile.pattern ? 'Site settings saved' : 'This site uses the default settings', 'success');
+        } catch (error) {
+            console.error('Error saving site profile:', error);
+            showStatus(error.message || 'Could not save site settings', 'error');
+        }
+    }
+
     async function notifyContentScriptOfUpdate() {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -626,6 +892,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         await loadStats();
         await loadHistory();
         await checkDisabledStatus();
+        await loadSiteProfile();
         setupEventListeners();
         checkSelectionCount();
     } catch (error) {